@@ -0,0 +1,294 @@
+// server.mjs
+// Tiny local bridge so a lighting desk (OSC over UDP) or a phone on the LAN
+// (WebSocket) can drive the visuals. No dependencies:
+//
+//   node bridge/server.mjs [--ws-port 8787] [--osc-port 9000]
+//                          [--origin http://showpc.local:8080 ...]
+//
+// Every OSC message or WebSocket command is relayed to all connected
+// WebSocket clients (the output window, operator views...) as JSON:
+//   { "address": "/scene", "args": [3] }
+// WebSocket clients may also send plain text such as "/transition glitch 2.0";
+// its words are relayed as strings, and each command reads its own numbers.
+// Opening http://<this-machine>:8787/ on a phone gives a basic remote.
+//
+// Browser pages may only connect when served from this machine: localhost or
+// one of its network addresses, on any port (the show, the remote page at
+// http://<address>:8787/), or exactly one of the --origin ones (a show served
+// by name, e.g. showpc.local). The request's Host header is never trusted: a
+// DNS-rebinding page picks it. Clients that send no Origin (OSC tools,
+// scripts) aren't browsers and are let in.
+
+import { createServer } from 'node:http';
+import { createSocket } from 'node:dgram';
+import { createHash } from 'node:crypto';
+import { networkInterfaces } from 'node:os';
+
+import { sceneNames } from '../scenes/names.js';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function argValue(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? Number(process.argv[i + 1]) : fallback;
+}
+
+// Every value given for a repeatable flag
+function argValues(name) {
+  return process.argv.flatMap((arg, i) => (arg === name && process.argv[i + 1] ? [process.argv[i + 1]] : []));
+}
+
+const WS_PORT = argValue('--ws-port', 8787);
+const OSC_PORT = argValue('--osc-port', 9000);
+const SHOW_ORIGINS = argValues('--origin').map(o => o.replace(/\/+$/, ''));
+
+// ---------------------------------------------------------
+// Commands: text <-> { address, args }
+// ---------------------------------------------------------
+function parseTextCommand(text) {
+  const [address, ...rest] = text.trim().split(/\s+/);
+  if (!address?.startsWith('/')) return null;
+  return { address, args: rest };
+}
+
+function parseClientMessage(text) {
+  if (text.trim().startsWith('{')) {
+    try {
+      const msg = JSON.parse(text);
+      if (typeof msg.address === 'string') return { address: msg.address, args: msg.args || [] };
+    } catch {
+      return null;
+    }
+    return null;
+  }
+  return parseTextCommand(text);
+}
+
+// ---------------------------------------------------------
+// OSC decoding (messages + bundles; int, float, string, bool)
+// ---------------------------------------------------------
+function readOscString(buf, offset) {
+  let end = offset;
+  while (end < buf.length && buf[end] !== 0) end++;
+  const value = buf.toString('utf8', offset, end);
+  return { value, next: (end + 4) & ~3 }; // null-terminated, padded to 4 bytes
+}
+
+function decodeOsc(buf, out = []) {
+  const head = readOscString(buf, 0);
+  if (head.value === '#bundle') {
+    let offset = 16; // '#bundle\0' + 8-byte timetag (played immediately)
+    while (offset + 4 <= buf.length) {
+      const size = buf.readInt32BE(offset);
+      decodeOsc(buf.subarray(offset + 4, offset + 4 + size), out);
+      offset += 4 + size;
+    }
+    return out;
+  }
+
+  const address = head.value;
+  const tags = readOscString(buf, head.next);
+  let offset = tags.next;
+  const args = [];
+  for (const tag of tags.value.slice(1)) {
+    if (tag === 'i') { args.push(buf.readInt32BE(offset)); offset += 4; }
+    else if (tag === 'f') { args.push(buf.readFloatBE(offset)); offset += 4; }
+    else if (tag === 'd') { args.push(buf.readDoubleBE(offset)); offset += 8; }
+    else if (tag === 's') { const s = readOscString(buf, offset); args.push(s.value); offset = s.next; }
+    else if (tag === 'T') args.push(true);
+    else if (tag === 'F') args.push(false);
+    else break; // blobs etc. aren't needed by any command
+  }
+  out.push({ address, args });
+  return out;
+}
+
+// ---------------------------------------------------------
+// Minimal WebSocket server (RFC 6455 text frames)
+// ---------------------------------------------------------
+const clients = new Set();
+
+function encodeFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Pull complete frames off the front of `buf`; returns the unread remainder
+function decodeFrames(buf, onFrame) {
+  while (buf.length >= 2) {
+    const opcode = buf[0] & 0x0F;
+    const masked = (buf[1] & 0x80) !== 0;
+    let len = buf[1] & 0x7F;
+    let offset = 2;
+    if (len === 126) {
+      if (buf.length < 4) break;
+      len = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (len === 127) {
+      if (buf.length < 10) break;
+      len = Number(buf.readBigUInt64BE(2));
+      offset = 10;
+    }
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buf.length < offset + len) break;
+
+    const payload = Buffer.from(buf.subarray(offset, offset + len));
+    if (masked) {
+      for (let i = 0; i < len; i++) payload[i] ^= buf[maskOffset + (i & 3)];
+    }
+    onFrame(opcode, payload);
+    buf = buf.subarray(offset + len);
+  }
+  return buf;
+}
+
+function broadcast(msg, except = null) {
+  const frame = encodeFrame(JSON.stringify(msg));
+  for (const socket of clients) {
+    if (socket !== except) socket.write(frame);
+  }
+}
+
+// Host names a page on this machine can have, as URL.hostname spells them;
+// read per connection, since addresses change with the network
+function localHostnames() {
+  const addresses = Object.values(networkInterfaces()).flat().map(({ address, family }) =>
+    (family === 'IPv6' || family === 6 ? `[${address.split('%')[0]}]` : address));
+  return new Set(['localhost', '127.0.0.1', '[::1]', ...addresses]);
+}
+
+// See the header: a page from this machine, an --origin, or not a browser
+function originAllowed(req) {
+  const { origin } = req.headers;
+  if (!origin) return true;
+  let url;
+  try {
+    url = new URL(origin);
+  } catch {
+    return false; // includes 'null' (file://, sandboxed frames)
+  }
+  return SHOW_ORIGINS.includes(url.origin) || localHostnames().has(url.hostname);
+}
+
+function handleUpgrade(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key) return socket.destroy();
+  if (!originAllowed(req)) {
+    console.warn(`ws: refused a page from ${req.headers.origin}`);
+    socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+    return;
+  }
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  clients.add(socket);
+  console.log(`ws: client connected (${clients.size})`);
+
+  let pending = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    pending = decodeFrames(Buffer.concat([pending, chunk]), (opcode, payload) => {
+      if (opcode === 0x1) {
+        const msg = parseClientMessage(payload.toString('utf8'));
+        if (msg) broadcast(msg, socket);
+      } else if (opcode === 0x8) {
+        socket.end(encodeFrame('', 0x8));
+      } else if (opcode === 0x9) {
+        socket.write(encodeFrame(payload.toString('utf8'), 0xA));
+      }
+    });
+  });
+  const drop = () => {
+    if (clients.delete(socket)) console.log(`ws: client left (${clients.size})`);
+  };
+  socket.on('close', drop);
+  socket.on('error', drop);
+}
+
+// ---------------------------------------------------------
+// Phone remote page
+// ---------------------------------------------------------
+const REMOTE_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta charset="utf-8">
+<title>QFN remote</title>
+<style>
+  body { margin: 0; padding: 12px; background: #000; color: #fff; font: 16px monospace; }
+  button { width: 30%; margin: 1%; padding: 18px 0; font: inherit; background: #222; color: #fff;
+           border: 1px solid #888; border-radius: 6px; }
+  input { width: 70%; padding: 10px; font: inherit; }
+</style>
+</head>
+<body>
+<div id="scenes"></div>
+<button data-cmd="/cycle toggle">cycle</button>
+<button data-cmd="/cue previous">◀ cue</button>
+<button data-cmd="/cue next">cue ▶</button>
+<button data-cmd="/tap">tap</button>
+<form id="message"><input name="text" maxlength="48" placeholder="shout-out"><button>submit</button></form>
+<form id="raw"><input name="cmd" placeholder="/transition glitch 2.0"><button>send</button></form>
+<script>
+  const ws = new WebSocket('ws://' + location.host);
+  const send = (cmd) => ws.readyState === 1 && ws.send(cmd);
+  const scenes = document.getElementById('scenes');
+  for (const [id, name] of Object.entries(${JSON.stringify(sceneNames)})) {
+    const b = document.createElement('button');
+    b.textContent = id + ' ' + name;
+    b.dataset.cmd = '/scene ' + id;
+    scenes.appendChild(b);
+  }
+  document.addEventListener('click', (e) => e.target.dataset.cmd && send(e.target.dataset.cmd));
+  document.getElementById('raw').addEventListener('submit', (e) => {
+    e.preventDefault();
+    send(e.target.cmd.value);
+  });
+  // the operator approves it before it goes on screen
+  document.getElementById('message').addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (e.target.text.value.trim()) send('/message ' + e.target.text.value);
+    e.target.text.value = '';
+  });
+</script>
+</body>
+</html>`;
+
+const server = createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(REMOTE_PAGE);
+});
+server.on('upgrade', handleUpgrade);
+server.listen(WS_PORT, () => console.log(`ws: listening on :${WS_PORT} (phone remote at http://<host>:${WS_PORT}/)`));
+
+// ---------------------------------------------------------
+// OSC over UDP
+// ---------------------------------------------------------
+const osc = createSocket('udp4');
+osc.on('message', (buf) => {
+  try {
+    for (const msg of decodeOsc(buf)) broadcast(msg);
+  } catch (err) {
+    console.warn('osc: bad packet', err.message);
+  }
+});
+osc.bind(OSC_PORT, () => console.log(`osc: listening on udp :${OSC_PORT}`));
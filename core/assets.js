@@ -0,0 +1,74 @@
+// assets.js
+// Offline support for the output window: registers the service worker
+// (sw.js, which precaches everything in assets.json), checks at startup that
+// each of those files can be fetched, and collects load failures reported by
+// scenes (fonts, the QR library...) into a warning box on screen.
+
+const MANIFEST_URL = './assets.json';
+const SW_URL = './sw.js';
+
+const failures = []; // { url, reason }
+let box = null;
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return; // file:// or an insecure origin
+  navigator.serviceWorker.register(SW_URL)
+    .catch(err => console.warn('Service worker registration failed:', err.message));
+}
+
+function renderFailures() {
+  if (!box) {
+    box = document.createElement('div');
+    Object.assign(box.style, {
+      position: 'fixed',
+      bottom: '10px',
+      left: '10px',
+      maxWidth: '60vw',
+      padding: '6px 10px',
+      font: '12px monospace',
+      whiteSpace: 'pre-wrap',
+      background: 'rgba(120,0,0,0.85)',
+      color: 'white',
+      border: '1px solid #f66',
+      borderRadius: '4px',
+      cursor: 'pointer',
+      zIndex: 1001
+    });
+    box.title = 'Click to dismiss';
+    box.addEventListener('click', () => { box.style.display = 'none'; });
+    document.body.appendChild(box);
+  }
+  box.style.display = 'block';
+  box.textContent = `Assets failed to load:\n${failures.map(f => `${f.url} (${f.reason})`).join('\n')}`;
+}
+
+export function reportAssetFailure(url, reason) {
+  const text = reason?.message ?? String(reason);
+  if (failures.some(f => f.url === url)) return;
+  failures.push({ url, reason: text });
+  console.warn(`Asset failed to load: ${url}`, text);
+  renderFailures();
+}
+
+export function assetFailures() {
+  return failures.slice();
+}
+
+// Fetch every precached file once (served from the cache when offline)
+export async function checkAssets() {
+  let files;
+  try {
+    files = (await (await fetch(MANIFEST_URL)).json()).files;
+  } catch (err) {
+    reportAssetFailure(MANIFEST_URL, err);
+    return;
+  }
+  await Promise.all(files.map(async (url) => {
+    try {
+      const res = await fetch(url);
+      if (!res.ok) reportAssetFailure(url, `HTTP ${res.status}`);
+    } catch (err) {
+      reportAssetFailure(url, err);
+    }
+  }));
+}
@@ -0,0 +1,202 @@
+// audio.js
+// Web Audio analyser shared by every scene. Feeds from mic/line-in or an
+// audio file and exposes a plain `levels` object that main.js hands to each
+// scene's animate(delta, audio).
+
+// Band edges in Hz
+const BANDS = {
+  bass:   [20, 150],
+  mid:    [150, 2000],
+  treble: [2000, 12000],
+};
+
+const FLUX_HISTORY = 43;     // ~0.7s of frames for the adaptive onset threshold
+const ONSET_SENSITIVITY = 1.5;
+const ONSET_FLOOR = 0.02;
+const MIN_BEAT_GAP = 0.28;   // seconds, caps detection at ~214 BPM
+const BPM_RANGE = [80, 170]; // fold detected tempo into this octave
+const BEAT_HISTORY = 16;
+
+// What scenes receive when no input is running
+export const SILENT_LEVELS = Object.freeze({
+  active: false,
+  rms: 0,
+  bass: 0,
+  mid: 0,
+  treble: 0,
+  onset: false,
+  beat: false,
+  bpm: 0,
+  sinceBeat: Infinity,
+});
+
+export function createAudioBus({ fftSize = 2048, smoothing = 0.5 } = {}) {
+  let ctx = null;
+  let analyser = null;
+  let source = null;
+  let stream = null;
+  let element = null;
+  let freqData = null;
+  let timeData = null;
+  let prevSpectrum = null;
+
+  const fluxHistory = [];
+  const beatTimes = [];
+  let time = 0;
+  let lastBeat = -Infinity;
+
+  // Mutable so scenes can hold onto the reference
+  const levels = { ...SILENT_LEVELS };
+
+  function ensureContext() {
+    if (ctx) return ctx;
+    ctx = new (window.AudioContext || window.webkitAudioContext)();
+    analyser = ctx.createAnalyser();
+    analyser.fftSize = fftSize;
+    analyser.smoothingTimeConstant = smoothing;
+    freqData = new Uint8Array(analyser.frequencyBinCount);
+    timeData = new Uint8Array(analyser.fftSize);
+    prevSpectrum = new Float32Array(analyser.frequencyBinCount);
+    return ctx;
+  }
+
+  function disconnectSource() {
+    if (source) source.disconnect();
+    source = null;
+    if (stream) stream.getTracks().forEach(t => t.stop());
+    stream = null;
+    if (element) {
+      element.pause();
+      if (element.src.startsWith('blob:')) URL.revokeObjectURL(element.src);
+      element = null;
+    }
+    analyser?.disconnect();
+  }
+
+  function resetDetection() {
+    fluxHistory.length = 0;
+    beatTimes.length = 0;
+    lastBeat = -Infinity;
+    prevSpectrum?.fill(0);
+    Object.assign(levels, SILENT_LEVELS);
+  }
+
+  async function useMicrophone() {
+    ensureContext();
+    await ctx.resume();
+    disconnectSource();
+    resetDetection();
+    // Line-in wants the raw signal, not a voice-call processed one
+    stream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+    });
+    source = ctx.createMediaStreamSource(stream);
+    source.connect(analyser);
+    levels.active = true;
+  }
+
+  // `file` is a File/Blob (drag & drop) or a URL string (e.g. the bundled test WAV)
+  async function useFile(file, { loop = true, monitor = true } = {}) {
+    ensureContext();
+    await ctx.resume();
+    disconnectSource();
+    resetDetection();
+    element = new Audio();
+    element.loop = loop;
+    element.src = typeof file === 'string' ? file : URL.createObjectURL(file);
+    source = ctx.createMediaElementSource(element);
+    source.connect(analyser);
+    if (monitor) analyser.connect(ctx.destination);
+    await element.play();
+    levels.active = true;
+  }
+
+  function stop() {
+    disconnectSource();
+    resetDetection();
+  }
+
+  function bandLevel([lo, hi]) {
+    const binHz = ctx.sampleRate / analyser.fftSize;
+    const start = Math.max(1, Math.floor(lo / binHz));
+    const end = Math.min(freqData.length - 1, Math.ceil(hi / binHz));
+    let sum = 0;
+    for (let i = start; i <= end; i++) sum += freqData[i];
+    return sum / ((end - start + 1) * 255);
+  }
+
+  function estimateBpm() {
+    if (beatTimes.length < 4) return 0;
+    const gaps = [];
+    for (let i = 1; i < beatTimes.length; i++) gaps.push(beatTimes[i] - beatTimes[i - 1]);
+    gaps.sort((a, b) => a - b);
+    let bpm = 60 / gaps[gaps.length >> 1]; // median is robust to missed beats
+    while (bpm < BPM_RANGE[0]) bpm *= 2;
+    while (bpm > BPM_RANGE[1]) bpm /= 2;
+    return Math.round(bpm * 10) / 10;
+  }
+
+  // Call once per frame before the scenes animate
+  function update(delta) {
+    time += delta;
+    levels.onset = false;
+    levels.beat = false;
+    levels.sinceBeat = time - lastBeat;
+    if (!levels.active || !analyser) return levels;
+
+    analyser.getByteFrequencyData(freqData);
+    analyser.getByteTimeDomainData(timeData);
+
+    // RMS of the waveform (0..1)
+    let sq = 0;
+    for (let i = 0; i < timeData.length; i++) {
+      const v = (timeData[i] - 128) / 128;
+      sq += v * v;
+    }
+    levels.rms = Math.sqrt(sq / timeData.length);
+
+    levels.bass = bandLevel(BANDS.bass);
+    levels.mid = bandLevel(BANDS.mid);
+    levels.treble = bandLevel(BANDS.treble);
+
+    // Spectral flux: sum of positive bin changes since last frame
+    let flux = 0;
+    for (let i = 0; i < freqData.length; i++) {
+      const v = freqData[i] / 255;
+      const d = v - prevSpectrum[i];
+      if (d > 0) flux += d;
+      prevSpectrum[i] = v;
+    }
+    flux /= freqData.length;
+
+    const mean = fluxHistory.length
+      ? fluxHistory.reduce((a, b) => a + b, 0) / fluxHistory.length
+      : flux;
+    fluxHistory.push(flux);
+    if (fluxHistory.length > FLUX_HISTORY) fluxHistory.shift();
+
+    if (flux > mean * ONSET_SENSITIVITY && flux > ONSET_FLOOR) {
+      levels.onset = true;
+      // Only bass-heavy onsets count as beats
+      if (time - lastBeat >= MIN_BEAT_GAP && levels.bass > levels.treble) {
+        levels.beat = true;
+        lastBeat = time;
+        levels.sinceBeat = 0;
+        beatTimes.push(time);
+        if (beatTimes.length > BEAT_HISTORY) beatTimes.shift();
+        levels.bpm = estimateBpm();
+      }
+    }
+
+    return levels;
+  }
+
+  return {
+    levels,
+    update,
+    useMicrophone,
+    useFile,
+    stop,
+    get running() { return levels.active; },
+  };
+}
@@ -0,0 +1,78 @@
+// branding.js
+// Event branding: the names, words and links the scenes spell out, so a new
+// event is a config file rather than code edits. main.js loads it from
+// ?branding=<url>, ./branding.json next to index.html or a dropped file, and
+// hands it to every scene's setup() as opts.branding:
+//   { "type": "qfn-branding",
+//     "name": "QUEER FIGHT NIGHT",   cube scene message
+//     "shortName": "QFN",            scene 1 text
+//     "tagline": "HACKER NIGHT",     rain lightning cutout unless maskText is set
+//     "rainCharset": "QUEER",        letters the rain is made of
+//     "starWords": ["FIGHT"],        ocean star text, one picked per build
+//     "maskText": null,
+//     "qrLinks": ["https://..."],    signature QR code; the first is the default
+//     "palette": { "rain.color": "ff00ff", "city.buildingColor": "#00ffff" },
+//     "palettes": { "sponsor": ["#ff5500", "#ffffff", "#202020"] } }
+// palette sets colour knob defaults by '<scene name>.<key>' (as in the URL);
+// live or URL values still win. palettes adds the event's own show palettes
+// (core/palettes.js) next to the pride flags, as stripe colours. Missing
+// fields keep the defaults below.
+
+export const BRANDING_FILE_TYPE = 'qfn-branding';
+
+export const DEFAULT_BRANDING = Object.freeze({
+  name: 'QUEER FIGHT NIGHT',
+  shortName: 'QFN',
+  tagline: 'HACKER NIGHT',
+  rainCharset: 'QUEER',
+  starWords: Object.freeze(['FIGHT']),
+  maskText: null,
+  qrLinks: Object.freeze(['https://www.instagram.com/illb3bach/']),
+  palette: Object.freeze({}),
+  palettes: Object.freeze({}),
+});
+
+const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+const texts = (value) => (Array.isArray(value) ? value.map(text).filter(Boolean) : []);
+
+// Checked copy of a branding file; throws if it isn't one
+export function readBranding(data) {
+  const json = typeof data === 'string' ? JSON.parse(data) : data;
+  if (json?.type !== BRANDING_FILE_TYPE) throw new Error('Not a branding file');
+  const d = DEFAULT_BRANDING;
+  const starWords = texts(json.starWords);
+  const qrLinks = texts(json.qrLinks);
+  const palette = {};
+  for (const [name, value] of Object.entries(json.palette || {})) {
+    if (typeof value === 'string' || typeof value === 'number') palette[name] = value;
+  }
+  const palettes = {};
+  for (const [name, stripes] of Object.entries(json.palettes || {})) {
+    if (text(name) && texts(stripes).length >= 2) palettes[name.trim()] = texts(stripes);
+  }
+  return {
+    name: text(json.name) ?? d.name,
+    shortName: text(json.shortName) ?? d.shortName,
+    tagline: text(json.tagline) ?? d.tagline,
+    rainCharset: text(json.rainCharset) ?? d.rainCharset,
+    starWords: starWords.length ? starWords : d.starWords,
+    maskText: text(json.maskText),
+    qrLinks: qrLinks.length ? qrLinks : d.qrLinks,
+    palette,
+    palettes,
+  };
+}
+
+// Knob defaults the branding palette gives one scene (by its name, with its
+// schema), e.g. { color: 'ff00ff' }
+export function brandingKnobs(branding, sceneName, schema = {}) {
+  const defaults = {};
+  for (const [name, value] of Object.entries(branding.palette)) {
+    const [scene, key] = name.split('.');
+    if (scene === sceneName && schema[key]) defaults[key] = value;
+  }
+  return defaults;
+}
+
+// The lightning cutout text in the rain scene
+export const maskText = (branding) => branding.maskText ?? branding.tagline;
@@ -0,0 +1,23 @@
+// channel.js
+// BroadcastChannel linking the output window and operator windows.
+// Output -> operator: { type: 'status', ... } several times a second.
+// Operator -> output: { type: 'hello' } on open, then
+//                     { type: 'command', address, args } (same commands as the bridge).
+const SHOW_CHANNEL_NAME = 'qfn-show';
+
+export function openShowChannel() {
+  return new BroadcastChannel(SHOW_CHANNEL_NAME);
+}
+
+// Spanned output windows (core/span.js).
+// Leader -> followers: { type: 'frame', delta, levels, beat } every frame,
+//                      { type: 'load', ... } full state, and one message per
+//                      change: begin / cancel / progress / param / post /
+//                      pause / quality
+// Follower -> leader:  { type: 'hello' } on open; the leader answers by
+//                      reloading its scene and sending 'load' to everyone
+const SPAN_CHANNEL_NAME = 'qfn-span';
+
+export function openSpanChannel() {
+  return new BroadcastChannel(SPAN_CHANNEL_NAME);
+}
@@ -0,0 +1,86 @@
+// dispose.js
+// Freeing a scene's GPU resources when it's switched away from. Shared by
+// main.js and the self-test (selftest.js).
+//
+// main.js gives every scene a resource tracker (opts.resources) and tracks
+// the scene graph itself, so whatever is still in the graph when the scene
+// retires is freed: geometries, materials and the textures their maps and
+// uniforms point at. Scenes track() what lives outside the graph (texture
+// caches, geometry pools, render targets) and release() things they drop
+// while running, e.g. a despawned building.
+
+// Every geometry / material / texture / render target reachable from `resource`
+function collect(resource, found) {
+  if (!resource || found.has(resource)) return;
+  if (Array.isArray(resource)) {
+    resource.forEach(r => collect(r, found));
+  } else if (resource.isObject3D) {
+    resource.traverse((child) => {
+      collect(child.geometry, found);
+      collect(child.material, found);
+      if (child.isScene) collect(child.background, found);
+    });
+  } else if (resource.isMaterial) {
+    found.add(resource);
+    for (const value of Object.values(resource)) {
+      if (value?.isTexture) found.add(value);
+    }
+    for (const uniform of Object.values(resource.uniforms || {})) {
+      const value = uniform?.value;
+      if (value?.isTexture || Array.isArray(value)) collect(value, found);
+    }
+  } else if (resource.isTexture || resource.isBufferGeometry || resource.isWebGLRenderTarget) {
+    found.add(resource);
+  }
+}
+
+function disposeAll(resource) {
+  const found = new Set();
+  collect(resource, found);
+  found.forEach(r => r.dispose());
+}
+
+export function disposeObject(obj) {
+  disposeAll(obj);
+}
+
+export function disposeScene(scene) {
+  if (!scene) return;
+  // Remove children so they can be GC'd
+  while (scene.children.length) {
+    const child = scene.children.pop();
+    scene.remove(child);
+    disposeObject(child);
+  }
+  disposeAll(scene.background);
+}
+
+// { track(resource) -> resource, release(resource), dispose(), size }
+// Object3Ds are walked when freed, not when tracked, so children added
+// later are covered too. Disposing something twice is harmless.
+export function createResourceTracker() {
+  const tracked = new Set();
+
+  function track(resource) {
+    if (resource) tracked.add(resource);
+    return resource;
+  }
+
+  // Free one resource now (it stays usable; three re-uploads on next use)
+  function release(resource) {
+    tracked.delete(resource);
+    disposeAll(resource);
+  }
+
+  function dispose() {
+    disposeAll([...tracked]);
+    tracked.clear();
+  }
+
+  return {
+    track,
+    release,
+    dispose,
+    get size() { return tracked.size; }
+  };
+}
@@ -0,0 +1,148 @@
+// exporter.js
+// Frame sinks for the offline export in main.js. The show is stepped with a
+// fixed timestep and each finished frame is handed to a sink:
+//   'png'  - PNG per frame, bundled into an uncompressed .zip. Frame-exact;
+//            a plain zip holds at most ZIP_MAX_FRAMES files and 4 GB.
+//   'webm' - MediaRecorder on the canvas. It stamps frames with the wall
+//            clock, so frames are paced at the target fps in real time: not
+//            frame-exact, and any frame that takes longer than one interval
+//            to render stretches the clip. Use png when timing matters.
+// Both share { extension, addFrame(), finish() -> Blob, abort() }; abort()
+// stops recording and drops the frames, and is harmless after finish().
+
+export const EXPORT_FORMATS = ['png', 'webm'];
+export const ZIP_MAX_FRAMES = 0xFFFF; // entry counts are 16-bit
+const ZIP_MAX_BYTES = 0xFFFFFFFF;     // offsets are 32-bit
+
+export function createFrameSink(format, canvas, { fps = 30 } = {}) {
+  if (format === 'png') return createPngZipSink(canvas);
+  if (format === 'webm') return createWebmSink(canvas, fps);
+  throw new Error(`Unknown export format ${format}`);
+}
+
+export function downloadBlob(blob, filename) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// ---------------------------------------------------------
+// PNG sequence in a stored (no compression) zip
+// ---------------------------------------------------------
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+const DOS_DATE = 0x21; // 1980-01-01, so the same frames give the same zip
+
+function createPngZipSink(canvas) {
+  const parts = [];    // local headers + file data, in order
+  const central = [];  // central directory records
+  let offset = 0;
+  let frame = 0;
+
+  async function addFrame() {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    const data = new Uint8Array(await blob.arrayBuffer());
+    const name = new TextEncoder().encode(`frame_${String(frame++).padStart(5, '0')}.png`);
+    const size = 30 + name.length + data.length;
+    if (offset + size > ZIP_MAX_BYTES) throw new Error('PNG zip would pass 4 GB; export fewer frames or a smaller size');
+    if (frame > ZIP_MAX_FRAMES) throw new Error(`PNG zip holds at most ${ZIP_MAX_FRAMES} frames`);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);            // version needed
+    local.setUint16(10, 0, true);            // time
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);  // compressed size (stored)
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+
+    const record = new DataView(new ArrayBuffer(46));
+    record.setUint32(0, 0x02014B50, true);
+    record.setUint16(4, 20, true);           // version made by
+    record.setUint16(6, 20, true);           // version needed
+    record.setUint16(14, DOS_DATE, true);
+    record.setUint32(16, crc, true);
+    record.setUint32(20, data.length, true);
+    record.setUint32(24, data.length, true);
+    record.setUint16(28, name.length, true);
+    record.setUint32(42, offset, true);      // local header offset
+
+    parts.push(local, name, data);
+    central.push(record, name);
+    offset += size;
+  }
+
+  async function finish() {
+    const centralSize = central.reduce((n, p) => n + p.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, frame, true);           // entries on this disk
+    end.setUint16(10, frame, true);          // entries total
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
+
+  function abort() {
+    parts.length = 0;
+    central.length = 0;
+  }
+
+  return { extension: 'zip', addFrame, finish, abort };
+}
+
+// ---------------------------------------------------------
+// WebM via MediaRecorder
+// ---------------------------------------------------------
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const WEBM_BITRATE = 20_000_000;
+
+function createWebmSink(canvas, fps) {
+  const stream = canvas.captureStream(0); // frames only when requested
+  const [track] = stream.getVideoTracks();
+  const mimeType = WEBM_TYPES.find(t => MediaRecorder.isTypeSupported(t));
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: WEBM_BITRATE });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size) chunks.push(e.data);
+  };
+  recorder.start();
+
+  async function addFrame() {
+    track.requestFrame();
+    await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+  }
+
+  function finish() {
+    return new Promise((resolve) => {
+      recorder.onstop = () => {
+        track.stop();
+        resolve(new Blob(chunks, { type: 'video/webm' }));
+      };
+      recorder.stop();
+    });
+  }
+
+  function abort() {
+    recorder.onstop = null;
+    if (recorder.state !== 'inactive') recorder.stop();
+    track.stop();
+    chunks.length = 0;
+  }
+
+  return { extension: 'webm', addFrame, finish, abort };
+}
@@ -0,0 +1,139 @@
+// fightCard.js
+// The night's bouts for the walk-out scene (scenes/walkout.js). main.js
+// loads it from ?card=<url>, ./fightcard.json next to index.html or a
+// dropped file, and hands it to the scene's setup() as opts.fightCard.
+// JSON (see events/fightcard.json, or events/fightcard.csv for the CSV):
+//   { "type": "qfn-fight-card",
+//     "name": "Fight night",
+//     "bouts": [
+//       { "title": "Main event",
+//         "fighters": [
+//           { "name": "Alex Rivera", "nickname": "The Storm", "pronouns": "they/them",
+//             "corner": "red", "record": "7-2-0", "hometown": "Oakland",
+//             "photo": "photos/alex.jpg" },
+//           { "name": "...", "corner": "blue" } ] } ] }
+// or CSV with a header row, one fighter per line; lines sharing a bout
+// number are paired in the order they appear:
+//   bout,title,name,nickname,pronouns,corner,record,hometown,photo
+//   1,Main event,Alex Rivera,The Storm,they/them,red,7-2-0,Oakland,photos/alex.jpg
+// Only name is required. corner is a CSS colour name or hex and defaults to
+// red for the first fighter, blue for the second; photo paths are relative
+// to index.html.
+import * as THREE from 'three';
+
+export const FIGHT_CARD_FILE_TYPE = 'qfn-fight-card';
+
+const CORNERS = ['#e0203a', '#2060ff'];
+const FIELDS = ['nickname', 'pronouns', 'record', 'hometown', 'photo'];
+
+// What the scene shows until a card is loaded
+export const DEFAULT_FIGHT_CARD = Object.freeze({
+  name: 'Fight card',
+  bouts: Object.freeze([{
+    title: null,
+    fighters: [
+      { name: 'RED CORNER', corner: 0xe0203a, nickname: null, pronouns: null, record: null, hometown: null, photo: null },
+      { name: 'BLUE CORNER', corner: 0x2060ff, nickname: null, pronouns: null, record: null, hometown: null, photo: null },
+    ],
+  }]),
+});
+
+const text = (value) => {
+  const s = value == null ? '' : String(value).trim();
+  return s || null;
+};
+
+function cornerColor(value, fallback) {
+  const color = new THREE.Color(fallback);
+  if (typeof value === 'number') color.setHex(value & 0xffffff);
+  else if (text(value)) color.setStyle(/^[0-9a-f]{6}$/i.test(value.trim()) ? `#${value.trim()}` : value.trim());
+  return color.getHex();
+}
+
+function readFighter(f, corner, where) {
+  const name = text(f?.name);
+  if (!name) throw new Error(`${where}: fighter has no name`);
+  const fighter = { name, corner: cornerColor(f.corner, CORNERS[corner]) };
+  for (const key of FIELDS) fighter[key] = text(f[key]);
+  return fighter;
+}
+
+function readBouts(rawBouts) {
+  if (!Array.isArray(rawBouts) || rawBouts.length === 0) throw new Error('Fight card has no bouts');
+  return rawBouts.map((b, i) => {
+    if (!Array.isArray(b?.fighters) || b.fighters.length !== 2) {
+      throw new Error(`Bout ${i + 1}: needs exactly two fighters`);
+    }
+    return {
+      title: text(b.title),
+      fighters: b.fighters.map((f, corner) => readFighter(f, corner, `Bout ${i + 1}`)),
+    };
+  });
+}
+
+// Checked copy of a JSON fight card; throws if it isn't one
+export function readFightCard(data) {
+  const json = typeof data === 'string' ? JSON.parse(data) : data;
+  if (json?.type !== FIGHT_CARD_FILE_TYPE) throw new Error('Not a fight card file');
+  return { name: text(json.name) ?? DEFAULT_FIGHT_CARD.name, bouts: readBouts(json.bouts) };
+}
+
+// Rows of fields; quoted fields may hold commas, newlines and "" quotes
+function parseCsv(source) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (quoted) {
+      if (c === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+// The same card from CSV text; the file name (if any) names the card
+export function readFightCardCsv(source, fileName = null) {
+  const [header, ...lines] = parseCsv(source);
+  const columns = (header || []).map(h => h.trim().toLowerCase());
+  if (!columns.includes('bout') || !columns.includes('name')) {
+    throw new Error('Fight card CSV needs bout and name columns');
+  }
+  const bouts = new Map(); // bout number -> { title, fighters }, in first-seen order
+  lines.forEach((fields, i) => {
+    const row = Object.fromEntries(columns.map((c, j) => [c, fields[j]]));
+    const key = text(row.bout);
+    if (!key) throw new Error(`Line ${i + 2}: no bout number`);
+    if (!bouts.has(key)) bouts.set(key, { title: null, fighters: [] });
+    const bout = bouts.get(key);
+    bout.title ??= text(row.title);
+    bout.fighters.push(row);
+  });
+  return {
+    name: text(fileName?.replace(/\.csv$/i, '')) ?? DEFAULT_FIGHT_CARD.name,
+    bouts: readBouts([...bouts.values()]),
+  };
+}
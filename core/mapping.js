@@ -0,0 +1,577 @@
+// mapping.js
+// Projection mapping: the last stage before the canvas. The finished frame
+// (scene, transition mix or post chain) is drawn through one or more
+// outputs. Each output takes part of the frame (source) and pins it to four
+// corners on the canvas, optionally with a mesh grid on top for screens
+// that aren't flat. Per output there's a mask (edges cut to black) and
+// soft-edge blend widths for where two projectors overlap.
+//
+// Calibration persists in localStorage and round-trips through JSON export.
+// createCalibrationEditor() drags corners / grid points over a test grid.
+import * as THREE from 'three';
+
+import { createParamPanel } from './paramPanel.js';
+import { downloadBlob } from './exporter.js';
+
+export const CALIBRATION_FILE_TYPE = 'qfn-mapping';
+export const MAX_OUTPUTS = 4;
+export const GRID_SIZES = [0, 2, 3, 4, 6]; // mesh warp cells per side; 0 = corner pin only
+
+const OVERLAP = 0.1;      // share of the frame neighbouring outputs both show
+const SUBDIVISIONS = 32;  // render mesh cells per side
+const TINTS = [0xff3366, 0x33ff99, 0x3399ff, 0xffcc33]; // test grid colour per output
+
+// ---------------------------------------------------------
+// Calibration data. All coordinates are 0..1 with y down:
+//   { gamma, outputs: [{
+//       source:  [x, y, width, height]  part of the frame this output shows
+//       corners: [[x, y] × 4]           where it lands on the canvas: TL, TR, BR, BL
+//       grid:    { size, offsets }      mesh warp on top of the pin, or null;
+//                                       (size + 1)² [dx, dy], row by row
+//       mask:    [left, right, top, bottom]  cut to black, share of the output
+//       blend:   [left, right, top, bottom]  soft edge width, share of the output
+//   }] }
+// ---------------------------------------------------------
+
+// `count` outputs side by side across the canvas, overlapping by OVERLAP
+// with blended edges where they meet
+export function defaultCalibration(count = 1) {
+  count = Math.max(1, Math.min(MAX_OUTPUTS, Math.round(count) || 1));
+  const width = (1 + (count - 1) * OVERLAP) / count;
+  const blend = count > 1 ? OVERLAP / width : 0;
+  const outputs = [];
+  for (let i = 0; i < count; i++) {
+    const left = i / count;
+    const right = (i + 1) / count;
+    outputs.push({
+      source: [i * (width - OVERLAP), 0, width, 1],
+      corners: [[left, 0], [right, 0], [right, 1], [left, 1]],
+      grid: null,
+      mask: [0, 0, 0, 0],
+      blend: [i > 0 ? blend : 0, i < count - 1 ? blend : 0, 0, 0],
+    });
+  }
+  return { gamma: 2.2, outputs };
+}
+
+const numbers = (value, n) => Array.isArray(value) && value.length === n && value.every(Number.isFinite);
+
+// Checked copy of stored / imported data; anything malformed falls back
+function readCalibration(data) {
+  const fallback = defaultCalibration(data?.outputs?.length);
+  if (!Array.isArray(data?.outputs) || !data.outputs.length) return fallback;
+  const outputs = data.outputs.slice(0, MAX_OUTPUTS).map((o, i) => {
+    const grid = o?.grid;
+    const gridOk = grid && GRID_SIZES.includes(grid.size) && grid.size > 0 &&
+      Array.isArray(grid.offsets) && grid.offsets.length === (grid.size + 1) ** 2 &&
+      grid.offsets.every(p => numbers(p, 2));
+    return {
+      source: numbers(o?.source, 4) ? [...o.source] : fallback.outputs[i].source,
+      corners: Array.isArray(o?.corners) && o.corners.length === 4 && o.corners.every(c => numbers(c, 2))
+        ? o.corners.map(c => [...c]) : fallback.outputs[i].corners,
+      grid: gridOk ? { size: grid.size, offsets: grid.offsets.map(p => [...p]) } : null,
+      mask: numbers(o?.mask, 4) ? [...o.mask] : [0, 0, 0, 0],
+      blend: numbers(o?.blend, 4) ? [...o.blend] : [0, 0, 0, 0],
+    };
+  });
+  const gamma = Number(data.gamma);
+  return { gamma: gamma >= 1 && gamma <= 3 ? gamma : fallback.gamma, outputs };
+}
+
+// Nothing to do: one untouched full-frame output
+function isIdentity(calibration) {
+  return JSON.stringify(calibration.outputs) === JSON.stringify(defaultCalibration(1).outputs);
+}
+
+// Projective map of the unit square onto four corners (TL, TR, BR, BL):
+// (u, v) -> [X, Y, W], canvas point X/W, Y/W (Heckbert's square-to-quad)
+function squareToQuad([[x0, y0], [x1, y1], [x2, y2], [x3, y3]]) {
+  const dx1 = x1 - x2, dx2 = x3 - x2, dx3 = x0 - x1 + x2 - x3;
+  const dy1 = y1 - y2, dy2 = y3 - y2, dy3 = y0 - y1 + y2 - y3;
+  let g = 0, h = 0;
+  const det = dx1 * dy2 - dx2 * dy1;
+  if ((dx3 || dy3) && det) {
+    g = (dx3 * dy2 - dx2 * dy3) / det;
+    h = (dx1 * dy3 - dx3 * dy1) / det;
+  }
+  const a = x1 - x0 + g * x1, b = x3 - x0 + h * x3, c = x0;
+  const d = y1 - y0 + g * y1, e = y3 - y0 + h * y3, f = y0;
+  return (u, v) => [a * u + b * v + c, d * u + e * v + f, g * u + h * v + 1];
+}
+
+// Grid offset at (u, v), bilinear between the surrounding grid points
+function gridOffset(grid, u, v) {
+  if (!grid) return [0, 0];
+  const n = grid.size;
+  const i = Math.min(n - 1, Math.floor(u * n));
+  const j = Math.min(n - 1, Math.floor(v * n));
+  const fu = u * n - i;
+  const fv = v * n - j;
+  const at = (di, dj) => grid.offsets[(j + dj) * (n + 1) + i + di];
+  return [0, 1].map(k =>
+    (at(0, 0)[k] * (1 - fu) + at(1, 0)[k] * fu) * (1 - fv) +
+    (at(0, 1)[k] * (1 - fu) + at(1, 1)[k] * fu) * fv
+  );
+}
+
+// (u, v) -> { x, y, w }: where a point of the output lands on the canvas,
+// plus its projective weight. `pinOnly` leaves the mesh grid out.
+export function outputProjector(output, { pinOnly = false } = {}) {
+  const pin = squareToQuad(output.corners);
+  return (u, v) => {
+    const [X, Y, W] = pin(u, v);
+    const [dx, dy] = pinOnly ? [0, 0] : gridOffset(output.grid, u, v);
+    return { x: X / W + dx, y: Y / W + dy, w: W };
+  };
+}
+
+// ---------------------------------------------------------
+// Shaders
+// ---------------------------------------------------------
+// warp is the clip position times its projective weight, so uvs interpolate
+// perspective-correct across the pin
+const VERTEX = `
+  attribute vec3 warp;
+  varying vec2 vUv;
+  void main() {
+    vUv = vec2(uv.x, 1.0 - uv.y);
+    gl_Position = vec4(warp.xy, 0.0, warp.z);
+  }
+`;
+
+const FRAGMENT = `
+  varying vec2 vUv;
+  uniform sampler2D tInput;
+  uniform vec4 source;
+  uniform vec4 mask;
+  uniform vec4 blend;
+  uniform float gamma;
+  uniform float calibrate;
+  uniform vec3 tint;
+
+  // 0..1 across an edge of width w: an s-curve in linear light, so
+  // overlapping projectors add up to even light once the output's sRGB
+  // encoding has been undone by the projector. gamma is the projectors'
+  // own; at 2.2 (sRGB's) the curve is left as it is, otherwise it makes up
+  // the difference.
+  float ramp(float x, float w) {
+    if (w <= 0.0) return 1.0;
+    float t = clamp(x / w, 0.0, 1.0);
+    t = t < 0.5 ? 2.0 * t * t : 1.0 - 2.0 * (1.0 - t) * (1.0 - t);
+    return pow(t, 2.2 / gamma);
+  }
+
+  // 16×16 test grid with a heavier centre cross, about a pixel wide anywhere
+  float testGrid(vec2 p) {
+    vec2 cells = p * 16.0;
+    vec2 d = abs(fract(cells - 0.5) - 0.5) / fwidth(cells);
+    float lines = 1.0 - clamp(min(d.x, d.y), 0.0, 1.0);
+    vec2 c = abs(p - 0.5) / fwidth(p);
+    float cross = 1.0 - clamp(min(c.x, c.y) - 1.5, 0.0, 1.0);
+    return max(lines, cross);
+  }
+
+  void main() {
+    vec2 src = source.xy + vUv * source.zw;
+    vec3 c = texture2D(tInput, vec2(src.x, 1.0 - src.y)).rgb;
+    if (calibrate > 0.0) c = mix(c * 0.3, tint, testGrid(vUv));
+
+    float shown = step(mask.x, vUv.x) * step(mask.y, 1.0 - vUv.x)
+                * step(mask.z, vUv.y) * step(mask.w, 1.0 - vUv.y);
+    float fade = ramp(vUv.x, blend.x) * ramp(1.0 - vUv.x, blend.y)
+               * ramp(vUv.y, blend.z) * ramp(1.0 - vUv.y, blend.w);
+    gl_FragColor = vec4(c * shown * fade, 1.0);
+    #include <colorspace_fragment>
+  }
+`;
+
+// ---------------------------------------------------------
+// Output stage
+// ---------------------------------------------------------
+// Returns { input, active, calibrating, calibration, setCalibrating(on),
+//   setSize(width, height), render(), edit(fn), reset(count),
+//   exportCalibration(), importCalibration(data) }.
+// main.js renders into `input` instead of the canvas while `active`.
+export function createMapping(renderer, { storageKey = 'qfn.mapping', onChange = () => {} } = {}) {
+  const input = new THREE.WebGLRenderTarget(1, 1, {
+    minFilter: THREE.LinearFilter,
+    magFilter: THREE.LinearFilter,
+    type: THREE.HalfFloatType,
+  });
+  const scene = new THREE.Scene();
+  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  let meshes = [];
+  let calibrating = false;
+  let calibration = load();
+
+  function load() {
+    try {
+      return readCalibration(JSON.parse(localStorage.getItem(storageKey)));
+    } catch {
+      return defaultCalibration();
+    }
+  }
+
+  function save() {
+    localStorage.setItem(storageKey, JSON.stringify(calibration));
+  }
+
+  function createMesh(i) {
+    const geometry = new THREE.PlaneGeometry(1, 1, SUBDIVISIONS, SUBDIVISIONS);
+    geometry.setAttribute('warp', new THREE.BufferAttribute(new Float32Array(geometry.attributes.uv.count * 3), 3));
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        tInput: { value: input.texture },
+        source: { value: new THREE.Vector4() },
+        mask: { value: new THREE.Vector4() },
+        blend: { value: new THREE.Vector4() },
+        gamma: { value: 2.2 },
+        calibrate: { value: 0 },
+        tint: { value: new THREE.Color(TINTS[i % TINTS.length]) },
+      },
+      vertexShader: VERTEX,
+      fragmentShader: FRAGMENT,
+      depthTest: false,
+      depthWrite: false,
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.frustumCulled = false; // positions come from `warp`
+    scene.add(mesh);
+    return mesh;
+  }
+
+  function disposeMesh(mesh) {
+    scene.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  }
+
+  // Meshes and uniforms to match the calibration
+  function update() {
+    while (meshes.length > calibration.outputs.length) disposeMesh(meshes.pop());
+    while (meshes.length < calibration.outputs.length) meshes.push(createMesh(meshes.length));
+
+    calibration.outputs.forEach((output, i) => {
+      const { geometry, material } = meshes[i];
+      const project = outputProjector(output);
+      const uv = geometry.attributes.uv;
+      const warp = geometry.attributes.warp;
+      for (let k = 0; k < uv.count; k++) {
+        const { x, y, w } = project(uv.getX(k), 1 - uv.getY(k));
+        warp.setXYZ(k, (x * 2 - 1) * w, (1 - y * 2) * w, w);
+      }
+      warp.needsUpdate = true;
+
+      const u = material.uniforms;
+      u.source.value.fromArray(output.source);
+      u.mask.value.fromArray(output.mask);
+      u.blend.value.fromArray(output.blend);
+      u.gamma.value = calibration.gamma;
+    });
+  }
+
+  function changed() {
+    update();
+    save();
+    onChange();
+  }
+
+  // fn(calibration) changes it in place; the output follows and it's saved
+  function edit(fn) {
+    fn(calibration);
+    changed();
+  }
+
+  function reset(count = 1) {
+    calibration = defaultCalibration(count);
+    changed();
+  }
+
+  function exportCalibration() {
+    return JSON.stringify({ type: CALIBRATION_FILE_TYPE, ...calibration }, null, 2);
+  }
+
+  function importCalibration(data) {
+    const json = typeof data === 'string' ? JSON.parse(data) : data;
+    if (json?.type !== CALIBRATION_FILE_TYPE) throw new Error('Not a mapping calibration file');
+    calibration = readCalibration(json);
+    changed();
+  }
+
+  function setCalibrating(on) {
+    calibrating = on;
+    meshes.forEach(m => { m.material.uniforms.calibrate.value = on ? 1 : 0; });
+    onChange();
+  }
+
+  // Drawing-buffer pixels, like the frame rendered into `input`
+  function setSize(width, height) {
+    input.setSize(width, height);
+  }
+
+  // `input` to the canvas through every output
+  function render() {
+    renderer.setRenderTarget(null);
+    renderer.clear();
+    renderer.render(scene, camera);
+  }
+
+  update();
+
+  return {
+    input,
+    setSize,
+    render,
+    edit,
+    reset,
+    exportCalibration,
+    importCalibration,
+    setCalibrating,
+    get calibration() { return calibration; },
+    get calibrating() { return calibrating; },
+    get active() { return calibrating || !isIdentity(calibration); },
+  };
+}
+
+// ---------------------------------------------------------
+// Calibration editor: handles over the canvas for each output's corners
+// (and grid points), plus a panel for the selected output's source, mask,
+// blend and mesh size
+// ---------------------------------------------------------
+const EDGES = ['Left', 'Right', 'Top', 'Bottom'];
+const EDGE_PARAMS = {
+  sourceX: { type: 'range', label: 'Source x', min: 0, max: 1, step: 0.005, default: 0 },
+  sourceY: { type: 'range', label: 'Source y', min: 0, max: 1, step: 0.005, default: 0 },
+  sourceW: { type: 'range', label: 'Source width', min: 0.05, max: 1, step: 0.005, default: 1 },
+  sourceH: { type: 'range', label: 'Source height', min: 0.05, max: 1, step: 0.005, default: 1 },
+  ...Object.fromEntries(EDGES.map(e => [`mask${e}`,
+    { type: 'range', label: `Mask ${e.toLowerCase()}`, min: 0, max: 0.5, step: 0.005, default: 0 }])),
+  ...Object.fromEntries(EDGES.map(e => [`blend${e}`,
+    { type: 'range', label: `Blend ${e.toLowerCase()}`, min: 0, max: 0.5, step: 0.005, default: 0 }])),
+  grid: { type: 'enum', label: 'Mesh grid', options: GRID_SIZES.map(String), default: '0' },
+  gamma: { type: 'range', label: 'Projector gamma', min: 1, max: 3, step: 0.05, default: 2.2 },
+};
+
+function panelValues(calibration, output) {
+  const values = { grid: String(output.grid?.size ?? 0), gamma: calibration.gamma };
+  ['X', 'Y', 'W', 'H'].forEach((k, i) => { values[`source${k}`] = output.source[i]; });
+  EDGES.forEach((e, i) => {
+    values[`mask${e}`] = output.mask[i];
+    values[`blend${e}`] = output.blend[i];
+  });
+  return values;
+}
+
+function applyPanelValue(calibration, output, key, value) {
+  const source = ['sourceX', 'sourceY', 'sourceW', 'sourceH'].indexOf(key);
+  if (source >= 0) output.source[source] = value;
+  else if (key.startsWith('mask')) output.mask[EDGES.indexOf(key.slice(4))] = value;
+  else if (key.startsWith('blend')) output.blend[EDGES.indexOf(key.slice(5))] = value;
+  else if (key === 'gamma') calibration.gamma = value;
+  else if (key === 'grid') {
+    const size = Number(value);
+    output.grid = size ? { size, offsets: Array.from({ length: (size + 1) ** 2 }, () => [0, 0]) } : null;
+  }
+}
+
+export function createCalibrationEditor(mapping, canvas) {
+  let selected = 0;
+  let shown = null;  // `${selected}/${outputs}` the panel was built for
+  let dragging = null; // onDrag of the handle under the pointer
+
+  const layer = document.createElement('div');
+  Object.assign(layer.style, {
+    position: 'fixed',
+    inset: '0',
+    pointerEvents: 'none',
+    zIndex: 1001,
+    display: 'none'
+  });
+  document.body.appendChild(layer);
+
+  const panel = document.createElement('div');
+  Object.assign(panel.style, {
+    position: 'fixed',
+    bottom: '10px',
+    left: '10px',
+    width: '280px',
+    maxHeight: '60vh',
+    overflowY: 'auto',
+    padding: '8px',
+    font: '12px monospace',
+    background: 'rgba(0,0,0,0.8)',
+    color: 'white',
+    border: '1px solid white',
+    borderRadius: '4px',
+    zIndex: 1002,
+    display: 'none'
+  });
+  document.body.appendChild(panel);
+
+  function button(text, onClick) {
+    const b = document.createElement('button');
+    b.textContent = text;
+    Object.assign(b.style, {
+      font: 'inherit',
+      background: 'transparent',
+      color: 'white',
+      border: '1px solid #888',
+      borderRadius: '3px',
+      cursor: 'pointer',
+      margin: '2px'
+    });
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  const header = document.createElement('div');
+  const fields = document.createElement('div');
+  const footer = document.createElement('div');
+  footer.style.marginTop = '6px';
+  panel.append(header, fields);
+
+  const fileInput = document.createElement('input');
+  Object.assign(fileInput, { type: 'file', accept: '.json,application/json' });
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    file?.text().then((text) => {
+      try {
+        mapping.importCalibration(text);
+      } catch (err) {
+        console.warn(`${file.name}:`, err.message);
+      }
+    });
+  });
+  footer.append(
+    button('Export JSON', () => downloadBlob(
+      new Blob([mapping.exportCalibration()], { type: 'application/json' }), 'qfn-mapping.json')),
+    button('Import JSON', () => fileInput.click()),
+    button('Reset', () => mapping.reset(mapping.calibration.outputs.length)),
+    button('Done', () => mapping.setCalibrating(false)),
+  );
+  panel.appendChild(footer);
+
+  const fieldPanel = createParamPanel({
+    parent: fields,
+    floating: false,
+    onChange: (key, value) => mapping.edit((calibration) => {
+      applyPanelValue(calibration, calibration.outputs[selected], key, value);
+    }),
+  });
+
+  function renderHeader() {
+    const { outputs } = mapping.calibration;
+    header.replaceChildren('Calibration · drag the corners');
+    const picker = document.createElement('div');
+    picker.style.margin = '4px 0';
+    outputs.forEach((_, i) => {
+      const b = button(`Output ${i + 1}`, () => {
+        selected = i;
+        update();
+      });
+      if (i === selected) b.style.borderColor = '#0f0';
+      picker.appendChild(b);
+    });
+    const count = document.createElement('select');
+    for (let n = 1; n <= MAX_OUTPUTS; n++) count.add(new Option(`${n} output${n > 1 ? 's' : ''}`, n));
+    count.value = outputs.length;
+    count.addEventListener('change', () => mapping.reset(Number(count.value)));
+    picker.appendChild(count);
+    header.appendChild(picker);
+  }
+
+  // Canvas-relative 0..1 <-> page pixels
+  function toPage(x, y) {
+    const rect = canvas.getBoundingClientRect();
+    return [rect.left + x * rect.width, rect.top + y * rect.height];
+  }
+  function fromPage(px, py) {
+    const rect = canvas.getBoundingClientRect();
+    return [(px - rect.left) / rect.width, (py - rect.top) / rect.height];
+  }
+
+  // Drags are followed on the window: every edit rebuilds the handles
+  window.addEventListener('pointermove', (e) => dragging?.(fromPage(e.clientX, e.clientY)));
+  window.addEventListener('pointerup', () => { dragging = null; });
+
+  // A draggable dot; onDrag([x, y]) with the canvas-relative pointer position
+  function handle(x, y, size, color, onDrag) {
+    const dot = document.createElement('div');
+    const [px, py] = toPage(x, y);
+    Object.assign(dot.style, {
+      position: 'absolute',
+      left: `${px - size / 2}px`,
+      top: `${py - size / 2}px`,
+      width: `${size}px`,
+      height: `${size}px`,
+      borderRadius: '50%',
+      border: `2px solid ${color}`,
+      background: 'rgba(0,0,0,0.5)',
+      boxSizing: 'border-box',
+      cursor: 'move',
+      pointerEvents: 'auto',
+      touchAction: 'none'
+    });
+    dot.addEventListener('pointerdown', (e) => {
+      dragging = onDrag;
+      e.preventDefault();
+    });
+    return dot;
+  }
+
+  function renderHandles() {
+    layer.replaceChildren();
+    mapping.calibration.outputs.forEach((output, i) => {
+      const active = i === selected;
+      const color = `#${new THREE.Color(TINTS[i % TINTS.length]).getHexString()}`;
+      output.corners.forEach(([x, y], c) => {
+        layer.appendChild(handle(x, y, active ? 22 : 14, color, (point) => mapping.edit((calibration) => {
+          calibration.outputs[i].corners[c] = point;
+        })));
+      });
+      if (!active || !output.grid) return;
+
+      // Grid points sit where the mesh puts them; dragging stores the offset
+      // from where the corner pin alone would put them
+      const n = output.grid.size;
+      const project = outputProjector(output);
+      const pin = outputProjector(output, { pinOnly: true });
+      for (let j = 0; j <= n; j++) {
+        for (let k = 0; k <= n; k++) {
+          const { x, y } = project(k / n, j / n);
+          layer.appendChild(handle(x, y, 10, 'white', ([px, py]) => mapping.edit((calibration) => {
+            const base = pin(k / n, j / n);
+            calibration.outputs[i].grid.offsets[j * (n + 1) + k] = [px - base.x, py - base.y];
+          })));
+        }
+      }
+    });
+  }
+
+  // Follow the mapping after any change. The panel is only rebuilt when the
+  // selection or output count changes, so a field being dragged survives.
+  function update() {
+    const show = mapping.calibrating;
+    layer.style.display = panel.style.display = show ? 'block' : 'none';
+    if (!show) {
+      shown = null;
+      return;
+    }
+    const { calibration } = mapping;
+    selected = Math.min(selected, calibration.outputs.length - 1);
+    const values = panelValues(calibration, calibration.outputs[selected]);
+    if (shown !== `${selected}/${calibration.outputs.length}`) {
+      shown = `${selected}/${calibration.outputs.length}`;
+      renderHeader();
+      fieldPanel.render(EDGE_PARAMS, values, `Output ${selected + 1}`);
+    } else {
+      fieldPanel.update(values);
+    }
+    renderHandles();
+  }
+
+  window.addEventListener('resize', update);
+
+  return { update };
+}
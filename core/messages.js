@@ -0,0 +1,75 @@
+// messages.js
+// Live shout-outs (a name, a sponsor) spelled out by the scenes. Anything
+// sent in (operator window, or /message over the bridge) waits as 'pending'
+// until the operator approves it; approved messages then go live one at a
+// time, in order, for their display time. Time comes from update(delta), so
+// it runs on show time like everything else. Scenes only ever see the live
+// text (see showMessage in scenes/index.js).
+
+export const MESSAGE_MAX_LENGTH = 48;
+export const MESSAGE_SECONDS = 20; // display time unless the approval says otherwise
+
+// Upper case, single spaces, capped; null if nothing is left
+export function cleanMessage(text) {
+  const clean = String(text ?? '').replace(/\s+/g, ' ').trim().toUpperCase();
+  return clean ? clean.slice(0, MESSAGE_MAX_LENGTH) : null;
+}
+
+// onLive(message | null) whenever what's on screen changes. Returns
+// { submit(text), approve(id, seconds), reject(id), skip(), update(delta),
+//   live, remaining, list() }
+export function createMessageQueue({ onLive = () => {} } = {}) {
+  let queue = []; // { id, text, status: 'pending' | 'approved', seconds }
+  let nextId = 1;
+  let live = null;
+  let remaining = 0;
+
+  function submit(text) {
+    const clean = cleanMessage(text);
+    if (!clean) return null;
+    const message = { id: nextId++, text: clean, status: 'pending', seconds: MESSAGE_SECONDS };
+    queue.push(message);
+    return message;
+  }
+
+  function approve(id, seconds) {
+    const message = queue.find(m => m.id === id && m.status === 'pending');
+    if (!message) return;
+    message.status = 'approved';
+    if (Number(seconds) > 0) message.seconds = Number(seconds);
+  }
+
+  function reject(id) {
+    queue = queue.filter(m => m.id !== id);
+  }
+
+  // Take the live message down now; the next approved one follows
+  function skip() {
+    remaining = 0;
+  }
+
+  function update(delta) {
+    if (live) {
+      remaining -= delta;
+      if (remaining > 0) return;
+    }
+    const ended = live;
+    live = queue.find(m => m.status === 'approved') ?? null;
+    if (live) {
+      queue = queue.filter(m => m !== live);
+      remaining = live.seconds;
+    }
+    if (live || ended) onLive(live);
+  }
+
+  return {
+    submit,
+    approve,
+    reject,
+    skip,
+    update,
+    get live() { return live; },
+    get remaining() { return live ? remaining : 0; },
+    list: () => queue.map(m => ({ ...m })),
+  };
+}
@@ -0,0 +1,224 @@
+// midi.js
+// Web MIDI controller mapping with a learn mode. Controls are bound to named
+// targets supplied by main.js:
+//   { 'scene:3': { label, kind: 'trigger', apply() },
+//     'corridor.speed': { label, kind: 'range', apply(value01) } }
+// Bindings persist in localStorage and round-trip through JSON export.
+
+export const MAPPINGS_FILE_TYPE = 'qfn-midi-mappings';
+
+// 'cc:<channel>:<controller>' or 'note:<channel>:<note>'
+function controlKey(type, channel, number) {
+  return `${type}:${channel + 1}:${number}`;
+}
+
+// Decode a raw MIDI message; null for anything we don't map (clock, sysex...)
+export function parseMidiMessage(data) {
+  const [status, number, value = 0] = data;
+  if (status >= 0xF0) return null;
+  const type = status & 0xF0;
+  const channel = status & 0x0F;
+  if (type === 0x90 || type === 0x80) {
+    const on = type === 0x90 && value > 0;
+    return { key: controlKey('note', channel, number), value: on ? value / 127 : 0, press: on };
+  }
+  if (type === 0xB0) {
+    return { key: controlKey('cc', channel, number), value: value / 127, press: value >= 64 };
+  }
+  return null;
+}
+
+export function createMidiMapper({ targets, storageKey = 'qfn.midiMappings', onChange = () => {} }) {
+  let mappings = {};       // controlKey -> targetId
+  let learnTarget = null;  // targetId waiting for a control
+  const lastPress = {};    // controlKey -> bool, so CC buttons fire on the rising edge
+
+  function load() {
+    try {
+      mappings = JSON.parse(localStorage.getItem(storageKey)) || {};
+    } catch {
+      mappings = {};
+    }
+  }
+
+  function save() {
+    localStorage.setItem(storageKey, JSON.stringify(mappings));
+    onChange();
+  }
+
+  function learn(targetId) {
+    learnTarget = targets[targetId] ? targetId : null;
+    onChange();
+  }
+
+  function unbind(targetId) {
+    for (const key of Object.keys(mappings)) {
+      if (mappings[key] === targetId) delete mappings[key];
+    }
+    save();
+  }
+
+  function handleMessage(data) {
+    const msg = parseMidiMessage(data);
+    if (!msg) return;
+
+    if (learnTarget) {
+      // Ignore releases so the binding is made on the press/move itself
+      if (!msg.press && msg.key.startsWith('note')) return;
+      unbind(learnTarget);
+      mappings[msg.key] = learnTarget;
+      learnTarget = null;
+      save();
+      return;
+    }
+
+    const target = targets[mappings[msg.key]];
+    if (!target) return;
+    if (target.kind === 'range') {
+      target.apply(msg.value);
+    } else {
+      const wasPressed = lastPress[msg.key];
+      lastPress[msg.key] = msg.press;
+      if (msg.press && !wasPressed) target.apply();
+    }
+  }
+
+  // Listen on every input, including ones plugged in later
+  function attach(access) {
+    const onMessage = (e) => handleMessage(e.data);
+    const hook = (input) => {
+      input.removeEventListener('midimessage', onMessage);
+      input.addEventListener('midimessage', onMessage);
+    };
+    access.inputs.forEach(hook);
+    access.addEventListener?.('statechange', (e) => {
+      if (e.port.type === 'input' && e.port.state === 'connected') hook(e.port);
+    });
+  }
+
+  function exportMappings() {
+    return JSON.stringify({ type: MAPPINGS_FILE_TYPE, mappings }, null, 2);
+  }
+
+  function importMappings(data) {
+    const json = typeof data === 'string' ? JSON.parse(data) : data;
+    if (json?.type !== MAPPINGS_FILE_TYPE || typeof json.mappings !== 'object') {
+      throw new Error('Not a MIDI mappings file');
+    }
+    mappings = { ...json.mappings };
+    save();
+  }
+
+  function clear() {
+    mappings = {};
+    save();
+  }
+
+  function bindingFor(targetId) {
+    return Object.keys(mappings).find(k => mappings[k] === targetId) || null;
+  }
+
+  load();
+
+  return {
+    handleMessage,
+    attach,
+    learn,
+    unbind,
+    clear,
+    exportMappings,
+    importMappings,
+    bindingFor,
+    get learning() { return learnTarget; },
+  };
+}
+
+// ---------------------------------------------------------
+// Learn panel: click a target, then move a control to bind it
+// ---------------------------------------------------------
+export function createMidiLearnPanel(mapper, targets) {
+  const panel = document.createElement('div');
+  Object.assign(panel.style, {
+    position: 'fixed',
+    top: '10px',
+    right: '10px',
+    width: '260px',
+    maxHeight: '80vh',
+    overflowY: 'auto',
+    padding: '8px',
+    font: '12px monospace',
+    background: 'rgba(0,0,0,0.8)',
+    color: 'white',
+    border: '1px solid white',
+    borderRadius: '4px',
+    zIndex: 1000,
+    display: 'none'
+  });
+  document.body.appendChild(panel);
+
+  function button(text, onClick) {
+    const b = document.createElement('button');
+    b.textContent = text;
+    Object.assign(b.style, {
+      font: 'inherit',
+      background: 'transparent',
+      color: 'white',
+      border: '1px solid #888',
+      borderRadius: '3px',
+      cursor: 'pointer',
+      margin: '2px'
+    });
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  function download() {
+    const blob = new Blob([mapper.exportMappings()], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'qfn-midi-mappings.json';
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+
+  function render() {
+    panel.replaceChildren();
+    const title = document.createElement('div');
+    title.textContent = mapper.learning
+      ? `Move a control for: ${targets[mapper.learning].label}`
+      : 'MIDI learn — click a target';
+    title.style.marginBottom = '6px';
+    panel.appendChild(title);
+
+    for (const [id, target] of Object.entries(targets)) {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      const learnBtn = button(target.label, () => mapper.learn(mapper.learning === id ? null : id));
+      learnBtn.style.flex = '1';
+      learnBtn.style.textAlign = 'left';
+      if (mapper.learning === id) learnBtn.style.borderColor = '#0f0';
+      const binding = document.createElement('span');
+      binding.textContent = mapper.bindingFor(id) || '—';
+      binding.style.margin = '0 4px';
+      row.append(learnBtn, binding);
+      if (mapper.bindingFor(id)) row.appendChild(button('×', () => mapper.unbind(id)));
+      panel.appendChild(row);
+    }
+
+    const footer = document.createElement('div');
+    footer.style.marginTop = '6px';
+    footer.append(button('Export JSON', download), button('Clear all', () => mapper.clear()));
+    panel.appendChild(footer);
+  }
+
+  return {
+    render,
+    toggle() {
+      const show = panel.style.display === 'none';
+      panel.style.display = show ? 'block' : 'none';
+      if (!show) mapper.learn(null);
+      render();
+    },
+  };
+}
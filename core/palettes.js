@@ -0,0 +1,104 @@
+// palettes.js
+// Pride palettes for the whole show. A palette is the flag's stripes plus
+// the colour it gives each role; scene colour knobs name the role they
+// follow (`role` in their schema, core/params.js), and main.js sets every
+// such knob from the palette, cross-fading the ones on screen. 'neon' is
+// the scenes' own colours. Roles:
+//   primary    the main neon: cube solids, buildings, rain letters, edge lights
+//   secondary  large surfaces: corridor walls, mountains
+//   accent     lightning, grid lines
+//   highlight  light detail: stars, particles, the walk-out VS
+//   shade      dark grounds and floors
+// Custom palettes are a list of stripe colours (hex strings), from the
+// branding file's palettes ({ "sponsor": ["#ff5500", "#ffffff"] }) or typed
+// in (/palette ff5500 ffffff); their roles are picked from the stripes.
+import * as THREE from 'three';
+
+export const PALETTES = {
+  neon: { label: 'QFN neon', stripes: [], roles: null },
+  rainbow: {
+    label: 'Rainbow',
+    stripes: [0xe40303, 0xff8c00, 0xffed00, 0x008026, 0x004dff, 0x750787],
+    roles: { primary: 0xe40303, secondary: 0x004dff, accent: 0xffed00, highlight: 0xff8c00, shade: 0x2a0a3a },
+  },
+  progress: {
+    label: 'Progress',
+    stripes: [0xffffff, 0xf5a9b8, 0x5bcefa, 0x613915, 0x000000,
+      0xe40303, 0xff8c00, 0xffed00, 0x008026, 0x004dff, 0x750787],
+    roles: { primary: 0x5bcefa, secondary: 0xf5a9b8, accent: 0xff8c00, highlight: 0xffffff, shade: 0x3a220c },
+  },
+  trans: {
+    label: 'Trans',
+    stripes: [0x5bcefa, 0xf5a9b8, 0xffffff, 0xf5a9b8, 0x5bcefa],
+    roles: { primary: 0x5bcefa, secondary: 0xf5a9b8, accent: 0xffffff, highlight: 0xffffff, shade: 0x1b3e4b },
+  },
+  bi: {
+    label: 'Bi',
+    stripes: [0xd60270, 0xd60270, 0x9b4f96, 0x0038a8, 0x0038a8],
+    roles: { primary: 0xd60270, secondary: 0x0038a8, accent: 0x9b4f96, highlight: 0xff8ac0, shade: 0x2f1830 },
+  },
+  lesbian: {
+    label: 'Lesbian',
+    stripes: [0xd52d00, 0xef7627, 0xff9a56, 0xffffff, 0xd162a4, 0xb55690, 0xa30262],
+    roles: { primary: 0xef7627, secondary: 0xd162a4, accent: 0xa30262, highlight: 0xffffff, shade: 0x3d0120 },
+  },
+  nonbinary: {
+    label: 'Nonbinary',
+    stripes: [0xfcf434, 0xffffff, 0x9c59d1, 0x2c2c2c],
+    roles: { primary: 0xfcf434, secondary: 0x9c59d1, accent: 0xffffff, highlight: 0xffffff, shade: 0x2c2c2c },
+  },
+};
+
+export const PALETTE_NAMES = Object.keys(PALETTES);
+
+// '#ff5500', 'ff5500', '0xff5500', or a number that is the colour itself
+// (OSC, JSON)
+function readColor(value) {
+  if (typeof value === 'number') return value & 0xffffff;
+  const hex = String(value).trim().replace(/^#|^0x/i, '');
+  if (!/^[0-9a-f]{1,6}$/i.test(hex)) throw new Error(`Not a colour: ${value}`);
+  return parseInt(hex, 16);
+}
+
+const luminance = (hex) => new THREE.Color(hex).getHSL({}).l;
+
+// Roles for a bare list of stripes: the first three in order, the lightest
+// for highlights and a dimmed darkest one for shade
+function rolesFromStripes(stripes) {
+  const byLight = [...stripes].sort((a, b) => luminance(a) - luminance(b));
+  return {
+    primary: stripes[0],
+    secondary: stripes[1 % stripes.length],
+    accent: stripes[2 % stripes.length],
+    highlight: byLight[byLight.length - 1],
+    shade: new THREE.Color(byLight[0]).multiplyScalar(0.1).getHex(),
+  };
+}
+
+// { name, label, stripes, roles } for a palette name (built in, or one of
+// `custom`, the branding's palettes) or a list of stripe colours (an array,
+// or one string split on commas / spaces); throws if it's neither
+export function readPalette(value, custom = {}) {
+  const name = typeof value === 'string' ? value.trim().toLowerCase() : null;
+  if (PALETTES[name]) return { name, ...PALETTES[name] };
+  const own = Object.keys(custom).find(key => key.toLowerCase() === name);
+  const list = own ? custom[own] : Array.isArray(value) ? value : String(value).split(/[\s,]+/).filter(Boolean);
+  if (!own && list.length < 2) throw new Error(`No palette ${value}`);
+  const stripes = list.map(readColor);
+  return { name: own ?? 'custom', label: own ?? 'Custom', stripes, roles: rolesFromStripes(stripes) };
+}
+
+// Knob values a palette gives one scene's schema; 'neon' leaves them alone
+export function paletteKnobs(palette, schema = {}) {
+  const defaults = {};
+  if (!palette.roles) return defaults;
+  for (const [key, def] of Object.entries(schema)) {
+    if (def.role) defaults[key] = palette.roles[def.role];
+  }
+  return defaults;
+}
+
+// Part way (t 0..1) from one colour knob value to another
+export function mixColor(from, to, t) {
+  return new THREE.Color(from).lerp(new THREE.Color(to), t).getHex();
+}
@@ -0,0 +1,119 @@
+// paramPanel.js
+// Live tweak panel for a scene's param schema (see params.js). One input per
+// knob; edits go to onChange(key, value) so the caller decides whether they
+// land in the local scene or travel as a /param command.
+import { colorToCss, coerceParam } from './params.js';
+
+// floating: fixed overlay on the output window (style overrides its
+// placement); otherwise the panel is appended to `parent` (operator window)
+// and always visible
+export function createParamPanel({ onChange, parent = document.body, floating = true, style }) {
+  const panel = document.createElement('div');
+  Object.assign(panel.style, floating ? {
+    position: 'fixed',
+    top: '10px',
+    left: '10px',
+    width: '280px',
+    maxHeight: '80vh',
+    overflowY: 'auto',
+    padding: '8px',
+    font: '12px monospace',
+    background: 'rgba(0,0,0,0.8)',
+    color: 'white',
+    border: '1px solid white',
+    borderRadius: '4px',
+    zIndex: 1000,
+    display: 'none',
+    ...style
+  } : {});
+  parent.appendChild(panel);
+
+  let inputs = {}; // key -> { def, el, readout }
+
+  function displayValue(def, value) {
+    if (def.type === 'color') return colorToCss(value);
+    return value;
+  }
+
+  function createInput(key, def) {
+    let el;
+    const emit = (value) => onChange(key, coerceParam(def, value));
+    if (def.type === 'range') {
+      el = document.createElement('input');
+      Object.assign(el, { type: 'range', min: def.min, max: def.max, step: def.step || 'any' });
+      el.addEventListener('input', () => emit(el.value));
+    } else if (def.type === 'color') {
+      el = document.createElement('input');
+      el.type = 'color';
+      el.addEventListener('input', () => emit(el.value));
+    } else if (def.type === 'enum') {
+      el = document.createElement('select');
+      for (const o of def.options) el.add(new Option(o, o));
+      el.addEventListener('change', () => emit(el.value));
+    } else if (def.type === 'bool') {
+      el = document.createElement('input');
+      el.type = 'checkbox';
+      el.addEventListener('change', () => emit(el.checked));
+    } else {
+      el = document.createElement('input');
+      el.type = 'text';
+      el.addEventListener('change', () => emit(el.value));
+    }
+    return el;
+  }
+
+  // Rebuild the rows for a (new) scene
+  function render(schema, values, title) {
+    panel.replaceChildren();
+    inputs = {};
+    const heading = document.createElement('div');
+    heading.textContent = title;
+    heading.style.marginBottom = '6px';
+    panel.appendChild(heading);
+
+    if (!schema) {
+      panel.append('No live params');
+      return;
+    }
+
+    for (const [key, def] of Object.entries(schema)) {
+      const row = document.createElement('label');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      row.style.margin = '2px 0';
+      const name = document.createElement('span');
+      name.textContent = (def.label || key) + (def.rebuild ? ' ↻' : '');
+      name.style.flex = '1';
+      const el = createInput(key, def);
+      const readout = document.createElement('span');
+      readout.style.minWidth = '48px';
+      readout.style.textAlign = 'right';
+      row.append(name, el, readout);
+      panel.appendChild(row);
+      inputs[key] = { def, el, readout };
+    }
+    update(values);
+  }
+
+  // Sync inputs to the current values; leaves a field alone while it's edited
+  function update(values) {
+    for (const [key, { def, el, readout }] of Object.entries(inputs)) {
+      if (!values || !(key in values)) continue;
+      const value = values[key];
+      readout.textContent = def.type === 'range' ? value : '';
+      if (document.activeElement === el) continue;
+      if (def.type === 'bool') el.checked = value;
+      else el.value = displayValue(def, value);
+    }
+  }
+
+  return {
+    render,
+    update,
+    get visible() { return panel.style.display !== 'none'; },
+    toggle() {
+      panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    },
+  };
+}
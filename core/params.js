@@ -0,0 +1,56 @@
+// params.js
+// Typed parameter schemas for scenes. Each scene module exports a schema,
+//   { speed: { type: 'range', min: 0, max: 60, step: 0.5, default: 18, label: 'Speed' },
+//     tint:  { type: 'color', default: 0x00ff00 },
+//     mode:  { type: 'enum', options: ['a', 'b'], default: 'a' },
+//     glow:  { type: 'bool', default: true },
+//     text:  { type: 'text', default: 'QFN', rebuild: true } }
+// builds its live `params` with createParams(schema, opts) and reads them
+// every frame. `rebuild: true` marks knobs that only take effect when the
+// scene is set up again (main.js rebuilds the scene when they change).
+// Colour knobs may name a palette `role` (core/palettes.js) to follow the
+// show's palette.
+
+export function coerceParam(def, value) {
+  switch (def.type) {
+    case 'range': {
+      let n = Number(value);
+      if (!Number.isFinite(n)) return def.default;
+      n = Math.min(def.max, Math.max(def.min, n));
+      if (def.step) n = def.min + Math.round((n - def.min) / def.step) * def.step;
+      return Math.round(n * 1e6) / 1e6; // keep float steps tidy
+    }
+    case 'color': {
+      if (typeof value === 'number') return value & 0xffffff;
+      const hex = String(value).replace(/^#|^0x/i, '');
+      const n = parseInt(hex, 16);
+      return Number.isFinite(n) ? n & 0xffffff : def.default;
+    }
+    case 'enum':
+      return def.options.includes(value) ? value : def.default;
+    case 'bool':
+      return value === true || value === 1 || value === 'true' || value === 'on' || value === '1';
+    case 'text':
+      return value == null ? def.default : String(value);
+    default:
+      return value;
+  }
+}
+
+// Defaults overlaid with whatever overrides match the schema
+export function createParams(schema, overrides = {}) {
+  const params = {};
+  for (const [key, def] of Object.entries(schema)) {
+    params[key] = key in overrides ? coerceParam(def, overrides[key]) : def.default;
+  }
+  return params;
+}
+
+// MIDI / fader helper: map a 0..1 control onto a range param
+export function paramFromUnit(def, v) {
+  return coerceParam(def, def.min + v * (def.max - def.min));
+}
+
+export function colorToCss(hex) {
+  return `#${hex.toString(16).padStart(6, '0')}`;
+}
@@ -0,0 +1,312 @@
+// post.js
+// Post-processing chain run over the finished frame (a scene, or the
+// transition mix) before it reaches the canvas:
+//   bloom       bright pass, blurred at half and quarter size, added back
+//   aberration  radial RGB split towards the edges
+//   LUT         colour grade through a 16³ lookup strip (LUTS below)
+//   vignette, CRT scanlines, film grain
+// main.js renders into `input` instead of the screen when the chain is on
+// and calls render(); `amount` (0..1) fades the whole look in and out, so
+// per-scene on/off and bloom can be blended through a transition.
+import * as THREE from 'three';
+
+import { createParams } from './params.js';
+
+// ---------------------------------------------------------
+// Colour grades. Each maps linear rgb (0..1) to a graded rgb; baked into a
+// LUT_SIZE³ strip on first use.
+// ---------------------------------------------------------
+const luma = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+const saturate = (r, g, b, s) => {
+  const l = luma(r, g, b);
+  return [l + (r - l) * s, l + (g - l) * s, l + (b - l) * s];
+};
+const contrast = (v, c) => (v - 0.5) * c + 0.5;
+
+export const LUTS = {
+  none: null,
+  warm: (r, g, b) => [r * 1.08 + 0.02, g * 1.0 + 0.01, b * 0.85],
+  cool: (r, g, b) => [r * 0.88, g * 1.0, b * 1.1 + 0.02],
+  // teal shadows, orange highlights
+  tealOrange: (r, g, b) => {
+    const t = Math.min(1, Math.max(0, luma(r, g, b) * 1.4));
+    return [r + (t - 0.5) * 0.12, g + (0.5 - Math.abs(t - 0.5)) * 0.02, b - (t - 0.5) * 0.14];
+  },
+  neon: (r, g, b) => saturate(contrast(r, 1.15), contrast(g, 1.15), contrast(b, 1.15), 1.6),
+  noir: (r, g, b) => {
+    const l = contrast(luma(r, g, b), 1.35);
+    return [l, l, l];
+  },
+};
+export const LUT_NAMES = Object.keys(LUTS);
+
+const LUT_SIZE = 16;
+
+// LUT_SIZE slices of LUT_SIZE×LUT_SIZE side by side: x = red + blue slice, y = green
+function bakeLut(grade) {
+  const w = LUT_SIZE * LUT_SIZE;
+  const data = new Uint8Array(w * LUT_SIZE * 4);
+  const clamp = (v) => Math.round(Math.min(1, Math.max(0, v)) * 255);
+  for (let b = 0; b < LUT_SIZE; b++) {
+    for (let g = 0; g < LUT_SIZE; g++) {
+      for (let r = 0; r < LUT_SIZE; r++) {
+        const n = LUT_SIZE - 1;
+        const [or, og, ob] = grade(r / n, g / n, b / n);
+        const i = (g * w + b * LUT_SIZE + r) * 4;
+        data[i] = clamp(or);
+        data[i + 1] = clamp(og);
+        data[i + 2] = clamp(ob);
+        data[i + 3] = 255;
+      }
+    }
+  }
+  const tex = new THREE.DataTexture(data, w, LUT_SIZE);
+  tex.magFilter = tex.minFilter = THREE.LinearFilter;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+// ---------------------------------------------------------
+// Live knobs (core/params.js schema; main.js exposes them as post.<key>).
+// Off until the operator turns it on (V panel, /post enabled on, or
+// ?post.enabled=on); the amounts below are the look it starts with then.
+// ---------------------------------------------------------
+export const POST_PARAMS = {
+  enabled:        { type: 'bool', label: 'Post FX', default: false },
+  bloom:          { type: 'range', label: 'Bloom', min: 0, max: 3, step: 0.05, default: 1 },
+  bloomThreshold: { type: 'range', label: 'Bloom threshold', min: 0, max: 1, step: 0.01, default: 0.55 },
+  bloomRadius:    { type: 'range', label: 'Bloom radius', min: 0, max: 1, step: 0.05, default: 0.5 },
+  aberration:     { type: 'range', label: 'Chromatic aberration', min: 0, max: 1, step: 0.01, default: 0.15 },
+  scanlines:      { type: 'range', label: 'Scanlines', min: 0, max: 1, step: 0.01, default: 0 },
+  scanlineSize:   { type: 'range', label: 'Scanline size (px)', min: 2, max: 8, step: 1, default: 3 },
+  grain:          { type: 'range', label: 'Film grain', min: 0, max: 1, step: 0.01, default: 0.1 },
+  vignette:       { type: 'range', label: 'Vignette', min: 0, max: 1, step: 0.01, default: 0.35 },
+  lut:            { type: 'enum', label: 'Colour grade', options: LUT_NAMES, default: 'none' },
+  lutAmount:      { type: 'range', label: 'Grade amount', min: 0, max: 1, step: 0.05, default: 1 },
+};
+
+// ---------------------------------------------------------
+// Shaders
+// ---------------------------------------------------------
+const VERTEX = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+const BRIGHT = `
+  varying vec2 vUv;
+  uniform sampler2D tInput;
+  uniform float threshold;
+  void main() {
+    vec3 c = texture2D(tInput, vUv).rgb;
+    float l = dot(c, vec3(0.2126, 0.7152, 0.0722));
+    gl_FragColor = vec4(c * smoothstep(threshold, threshold + 0.1, l), 1.0);
+  }
+`;
+
+// 9-tap separable gaussian; direction is one texel along x or y
+const BLUR = `
+  varying vec2 vUv;
+  uniform sampler2D tInput;
+  uniform vec2 direction;
+  void main() {
+    vec3 c = texture2D(tInput, vUv).rgb * 0.227027;
+    c += texture2D(tInput, vUv + direction * 1.384615).rgb * 0.316216;
+    c += texture2D(tInput, vUv - direction * 1.384615).rgb * 0.316216;
+    c += texture2D(tInput, vUv + direction * 3.230769).rgb * 0.070270;
+    c += texture2D(tInput, vUv - direction * 3.230769).rgb * 0.070270;
+    gl_FragColor = vec4(c, 1.0);
+  }
+`;
+
+const COMPOSITE = `
+  varying vec2 vUv;
+  uniform sampler2D tInput;
+  uniform sampler2D tBloomHalf;
+  uniform sampler2D tBloomQuarter;
+  uniform sampler2D tLut;
+  uniform vec2 resolution;
+  uniform float time;
+  uniform float amount;
+  uniform float bloom;
+  uniform float bloomRadius;
+  uniform float aberration;
+  uniform float scanlines;
+  uniform float scanlineSize;
+  uniform float grain;
+  uniform float vignette;
+  uniform float lutAmount;
+
+  float hash(vec2 p) { return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453); }
+
+  vec3 grade(vec3 c) {
+    const float size = ${LUT_SIZE.toFixed(1)};
+    c = clamp(c, 0.0, 1.0) * (size - 1.0);
+    float slice = floor(c.b);
+    float f = c.b - slice;
+    vec2 px = vec2(c.r + 0.5, c.g + 0.5) / vec2(size * size, size);
+    vec3 a = texture2D(tLut, px + vec2(slice / size, 0.0)).rgb;
+    vec3 b = texture2D(tLut, px + vec2(min(slice + 1.0, size - 1.0) / size, 0.0)).rgb;
+    return mix(a, b, f);
+  }
+
+  void main() {
+    vec4 src = texture2D(tInput, vUv);
+
+    vec2 offset = (vUv - 0.5) * aberration * 0.02;
+    vec3 c = vec3(
+      texture2D(tInput, vUv + offset).r,
+      src.g,
+      texture2D(tInput, vUv - offset).b
+    );
+
+    vec3 glow = texture2D(tBloomHalf, vUv).rgb * (1.0 - bloomRadius * 0.5)
+              + texture2D(tBloomQuarter, vUv).rgb * (0.5 + bloomRadius);
+    c += glow * bloom;
+
+    c = mix(c, grade(c), lutAmount);
+
+    float edge = length((vUv - 0.5) * vec2(resolution.x / resolution.y, 1.0));
+    c *= 1.0 - vignette * smoothstep(0.35, 1.0, edge);
+
+    float line = 0.5 + 0.5 * cos(gl_FragCoord.y / scanlineSize * 6.2831853);
+    c *= 1.0 - scanlines * 0.6 * line;
+
+    c += (hash(gl_FragCoord.xy + fract(time) * 100.0) - 0.5) * grain * 0.2;
+
+    gl_FragColor = vec4(mix(src.rgb, c, amount), 1.0);
+    #include <colorspace_fragment>
+  }
+`;
+
+function fullscreenMaterial(fragmentShader, uniforms) {
+  return new THREE.ShaderMaterial({
+    uniforms,
+    vertexShader: VERTEX,
+    fragmentShader,
+    depthTest: false,
+    depthWrite: false
+  });
+}
+
+// ---------------------------------------------------------
+// Chain
+// ---------------------------------------------------------
+// opts: initial values for POST_PARAMS. Returns
+//   { params, input, setSize(width, height), render({ amount, bloom, time, target }), dispose() }
+// with width/height in drawing-buffer pixels.
+export function createPostChain(renderer, opts = {}) {
+  const params = createParams(POST_PARAMS, opts);
+
+  // Half float so bloom sees highlights past 1.0; only the scene render needs depth
+  const rt = (depthBuffer = false) => new THREE.WebGLRenderTarget(1, 1, {
+    minFilter: THREE.LinearFilter,
+    magFilter: THREE.LinearFilter,
+    type: THREE.HalfFloatType,
+    depthBuffer,
+  });
+  const input = rt(true);
+  const half = [rt(), rt()];       // [result, scratch]
+  const quarter = [rt(), rt()];
+
+  const brightMat = fullscreenMaterial(BRIGHT, {
+    tInput: { value: null },
+    threshold: { value: 0 },
+  });
+  const blurMat = fullscreenMaterial(BLUR, {
+    tInput: { value: null },
+    direction: { value: new THREE.Vector2() },
+  });
+  const compositeMat = fullscreenMaterial(COMPOSITE, {
+    tInput: { value: input.texture },
+    tBloomHalf: { value: half[0].texture },
+    tBloomQuarter: { value: quarter[0].texture },
+    tLut: { value: null },
+    resolution: { value: new THREE.Vector2(1, 1) },
+    time: { value: 0 },
+    amount: { value: 1 },
+    bloom: { value: 0 },
+    bloomRadius: { value: 0 },
+    aberration: { value: 0 },
+    scanlines: { value: 0 },
+    scanlineSize: { value: 3 },
+    grain: { value: 0 },
+    vignette: { value: 0 },
+    lutAmount: { value: 0 },
+  });
+
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), compositeMat);
+  const quadScene = new THREE.Scene();
+  quadScene.add(quad);
+  const quadCam = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+  function pass(material, target) {
+    quad.material = material;
+    renderer.setRenderTarget(target);
+    renderer.render(quadScene, quadCam);
+  }
+
+  // Horizontal into scratch, vertical into target (which may be the source)
+  function blur(source, target, scratch) {
+    blurMat.uniforms.tInput.value = source.texture;
+    blurMat.uniforms.direction.value.set(1 / scratch.width, 0);
+    pass(blurMat, scratch);
+    blurMat.uniforms.tInput.value = scratch.texture;
+    blurMat.uniforms.direction.value.set(0, 1 / target.height);
+    pass(blurMat, target);
+  }
+
+  function setSize(width, height) {
+    input.setSize(width, height);
+    half.forEach(t => t.setSize(Math.max(1, width >> 1), Math.max(1, height >> 1)));
+    quarter.forEach(t => t.setSize(Math.max(1, width >> 2), Math.max(1, height >> 2)));
+    compositeMat.uniforms.resolution.value.set(width, height);
+  }
+
+  const lutCache = {};
+  function lutTexture(name) {
+    if (!LUTS[name]) return null;
+    lutCache[name] ??= bakeLut(LUTS[name]);
+    return lutCache[name];
+  }
+
+  // Draw `input` through the chain to `target` (null: the canvas). amount and
+  // bloom come from the scene(s) on screen; bloom scales params.bloom.
+  function render({ amount = 1, bloom = 1, time = 0, target = null } = {}) {
+    const bloomStrength = params.bloom * bloom;
+    if (bloomStrength > 0) {
+      brightMat.uniforms.tInput.value = input.texture;
+      brightMat.uniforms.threshold.value = params.bloomThreshold;
+      pass(brightMat, half[0]);
+      blur(half[0], half[0], half[1]);
+      blur(half[0], quarter[0], quarter[1]);
+    }
+
+    const lut = lutTexture(params.lut);
+    const u = compositeMat.uniforms;
+    u.time.value = time;
+    u.amount.value = amount;
+    u.bloom.value = bloomStrength;
+    u.bloomRadius.value = params.bloomRadius;
+    u.aberration.value = params.aberration;
+    u.scanlines.value = params.scanlines;
+    u.scanlineSize.value = params.scanlineSize;
+    u.grain.value = params.grain;
+    u.vignette.value = params.vignette;
+    u.tLut.value = lut;
+    u.lutAmount.value = lut ? params.lutAmount : 0;
+    pass(compositeMat, target);
+  }
+
+  function dispose() {
+    [input, ...half, ...quarter].forEach(t => t.dispose());
+    [brightMat, blurMat, compositeMat].forEach(m => m.dispose());
+    Object.values(lutCache).forEach(t => t.dispose());
+    quad.geometry.dispose();
+  }
+
+  return { params, input, setSize, render, dispose };
+}
@@ -0,0 +1,93 @@
+// quality.js
+// Adaptive quality for whatever laptop is at the venue. The governor watches
+// frame time and steps between three presets:
+//   pixelRatio   renderer pixel ratio (capped by the display's own)
+//   renderScale  transition render targets, as a fraction of the output size
+//   detail       0..1 handed to scenes (setup opts.detail and the quality()
+//                hook) to scale their heavy parts: particle counts, trails,
+//                segment counts, mesh subdivisions
+// Mode 'auto' drops a level after DROP_AFTER seconds over budget and probes
+// back up after a stretch at full frame rate; a probe that drops straight
+// back doubles the wait before the next one. Under vsync the frame time
+// can't show headroom directly, so probing is the only way to find it.
+// Modes 'low' / 'medium' / 'high' pin a preset.
+
+export const QUALITY_PRESETS = {
+  low:    { pixelRatio: 0.75, renderScale: 0.5, detail: 0.35 },
+  medium: { pixelRatio: 1, renderScale: 0.75, detail: 0.65 },
+  high:   { pixelRatio: 2, renderScale: 1, detail: 1 },
+};
+export const QUALITY_LEVELS = Object.keys(QUALITY_PRESETS);
+export const QUALITY_MODES = ['auto', ...QUALITY_LEVELS];
+
+const SMOOTHING = 0.05;      // EMA weight of each new frame
+const OVER_BUDGET = 1.25;    // avg frame time / budget that counts as dropping
+const AT_RATE = 1.1;         // ... and that still counts as full rate
+const DROP_AFTER = 2;        // seconds over budget before stepping down
+const PROBE_AFTER = 10;      // seconds at full rate before trying a level up
+const PROBE_AFTER_MAX = 300;
+const PROBE_WINDOW = 5;      // a drop this soon after a probe means it failed
+const SETTLE = 1;            // seconds ignored after any change
+const MAX_DELTA = 0.25;      // longer frames are hitches (tab hidden, GC), not load
+
+// onChange(preset, levelName) after every level change
+export function createQualityGovernor({ mode = 'auto', targetFps = 60, onChange } = {}) {
+  const budget = 1 / targetFps;
+  let level = QUALITY_LEVELS.length - 1;
+  let avg = budget;
+  let overFor = 0;
+  let atRateFor = 0;
+  let settle = 0;
+  let sinceProbe = Infinity;
+  let probeAfter = PROBE_AFTER;
+
+  function setLevel(index) {
+    index = Math.max(0, Math.min(QUALITY_LEVELS.length - 1, index));
+    overFor = atRateFor = 0;
+    settle = SETTLE;
+    avg = budget;
+    if (index === level) return;
+    level = index;
+    onChange?.(QUALITY_PRESETS[QUALITY_LEVELS[level]], QUALITY_LEVELS[level]);
+  }
+
+  function setMode(next) {
+    if (!QUALITY_MODES.includes(next)) return;
+    mode = next;
+    probeAfter = PROBE_AFTER;
+    if (mode === 'auto') setLevel(level);
+    else setLevel(QUALITY_LEVELS.indexOf(mode));
+  }
+
+  // Once per live frame with the real frame delta
+  function update(delta) {
+    if (delta > MAX_DELTA) return;
+    avg += (delta - avg) * SMOOTHING;
+    sinceProbe += delta;
+    if (mode !== 'auto') return;
+    if (settle > 0) {
+      settle -= delta;
+      return;
+    }
+
+    overFor = avg > budget * OVER_BUDGET ? overFor + delta : 0;
+    atRateFor = avg < budget * AT_RATE ? atRateFor + delta : 0;
+
+    if (overFor > DROP_AFTER && level > 0) {
+      if (sinceProbe < PROBE_WINDOW) probeAfter = Math.min(PROBE_AFTER_MAX, probeAfter * 2);
+      setLevel(level - 1);
+    } else if (atRateFor > probeAfter && level < QUALITY_LEVELS.length - 1) {
+      sinceProbe = 0;
+      setLevel(level + 1);
+    }
+  }
+
+  return {
+    update,
+    setMode,
+    get mode() { return mode; },
+    get level() { return QUALITY_LEVELS[level]; },
+    get preset() { return QUALITY_PRESETS[QUALITY_LEVELS[level]]; },
+    get frameMs() { return avg * 1000; }
+  };
+}
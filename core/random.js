@@ -0,0 +1,32 @@
+// random.js
+// Seeded PRNG for the scenes. main.js hands every setup() its own stream as
+// opts.random, derived from the show seed (?seed=) and the scene id, so a
+// seed rebuilds the same city, rain and particle layout whatever order the
+// scenes load in. Scenes fall back to Math.random when given none.
+
+// Any string/number -> 32-bit seed (FNV-1a)
+export function hashSeed(value) {
+  const text = String(value);
+  let h = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: returns () => float in [0, 1), a drop-in for Math.random
+export function createRandom(seed) {
+  let a = hashSeed(seed);
+  return function random() {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Short fresh seed for shows started without one
+export function randomSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36);
+}
@@ -0,0 +1,56 @@
+// remote.js
+// Client for the local bridge (bridge/server.mjs). Receives
+// { address, args } commands relayed from OSC or WebSocket senders and
+// hands them to onCommand.
+
+const RETRY_MIN_MS = 2000;
+const RETRY_MAX_MS = 30000;
+
+export function createRemoteClient({ url, onCommand }) {
+  let socket = null;
+  let retryMs = RETRY_MIN_MS;
+  let retryTimer = null;
+  let closed = false;
+
+  function connect() {
+    socket = new WebSocket(url);
+    socket.addEventListener('open', () => {
+      retryMs = RETRY_MIN_MS;
+      console.info(`Remote: connected to ${url}`);
+    });
+    socket.addEventListener('message', (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      if (typeof msg?.address === 'string') onCommand({ address: msg.address, args: msg.args || [] });
+    });
+    // Keep retrying with backoff; the bridge may start after the show does
+    socket.addEventListener('close', () => {
+      socket = null;
+      if (closed) return;
+      retryTimer = setTimeout(connect, retryMs);
+      retryMs = Math.min(RETRY_MAX_MS, retryMs * 2);
+    });
+  }
+
+  function send(address, ...args) {
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ address, args }));
+  }
+
+  function close() {
+    closed = true;
+    clearTimeout(retryTimer);
+    socket?.close();
+  }
+
+  connect();
+
+  return {
+    send,
+    close,
+    get connected() { return socket?.readyState === WebSocket.OPEN; },
+  };
+}
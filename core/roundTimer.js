@@ -0,0 +1,355 @@
+// roundTimer.js
+// Round clock for the bouts: rounds, rest periods and a warning before each
+// round ends, drawn by main.js over whatever reaches the screen (a scene or
+// a transition mix, after post-processing, before projection mapping). The
+// clock runs on show time, so it stays in step across a span and in exports.
+//   createRoundTimer()   the clock itself: start / pause / reset, update(delta)
+//   createTimerOverlay() the clock box and the full-screen "ROUND 2" card
+//   createBell()         a synthesised boxing bell and warning clapper
+import * as THREE from 'three';
+
+import { createParams } from './params.js';
+
+// ---------------------------------------------------------
+// Live knobs (core/params.js schema; main.js exposes them as timer.<key>)
+// ---------------------------------------------------------
+export const TIMER_PARAMS = {
+  rounds:         { type: 'range', label: 'Rounds', min: 1, max: 15, step: 1, default: 3 },
+  roundSeconds:   { type: 'range', label: 'Round (s)', min: 10, max: 600, step: 5, default: 180 },
+  restSeconds:    { type: 'range', label: 'Rest (s)', min: 0, max: 300, step: 5, default: 60 },
+  warningSeconds: { type: 'range', label: 'Warning (s)', min: 0, max: 30, step: 1, default: 10 },
+  bell:           { type: 'bool', label: 'Bell', default: false },
+  card:           { type: 'bool', label: 'Round card in rest', default: true },
+  cardSeconds:    { type: 'range', label: 'Round card (s)', min: 1, max: 30, step: 1, default: 5 },
+  size:           { type: 'range', label: 'Clock size', min: 0.05, max: 0.3, step: 0.01, default: 0.1 },
+  position:       { type: 'enum', label: 'Clock position', options: ['bottom', 'top'], default: 'bottom' },
+};
+
+const CARD_FADE = 4; // per second, eased towards shown / hidden
+
+const formatClock = (sec) => {
+  const s = Math.max(0, Math.ceil(sec));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+};
+
+// ---------------------------------------------------------
+// Clock
+// ---------------------------------------------------------
+// phase: 'ready' (before round 1) | 'round' | 'rest' | 'done'. onEvent(name)
+// gets 'roundStart', 'warning', 'roundEnd' and 'done' as they happen.
+// Returns { params, state, update(delta), start(), pause(), toggle(), reset(),
+// setShown(on), setCard(on), snapshot(), restore(snapshot), display() }.
+export function createRoundTimer({ onEvent = () => {}, ...opts } = {}) {
+  const params = createParams(TIMER_PARAMS, opts);
+  const state = {
+    phase: 'ready',
+    round: 1,
+    remaining: params.roundSeconds,
+    running: false,
+    shown: false,     // clock box on screen
+    cardOn: false,    // round card forced on by the operator
+    cardLevel: 0,     // 0..1, the card's fade
+  };
+
+  function enterRound(round) {
+    state.phase = 'round';
+    state.round = round;
+    state.remaining = params.roundSeconds;
+    onEvent('roundStart');
+  }
+
+  function endRound() {
+    onEvent('roundEnd');
+    if (state.round >= params.rounds) {
+      state.phase = 'done';
+      state.remaining = 0;
+      state.running = false;
+      onEvent('done');
+    } else if (params.restSeconds > 0) {
+      state.phase = 'rest';
+      state.remaining = params.restSeconds;
+    } else {
+      enterRound(state.round + 1);
+    }
+  }
+
+  // The round the card announces: the coming one in a rest, else this one
+  const cardRound = () => (state.phase === 'rest' ? state.round + 1 : state.round);
+
+  function cardWanted() {
+    if (state.cardOn) return true;
+    return params.card && state.phase === 'rest' && state.remaining <= params.cardSeconds;
+  }
+
+  function update(delta) {
+    if (state.phase === 'ready') state.remaining = params.roundSeconds;
+    if (state.running) {
+      const before = state.remaining;
+      state.remaining -= delta;
+      const warn = params.warningSeconds;
+      if (state.phase === 'round' && warn > 0 && before > warn && state.remaining <= warn) onEvent('warning');
+      if (state.remaining <= 0) {
+        if (state.phase === 'round') endRound();
+        else if (state.phase === 'rest') enterRound(state.round + 1);
+      }
+    }
+    const target = cardWanted() ? 1 : 0;
+    const step = Math.min(1, delta * CARD_FADE);
+    state.cardLevel += Math.max(-step, Math.min(step, target - state.cardLevel));
+  }
+
+  // From ready (or done) starts round 1; otherwise resumes
+  function start() {
+    if (state.phase === 'done') reset();
+    state.shown = true;
+    state.running = true;
+    if (state.phase === 'ready') enterRound(1);
+  }
+
+  function pause() {
+    state.running = false;
+  }
+
+  function toggle() {
+    if (state.running) pause();
+    else start();
+  }
+
+  function reset() {
+    Object.assign(state, { phase: 'ready', round: 1, remaining: params.roundSeconds, running: false, cardOn: false });
+  }
+
+  function setShown(on) {
+    state.shown = on;
+  }
+
+  function setCard(on) {
+    state.cardOn = on;
+  }
+
+  function snapshot() {
+    return { params: { ...params }, state: { ...state } };
+  }
+
+  function restore(snap) {
+    Object.assign(params, snap.params);
+    Object.assign(state, snap.state);
+  }
+
+  // What the overlay draws
+  function display() {
+    const { phase, round, remaining } = state;
+    const warning = phase === 'round' && remaining <= params.warningSeconds;
+    let label = `ROUND ${round}/${params.rounds}`;
+    if (phase === 'rest') label = `REST · ROUND ${round + 1} NEXT`;
+    if (phase === 'done') label = 'FINAL BELL';
+    const next = cardRound();
+    return {
+      shown: state.shown,
+      label,
+      time: formatClock(remaining),
+      warning,
+      paused: !state.running && phase !== 'ready' && phase !== 'done',
+      card: phase === 'done' ? 'FINAL BELL' : `ROUND ${next}`,
+      cardNote: phase !== 'done' && next === params.rounds && params.rounds > 1 ? 'FINAL ROUND' : '',
+      cardLevel: state.cardLevel,
+    };
+  }
+
+  return { params, state, update, start, pause, toggle, reset, setShown, setCard, snapshot, restore, display };
+}
+
+// ---------------------------------------------------------
+// Overlay
+// ---------------------------------------------------------
+const BOX = { w: 1024, h: 256 };  // clock canvas
+const CARD = { w: 1024, h: 512 }; // round card canvas
+
+function canvasPlane(w, h) {
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const mesh = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1),
+    new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthTest: false, depthWrite: false })
+  );
+  return { canvas, ctx: canvas.getContext('2d'), texture, mesh };
+}
+
+// Draws a timer's display() into a render target (null = canvas) without
+// clearing it. Canvases are only redrawn when what they show changes.
+// Returns { render(timer, target, time), setSize(width, height), dispose() }.
+export function createTimerOverlay(renderer) {
+  const scene = new THREE.Scene();
+  const camera = new THREE.OrthographicCamera(0, 1, 1, 0, -1, 1);
+  let width = 1;
+  let height = 1;
+
+  const box = canvasPlane(BOX.w, BOX.h);
+  const shade = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1),
+    new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, depthTest: false, depthWrite: false })
+  );
+  const card = canvasPlane(CARD.w, CARD.h);
+  shade.renderOrder = 1;
+  card.mesh.renderOrder = 2;
+  box.mesh.renderOrder = 3;
+  scene.add(shade, card.mesh, box.mesh);
+
+  let boxKey = '';
+  let cardKey = '';
+
+  function drawBox({ label, time, warning, paused }, flash) {
+    const { ctx, canvas } = box;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = warning && flash ? 'rgba(200, 20, 40, 0.85)' : 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = warning ? '#ff3050' : '#ffffff';
+    ctx.lineWidth = 6;
+    ctx.strokeRect(3, 3, canvas.width - 6, canvas.height - 6);
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.font = 'bold 64px system-ui, sans-serif';
+    ctx.fillText(paused ? `${label} · PAUSED` : label, 40, canvas.height / 2, canvas.width * 0.55);
+    ctx.textAlign = 'right';
+    ctx.font = 'bold 160px ui-monospace, Menlo, monospace';
+    ctx.fillText(time, canvas.width - 40, canvas.height / 2 + 8);
+    box.texture.needsUpdate = true;
+  }
+
+  function drawCard({ card: text, cardNote }) {
+    const { ctx, canvas } = card;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 200px "Arial Black", Impact, system-ui, sans-serif';
+    ctx.fillText(text, canvas.width / 2, canvas.height * 0.45, canvas.width * 0.95);
+    if (cardNote) {
+      ctx.font = 'bold 64px system-ui, sans-serif';
+      ctx.fillText(cardNote, canvas.width / 2, canvas.height * 0.82);
+    }
+    card.texture.needsUpdate = true;
+  }
+
+  // Clock box size / position and the card's, in drawing-buffer pixels
+  function layout(params) {
+    const boxH = height * params.size;
+    const boxW = Math.min(width * 0.9, boxH * (BOX.w / BOX.h));
+    const margin = height * 0.04;
+    box.mesh.scale.set(boxW, boxW * (BOX.h / BOX.w), 1);
+    const y = params.position === 'top' ? height - margin - boxH / 2 : margin + boxH / 2;
+    box.mesh.position.set(width / 2, y, 0);
+    shade.scale.set(width, height, 1);
+    shade.position.set(width / 2, height / 2, 0);
+    const cardW = Math.min(width * 0.85, height * 0.85 * (CARD.w / CARD.h));
+    card.mesh.scale.set(cardW, cardW * (CARD.h / CARD.w), 1);
+    card.mesh.position.set(width / 2, height / 2, 0);
+  }
+
+  function render(timer, target, time = 0) {
+    const d = timer.display();
+    if (!d.shown && d.cardLevel <= 0) return;
+    const flash = Math.floor(time * 2) % 2 === 0; // warning blink, twice a second
+
+    box.mesh.visible = d.shown;
+    const nextBoxKey = [d.label, d.time, d.warning, d.paused, d.warning && flash].join('|');
+    if (d.shown && nextBoxKey !== boxKey) {
+      boxKey = nextBoxKey;
+      drawBox(d, flash);
+    }
+    shade.visible = card.mesh.visible = d.cardLevel > 0;
+    shade.material.opacity = 0.92 * d.cardLevel; // takes over the picture
+    card.mesh.material.opacity = d.cardLevel;
+    if (d.cardLevel > 0 && `${d.card}|${d.cardNote}` !== cardKey) {
+      cardKey = `${d.card}|${d.cardNote}`;
+      drawCard(d);
+    }
+
+    layout(timer.params);
+    const autoClear = renderer.autoClear;
+    renderer.autoClear = false;
+    renderer.setRenderTarget(target);
+    renderer.render(scene, camera);
+    renderer.autoClear = autoClear;
+  }
+
+  function setSize(w, h) {
+    width = w;
+    height = h;
+    camera.right = w;
+    camera.top = h;
+    camera.updateProjectionMatrix();
+  }
+
+  function dispose() {
+    for (const mesh of [box.mesh, shade, card.mesh]) {
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    }
+    box.texture.dispose();
+    card.texture.dispose();
+  }
+
+  return { render, setSize, dispose };
+}
+
+// ---------------------------------------------------------
+// Bell (Web Audio, no sample files)
+// ---------------------------------------------------------
+// Inharmonic partials of a struck bell: [frequency ratio, level]
+const BELL_PARTIALS = [[1, 0.5], [2.76, 0.25], [5.4, 0.12], [8.93, 0.06]];
+const BELL_HZ = 620;
+
+// { ring(strikes), clap(), unlock(), blocked }. Browsers keep an audio
+// context silent until a click or key press in the page, and clock events
+// aren't one: call unlock() from such a handler. Until then ring() and
+// clap() do nothing and `blocked` is true.
+export function createBell() {
+  let ctx = null;
+
+  function unlock() {
+    ctx ??= new AudioContext();
+    if (ctx.state === 'suspended') ctx.resume();
+  }
+
+  function context() {
+    if (!ctx) unlock(); // runs if the page has already had a click
+    return ctx.state === 'running' ? ctx : null;
+  }
+
+  function tone(ac, freq, level, at, decay, type = 'sine') {
+    const osc = ac.createOscillator();
+    const gain = ac.createGain();
+    osc.type = type;
+    osc.frequency.value = freq;
+    gain.gain.setValueAtTime(0, at);
+    gain.gain.linearRampToValueAtTime(level, at + 0.005);
+    gain.gain.exponentialRampToValueAtTime(0.0001, at + decay);
+    osc.connect(gain).connect(ac.destination);
+    osc.start(at);
+    osc.stop(at + decay);
+  }
+
+  // One strike opens a round, three close it
+  function ring(strikes = 1) {
+    const ac = context();
+    if (!ac) return;
+    for (let s = 0; s < strikes; s++) {
+      const at = ac.currentTime + s * 0.4;
+      for (const [ratio, level] of BELL_PARTIALS) tone(ac, BELL_HZ * ratio, level, at, 2.5 / ratio ** 0.3);
+    }
+  }
+
+  // The ten-second warning: two sharp clacks
+  function clap() {
+    const ac = context();
+    if (!ac) return;
+    for (let s = 0; s < 2; s++) tone(ac, 1800, 0.3, ac.currentTime + s * 0.18, 0.06, 'square');
+  }
+
+  return { ring, clap, unlock, get blocked() { return ctx?.state !== 'running'; } };
+}
@@ -0,0 +1,132 @@
+// selftest.js
+// In-browser self-test, run with ?selftest (or ?selftest=<seconds>). Builds
+// every registered scene on its own offscreen renderer, steps animate() with
+// a fixed timestep, then disposes it the way main.js does and checks that:
+//   - setup/animate/render don't throw
+//   - no object or particle position goes NaN
+//   - geometry, material and texture counts return to where they started
+// Results go to the console, an on-screen report and window.qfnSelfTest
+// (for a headless browser to read). The Node tests (npm test) run the same
+// scene check against a mock renderer, plus the pure helpers.
+import * as THREE from 'three';
+
+import { scenes, sceneNames, sceneIds } from '../scenes/index.js';
+import { SILENT_LEVELS } from './audio.js';
+import { FREE_TEMPO } from './tempo.js';
+import { createRandom } from './random.js';
+import { createResourceTracker } from './dispose.js';
+
+const SIZE = { w: 640, h: 360 };
+const FPS = 30;
+const YIELD_EVERY = 10; // frames between yields, so async loads (fonts, QR) land
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve));
+
+// WebGLRenderer doesn't count materials; its shader programs, released with
+// the last material using each, stand in for them
+function memory(renderer) {
+  const { geometries, textures, materials = renderer.info.programs?.length ?? 0 } = renderer.info.memory;
+  return { geometries, materials, textures };
+}
+
+// First non-finite position in the scene graph or its position buffers
+function findNaN(scene) {
+  let found = null;
+  scene.traverse((obj) => {
+    if (found) return;
+    const p = obj.position;
+    if (!Number.isFinite(p.x + p.y + p.z)) found = `${obj.type} position`;
+    const attr = obj.geometry?.attributes?.position;
+    if (!found && attr && attr.array.some(v => Number.isNaN(v))) found = `${obj.type} geometry`;
+  });
+  return found;
+}
+
+// One scene on `renderer`: { name, ok, errors, peak }
+export async function testScene(renderer, id, seconds) {
+  const result = { name: `${id} · ${sceneNames[id]}`, ok: true, errors: [] };
+  const fail = (msg) => {
+    result.ok = false;
+    result.errors.push(msg);
+  };
+  const before = memory(renderer);
+
+  const resources = createResourceTracker();
+  let bundle;
+  try {
+    bundle = scenes[id]({ random: createRandom(`selftest:${id}`), resources });
+  } catch (err) {
+    fail(`setup threw: ${err.message}`);
+    return result;
+  }
+  const { scene, camera } = bundle;
+  resources.track(scene);
+  await bundle.ready;
+  if (camera.isPerspectiveCamera) {
+    camera.aspect = SIZE.w / SIZE.h;
+    camera.updateProjectionMatrix();
+  }
+  bundle.resize?.(SIZE.w, SIZE.h);
+  bundle.enter?.();
+
+  const frames = Math.round(seconds * FPS);
+  for (let f = 0; f < frames; f++) {
+    try {
+      bundle.animate?.(1 / FPS, SILENT_LEVELS, FREE_TEMPO);
+      renderer.render(scene, camera);
+    } catch (err) {
+      fail(`frame ${f} threw: ${err.message}`);
+      break;
+    }
+    if (f % YIELD_EVERY === 0) await nextTick();
+  }
+
+  const nan = findNaN(scene);
+  if (nan) fail(`NaN in ${nan}`);
+  result.peak = memory(renderer);
+
+  bundle.exit?.();
+  bundle.dispose?.();
+  resources.dispose();
+  await nextTick();
+  const after = memory(renderer);
+  for (const key of ['geometries', 'materials', 'textures']) {
+    if (after[key] !== before[key]) fail(`${after[key] - before[key]} ${key} left after dispose`);
+  }
+  return result;
+}
+
+function showReport(results) {
+  const box = document.createElement('pre');
+  Object.assign(box.style, {
+    position: 'fixed',
+    top: '10px',
+    right: '10px',
+    margin: 0,
+    padding: '8px 12px',
+    font: '12px monospace',
+    background: 'rgba(0,0,0,0.85)',
+    color: 'white',
+    border: '1px solid white',
+    borderRadius: '4px',
+    zIndex: 1002
+  });
+  box.textContent = ['Self-test', ...results.map(r =>
+    `${r.ok ? 'PASS' : 'FAIL'}  ${r.name}${r.errors.length ? `\n      ${r.errors.join('\n      ')}` : ''}`
+  )].join('\n');
+  document.body.appendChild(box);
+}
+
+export async function runSelfTest({ seconds = 5 } = {}) {
+  const renderer = new THREE.WebGLRenderer({ antialias: false });
+  renderer.setSize(SIZE.w, SIZE.h, false);
+
+  const results = [];
+  for (const id of sceneIds) results.push(await testScene(renderer, id, seconds));
+  renderer.dispose();
+
+  console.table(results.map(r => ({ test: r.name, ok: r.ok, errors: r.errors.join('; ') })));
+  showReport(results);
+  window.qfnSelfTest = { ok: results.every(r => r.ok), results };
+  return window.qfnSelfTest;
+}
@@ -0,0 +1,175 @@
+// setlist.js
+// Show file support: an ordered list of cues that replaces the random
+// auto-cycle. See setlists/example.json for the format.
+//
+// {
+//   "name": "Fight night",
+//   "loop": true,                        // wrap to cue 0 after the last cue
+//   "cues": [
+//     { "scene": 1, "duration": 45, "transition": "wipe" },
+//     { "scene": 4, "duration": 60, "transition": { "type": "glitch", "duration": 2 },
+//       "params": { ... } },             // per-scene overrides, passed to setup()
+//     { "scene": 7, "hold": true },      // stay until the operator hits next
+//     { "scene": 5, "duration": 30, "loop": { "to": 1, "times": 2 } }
+//   ]
+// }
+
+export function parseSetlist(data, validSceneIds) {
+  const json = typeof data === 'string' ? JSON.parse(data) : data;
+  const rawCues = Array.isArray(json) ? json : json?.cues;
+  if (!Array.isArray(rawCues) || rawCues.length === 0) {
+    throw new Error('Setlist has no cues');
+  }
+
+  const cues = rawCues.map((c, i) => {
+    const scene = Number(c.scene);
+    if (!validSceneIds.includes(scene)) {
+      throw new Error(`Cue ${i + 1}: unknown scene "${c.scene}"`);
+    }
+    const transition = typeof c.transition === 'string'
+      ? { type: c.transition }
+      : { ...(c.transition || {}) };
+    const duration = c.hold ? Infinity : Number(c.duration ?? 60);
+    if (!(duration > 0)) throw new Error(`Cue ${i + 1}: duration must be positive`);
+
+    let loop = null;
+    if (c.loop) {
+      const to = Number(c.loop.to);
+      if (!(to >= 0 && to < rawCues.length)) throw new Error(`Cue ${i + 1}: loop target out of range`);
+      loop = { to, times: c.loop.times == null ? Infinity : Number(c.loop.times) };
+    }
+
+    return {
+      label: c.label || `Scene ${scene}`,
+      scene,
+      duration,
+      transition,
+      params: c.params || {},
+      hold: !!c.hold,
+      loop,
+    };
+  });
+
+  return { name: json.name || 'Untitled setlist', loop: json.loop !== false, cues };
+}
+
+// onCue(cue, index) is called whenever the player moves to a cue
+export function createSetlistPlayer({ onCue }) {
+  let setlist = null;
+  let index = -1;
+  let playing = false;
+  let timer = null;
+  let cueStartedAt = 0;
+  let remainingOnPause = 0;
+  const loopCounts = new Map(); // cue index -> times already looped
+
+  function clearTimer() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  function schedule(ms) {
+    clearTimer();
+    if (!playing || !Number.isFinite(ms)) return;
+    timer = setTimeout(advance, ms);
+  }
+
+  function enter(i) {
+    index = i;
+    const cue = setlist.cues[i];
+    cueStartedAt = performance.now();
+    remainingOnPause = cue.duration * 1000;
+    onCue(cue, i);
+    schedule(cue.duration * 1000);
+  }
+
+  // Follow loop points, then fall through to the next cue
+  function advance() {
+    const cue = setlist.cues[index];
+    if (cue.loop) {
+      const done = loopCounts.get(index) || 0;
+      if (done < cue.loop.times) {
+        loopCounts.set(index, done + 1);
+        return enter(cue.loop.to);
+      }
+      loopCounts.delete(index);
+    }
+    next();
+  }
+
+  function load(data, validSceneIds) {
+    stop();
+    setlist = parseSetlist(data, validSceneIds);
+    index = -1;
+    loopCounts.clear();
+    return setlist;
+  }
+
+  function unload() {
+    stop();
+    setlist = null;
+    index = -1;
+  }
+
+  function start() {
+    if (!setlist) return;
+    playing = true;
+    if (index < 0) enter(0);
+    else schedule(remainingOnPause);
+  }
+
+  function stop() {
+    if (playing && index >= 0) remainingOnPause = remaining() * 1000;
+    playing = false;
+    clearTimer();
+  }
+
+  function goTo(i) {
+    if (!setlist) return;
+    const n = setlist.cues.length;
+    if (i >= n) {
+      if (!setlist.loop) return stop();
+      i = 0;
+    }
+    if (i < 0) i = setlist.loop ? n - 1 : 0;
+    enter(i);
+  }
+
+  function next() { goTo(index + 1); }
+  function previous() { goTo(index - 1); }
+
+  // The cue the player moves to when this one runs out (loop points
+  // included), so main.js can build its scene ahead of time; null at the end
+  function upcoming() {
+    if (!setlist) return null;
+    if (index < 0) return setlist.cues[0];
+    const cue = setlist.cues[index];
+    if (cue.loop && (loopCounts.get(index) || 0) < cue.loop.times) return setlist.cues[cue.loop.to];
+    if (index + 1 < setlist.cues.length) return setlist.cues[index + 1];
+    return setlist.loop ? setlist.cues[0] : null;
+  }
+
+  // Seconds left on the current cue (Infinity on hold cues)
+  function remaining() {
+    if (!setlist || index < 0) return 0;
+    if (!playing) return remainingOnPause / 1000;
+    const cue = setlist.cues[index];
+    return Math.max(0, cue.duration - (performance.now() - cueStartedAt) / 1000);
+  }
+
+  return {
+    load,
+    unload,
+    start,
+    stop,
+    next,
+    previous,
+    goTo,
+    upcoming,
+    remaining,
+    get loaded() { return !!setlist; },
+    get playing() { return playing; },
+    get index() { return index; },
+    get setlist() { return setlist; },
+  };
+}
@@ -0,0 +1,68 @@
+// span.js
+// One show across several windows (one per display). Every window opens the
+// page with ?span=<index>,<count>[,<mode>[,<bezel>]]:
+//   index 0 leads: it runs the show and broadcasts what it does
+//   the others follow: they mirror its scene switches, transitions and knobs
+//   and step their scenes with its frame times, audio levels and beats, so
+//   with the shared seed every window animates the same world
+// mode 'slice' (default) gives each window its part of one wide picture;
+// 'ring' turns each window's camera one field of view further, for screens
+// around the ring. bezel: pixels hidden between neighbouring screens.
+// Messages go over openSpanChannel() (core/channel.js).
+
+export const SPAN_MODES = ['slice', 'ring'];
+
+// '1,3,ring,40' -> { index: 1, count: 3, mode: 'ring', bezel: 40 }; null if unset or malformed
+export function readSpan(value) {
+  if (!value) return null;
+  const [index, count, mode = 'slice', bezel = 0] = String(value).split(',');
+  const span = { index: Number(index), count: Number(count), mode, bezel: Number(bezel) };
+  const ok = Number.isInteger(span.index) && Number.isInteger(span.count) &&
+    span.index >= 0 && span.index < span.count && SPAN_MODES.includes(span.mode) && span.bezel >= 0;
+  return ok ? span : null;
+}
+
+// Ring mode needs a perspective camera; anything else is sliced
+const sliced = (span, camera) => span.mode === 'slice' || !camera?.isPerspectiveCamera;
+
+// Point `camera` at this window's part of the span and return the size the
+// scene should lay itself out for: the whole span when sliced, the window
+// when turned
+export function spanView(span, camera, width, height) {
+  if (!sliced(span, camera)) {
+    camera.clearViewOffset();
+    return { width, height };
+  }
+  const full = span.count * width + (span.count - 1) * span.bezel;
+  camera?.setViewOffset?.(full, height, span.index * (width + span.bezel), 0, width, height);
+  return { width: full, height };
+}
+
+// Ring mode: radians to turn the camera about its up axis (0 when sliced)
+export function spanYaw(span, camera, width) {
+  if (sliced(span, camera) || !span.index) return 0;
+  const fov = 2 * Math.atan(Math.tan(camera.fov * Math.PI / 360) * camera.aspect);
+  return -span.index * fov * (1 + span.bezel / width);
+}
+
+// Follower side: queue the leader's messages as they arrive and replay them
+// once per animation frame. onFrame({ delta, levels, beat }, draw) steps the
+// show one leader frame; a follower that fell behind replays every queued
+// frame in order, so scenes animate exactly as the leader's did, and draws
+// only the last. onEvent(msg) handles the rest, in order, between the frames
+// around it.
+export function createSpanFollower({ onFrame, onEvent }) {
+  const queue = [];
+
+  function receive(msg) {
+    queue.push(msg);
+  }
+
+  function flush() {
+    const msgs = queue.splice(0);
+    const last = msgs.findLastIndex(msg => msg.type === 'frame');
+    msgs.forEach((msg, i) => (msg.type === 'frame' ? onFrame(msg, i === last) : onEvent(msg)));
+  }
+
+  return { receive, flush };
+}
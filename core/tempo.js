@@ -0,0 +1,131 @@
+// tempo.js
+// Global musical clock. BPM comes from tap tempo, manual entry or incoming
+// MIDI clock; main.js advances it once per frame and hands `state` to every
+// scene's animate(delta, audio, tempo).
+
+const TAP_RESET_SEC = 2.0;   // a gap this long starts a new tap sequence
+const MAX_TAPS = 8;
+const MIDI_PPQN = 24;        // MIDI clock pulses per quarter note
+const MIDI_TIMEOUT_MS = 500; // no ticks for this long = clock stopped
+const BPM_LIMITS = [30, 300];
+
+// What scenes receive before the tempo is touched
+export const FREE_TEMPO = Object.freeze({
+  running: false,
+  source: 'none',
+  bpm: 120,
+  beatsPerBar: 4,
+  beats: 0,
+  beat: 0,
+  bar: 0,
+  beatPhase: 0,
+  barPhase: 0,
+  onBeat: false,
+  onBar: false,
+});
+
+function clampBpm(bpm) {
+  return Math.min(BPM_LIMITS[1], Math.max(BPM_LIMITS[0], bpm));
+}
+
+export function createTempoClock({ bpm = 120, beatsPerBar = 4 } = {}) {
+  const state = { ...FREE_TEMPO, bpm, beatsPerBar };
+  let taps = [];
+  let midiTicks = 0;
+  let midiTickTimes = [];
+  let lastMidiTick = -Infinity;
+
+  function setBpm(value, source = 'manual') {
+    const n = Number(value);
+    if (!(n > 0)) return;
+    state.bpm = Math.round(clampBpm(n) * 10) / 10;
+    state.source = source;
+    state.running = true;
+  }
+
+  // Snap the phase so the next frame lands on a downbeat
+  function resetPhase() {
+    state.beats = -1e-6;
+  }
+
+  function tap(now = performance.now() / 1000) {
+    if (taps.length && now - taps[taps.length - 1] > TAP_RESET_SEC) taps = [];
+    taps.push(now);
+    if (taps.length > MAX_TAPS) taps.shift();
+
+    if (taps.length === 1) {
+      // First tap of a sequence marks the downbeat
+      resetPhase();
+      return;
+    }
+    const span = taps[taps.length - 1] - taps[0];
+    setBpm(60 / (span / (taps.length - 1)), 'tap');
+    // Each tap is a beat
+    state.beats = Math.round(state.beats);
+  }
+
+  function midiActive() {
+    return performance.now() - lastMidiTick < MIDI_TIMEOUT_MS;
+  }
+
+  function onMidiMessage(e) {
+    const status = e.data[0];
+    if (status === 0xFA) { // start
+      midiTicks = 0;
+      midiTickTimes = [];
+      resetPhase();
+    } else if (status === 0xF8) { // clock tick
+      const t = e.timeStamp || performance.now();
+      lastMidiTick = performance.now();
+      midiTickTimes.push(t);
+      if (midiTickTimes.length > MIDI_PPQN + 1) midiTickTimes.shift();
+      if (midiTickTimes.length > 1) {
+        const span = midiTickTimes[midiTickTimes.length - 1] - midiTickTimes[0];
+        const perTick = span / (midiTickTimes.length - 1);
+        setBpm(60000 / (perTick * MIDI_PPQN), 'midi');
+      }
+      midiTicks++;
+      // Re-align to the clock source on every quarter note
+      if (midiTicks % MIDI_PPQN === 0) state.beats = Math.round(state.beats);
+    }
+  }
+
+  // Listen for clock on every MIDI input (and any plugged in later)
+  function attachMidi(access) {
+    const hook = (input) => input.addEventListener('midimessage', onMidiMessage);
+    access.inputs.forEach(hook);
+    access.addEventListener('statechange', (e) => {
+      if (e.port.type === 'input' && e.port.state === 'connected') {
+        e.port.removeEventListener('midimessage', onMidiMessage);
+        hook(e.port);
+      }
+    });
+  }
+
+  // Call once per frame
+  function update(delta) {
+    if (state.source === 'midi' && !midiActive()) state.source = 'manual';
+
+    const prevBeat = Math.floor(state.beats);
+    const prevBar = Math.floor(state.beats / state.beatsPerBar);
+    state.beats += delta * state.bpm / 60;
+
+    state.beat = Math.floor(state.beats) % state.beatsPerBar;
+    state.bar = Math.floor(state.beats / state.beatsPerBar);
+    state.beatPhase = state.beats - Math.floor(state.beats);
+    state.barPhase = (state.beats / state.beatsPerBar) % 1;
+    state.onBeat = Math.floor(state.beats) !== prevBeat;
+    state.onBar = state.bar !== prevBar;
+    return state;
+  }
+
+  return {
+    state,
+    update,
+    tap,
+    setBpm,
+    resetPhase,
+    attachMidi,
+    get beatSeconds() { return 60 / state.bpm; },
+  };
+}
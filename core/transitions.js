@@ -0,0 +1,177 @@
+// transitions.js
+// Registry of fullscreen transition shaders. Every entry shares the
+// tFrom / tTo / progress contract of the original crossfade; each one only
+// supplies a `vec4 transition(vec2 uv)` body. Easing is applied on the CPU,
+// so `progress` arrives already eased.
+import * as THREE from 'three';
+
+// ---------------------------------------------------------
+// Easing curves (0..1 -> 0..1)
+// ---------------------------------------------------------
+export const EASINGS = {
+  linear: (x) => x,
+  smoothstep: (x) => x * x * (3 - 2 * x),
+  easeInOutCubic: (x) => (x < 0.5 ? 4 * x * x * x : 1 - Math.pow(-2 * x + 2, 3) / 2),
+  easeOutExpo: (x) => (x >= 1 ? 1 : 1 - Math.pow(2, -10 * x)),
+  easeInExpo: (x) => (x <= 0 ? 0 : Math.pow(2, 10 * x - 10)),
+};
+
+// ---------------------------------------------------------
+// Shader bodies
+// ---------------------------------------------------------
+const COMMON = `
+  varying vec2 vUv;
+  uniform sampler2D tFrom;
+  uniform sampler2D tTo;
+  uniform float progress;
+  uniform vec2 resolution;
+  uniform float time;
+
+  vec4 getFrom(vec2 uv) { return texture2D(tFrom, uv); }
+  vec4 getTo(vec2 uv)   { return texture2D(tTo, uv); }
+
+  float hash(vec2 p) { return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453); }
+
+  float valueNoise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    vec2 u = f * f * (3.0 - 2.0 * f);
+    return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x),
+               mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x), u.y);
+  }
+
+  float luma(vec3 c) { return dot(c, vec3(0.299, 0.587, 0.114)); }
+`;
+
+export const TRANSITIONS = {
+  crossfade: `
+    vec4 transition(vec2 uv) {
+      return mix(getFrom(uv), getTo(uv), progress);
+    }
+  `,
+
+  // Soft-edged noise threshold sweeps the "to" scene in
+  noise: `
+    vec4 transition(vec2 uv) {
+      float n = valueNoise(uv * 8.0) * 0.7 + valueNoise(uv * 32.0) * 0.3;
+      float edge = 0.08;
+      float m = smoothstep(n - edge, n + edge, progress * (1.0 + 2.0 * edge) - edge);
+      return mix(getFrom(uv), getTo(uv), m);
+    }
+  `,
+
+  // Diagonal left-to-right wipe with a feathered edge
+  wipe: `
+    vec4 transition(vec2 uv) {
+      vec2 dir = normalize(vec2(1.0, 0.35));
+      float d = dot(uv - 0.5, dir) + 0.5;
+      float edge = 0.05;
+      float m = smoothstep(d - edge, d + edge, progress * (1.0 + 2.0 * edge) - edge);
+      return mix(getFrom(uv), getTo(uv), m);
+    }
+  `,
+
+  // Circle opening from the centre, aspect-corrected
+  iris: `
+    vec4 transition(vec2 uv) {
+      vec2 p = (uv - 0.5) * vec2(resolution.x / resolution.y, 1.0);
+      float maxR = length(vec2(resolution.x / resolution.y, 1.0)) * 0.5;
+      float r = progress * (maxR + 0.05);
+      float m = 1.0 - smoothstep(r - 0.03, r, length(p));
+      return mix(getFrom(uv), getTo(uv), m);
+    }
+  `,
+
+  // Blocks grow towards the midpoint, swap, then shrink back
+  pixelate: `
+    vec4 transition(vec2 uv) {
+      float peak = 1.0 - abs(progress * 2.0 - 1.0);
+      float cells = mix(resolution.y, 12.0, peak);
+      vec2 grid = vec2(cells * resolution.x / resolution.y, cells);
+      vec2 q = peak > 0.0 ? (floor(uv * grid) + 0.5) / grid : uv;
+      return mix(getFrom(q), getTo(q), step(0.5, progress));
+    }
+  `,
+
+  // Channel split + horizontal slice jitter that peaks mid-transition
+  glitch: `
+    vec4 transition(vec2 uv) {
+      float peak = 1.0 - abs(progress * 2.0 - 1.0);
+      float band = floor(uv.y * 24.0);
+      float jump = (hash(vec2(band, floor(time * 20.0))) - 0.5) * 0.15 * peak;
+      vec2 q = vec2(fract(uv.x + jump * step(0.6, hash(vec2(band, 1.0)))), uv.y);
+      vec2 split = vec2(0.02 * peak, 0.0);
+      vec4 a = vec4(getFrom(q + split).r, getFrom(q).g, getFrom(q - split).b, 1.0);
+      vec4 b = vec4(getTo(q + split).r, getTo(q).g, getTo(q - split).b, 1.0);
+      float m = step(hash(vec2(band, floor(time * 12.0))), progress);
+      return mix(a, b, progress < 0.999 ? m : 1.0);
+    }
+  `,
+
+  // Brightest pixels of the "from" scene give way first
+  luma: `
+    vec4 transition(vec2 uv) {
+      vec4 a = getFrom(uv);
+      float l = luma(a.rgb);
+      float m = smoothstep(l - 0.1, l + 0.1, progress * 1.2 - 0.1);
+      return mix(a, getTo(uv), m);
+    }
+  `,
+
+  // Radial blur towards the centre, strongest at the midpoint
+  zoomBlur: `
+    vec4 transition(vec2 uv) {
+      float peak = 1.0 - abs(progress * 2.0 - 1.0);
+      vec2 dir = uv - 0.5;
+      vec4 a = vec4(0.0);
+      vec4 b = vec4(0.0);
+      const int SAMPLES = 16;
+      for (int i = 0; i < SAMPLES; i++) {
+        float s = 1.0 - 0.4 * peak * float(i) / float(SAMPLES);
+        vec2 q = 0.5 + dir * s;
+        a += getFrom(q);
+        b += getTo(q);
+      }
+      return mix(a, b, progress) / float(SAMPLES);
+    }
+  `,
+};
+
+export const TRANSITION_NAMES = Object.keys(TRANSITIONS);
+
+const VERTEX = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+export function createTransitionMaterial(name) {
+  const body = TRANSITIONS[name];
+  if (!body) throw new Error(`Unknown transition "${name}"`);
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      tFrom: { value: null },
+      tTo: { value: null },
+      progress: { value: 0.0 },
+      resolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
+      time: { value: 0.0 },
+    },
+    vertexShader: VERTEX,
+    fragmentShader: `
+      ${COMMON}
+      ${body}
+      void main() {
+        gl_FragColor = transition(vUv);
+      }
+    `,
+    depthTest: false,
+    depthWrite: false,
+    transparent: false
+  });
+}
+
+export function randomTransitionName() {
+  return TRANSITION_NAMES[Math.floor(Math.random() * TRANSITION_NAMES.length)];
+}
@@ -0,0 +1,46 @@
+// urlState.js
+// Show state <-> query string, so a reloaded (or bookmarked) page comes back
+// in the same configuration:
+//   ?scene=corridor&cycle=on&hud=on&seed=42&quality=medium
+//   &transition=glitch,2,easeOutExpo,bar&setlist=setlists/example.json&cue=3
+//   &branding=events/example.json&card=events/fightcard.csv&palette=trans
+//   &corridor.speed=30&rain.color=ff00ff
+// ?selftest runs core/selftest.js on top of the show (once: the synced URL
+// drops it); ?span=1,3 makes the window part of a multi-window span
+// (core/span.js).
+// Keys with a dot are per-scene params ('<scene name>.<key>') or the global
+// post.<key> / timer.<key> knobs. Values stay strings here; main.js checks
+// them against its own registries.
+
+const KEYS = ['scene', 'cycle', 'setlist', 'cue', 'seed', 'hud', 'quality', 'transition', 'selftest', 'span', 'branding', 'card', 'palette'];
+
+export function readUrlState(search = location.search) {
+  const query = new URLSearchParams(search);
+  const state = { params: {} };
+  for (const [key, value] of query) {
+    if (key.includes('.')) state.params[key] = value;
+    else if (KEYS.includes(key)) state[key] = value;
+  }
+  if (state.transition) {
+    const [type, duration, easing, quantize] = state.transition.split(',');
+    state.transition = { type, duration, easing, quantize };
+  }
+  return state;
+}
+
+// The same shape back to '?...'; null/undefined entries are left out
+export function writeUrlState(state) {
+  const query = new URLSearchParams();
+  for (const key of KEYS) {
+    let value = state[key];
+    if (value === null || value === undefined) continue;
+    if (key === 'transition') {
+      const { type, duration, easing, quantize } = value;
+      value = [type, duration, easing, quantize].join(',');
+    }
+    query.set(key, value);
+  }
+  for (const [name, value] of Object.entries(state.params || {})) query.set(name, value);
+  const search = query.toString().replace(/%2C/g, ','); // commas are fine unescaped
+  return search ? `?${search}` : '';
+}
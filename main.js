@@ -1,13 +1,42 @@
 // main.js
 import * as THREE from 'three';
 
-import { setupQFN } from './scenes/qfnScene1.js';
-import { setupCube } from './scenes/qfnScene2.js';
-import { setupSkyscraper } from './scenes/qfnScene3.js';
-import { setupCorridor } from './scenes/qfnScene4.js';
-import { setupPerlin } from './scenes/qfnScene5.js';
-import { setupMatrixRain } from './scenes/qfnScene6.js';
-import { setupSignature } from './scenes/signature.js';
+import { scenes, sceneNames, sceneIds, cycleSceneIds, paramSchemas } from './scenes/index.js';
+import { SILENT_LEVELS, createAudioBus } from './core/audio.js';
+import {
+  EASINGS,
+  TRANSITION_NAMES,
+  createTransitionMaterial,
+  randomTransitionName
+} from './core/transitions.js';
+import { createSetlistPlayer } from './core/setlist.js';
+import { createTempoClock } from './core/tempo.js';
+import { MAPPINGS_FILE_TYPE, createMidiMapper, createMidiLearnPanel } from './core/midi.js';
+import { createRemoteClient } from './core/remote.js';
+import { openShowChannel, openSpanChannel } from './core/channel.js';
+import { coerceParam, createParams, paramFromUnit } from './core/params.js';
+import { createParamPanel } from './core/paramPanel.js';
+import { readUrlState, writeUrlState } from './core/urlState.js';
+import { createRandom, randomSeed } from './core/random.js';
+import { registerServiceWorker, checkAssets, assetFailures } from './core/assets.js';
+import { EXPORT_FORMATS, ZIP_MAX_FRAMES, createFrameSink, downloadBlob } from './core/exporter.js';
+import { createResourceTracker } from './core/dispose.js';
+import { QUALITY_MODES, createQualityGovernor } from './core/quality.js';
+import { POST_PARAMS, createPostChain } from './core/post.js';
+import { CALIBRATION_FILE_TYPE, createMapping, createCalibrationEditor } from './core/mapping.js';
+import { readSpan, spanView, spanYaw, createSpanFollower } from './core/span.js';
+import { BRANDING_FILE_TYPE, DEFAULT_BRANDING, readBranding, brandingKnobs } from './core/branding.js';
+import { FIGHT_CARD_FILE_TYPE, DEFAULT_FIGHT_CARD, readFightCard, readFightCardCsv } from './core/fightCard.js';
+import { TIMER_PARAMS, createRoundTimer, createTimerOverlay, createBell } from './core/roundTimer.js';
+import { createMessageQueue } from './core/messages.js';
+import { PALETTE_NAMES, readPalette, mixColor, paletteKnobs } from './core/palettes.js';
+import { runSelfTest } from './core/selftest.js';
+
+// ---------------------------------------------------------
+// Offline: precache via the service worker, report anything missing
+// ---------------------------------------------------------
+registerServiceWorker();
+checkAssets();
 
 // ---------------------------------------------------------
 // Renderer
@@ -20,8 +49,37 @@ document.body.style.margin = '0';
 document.body.appendChild(renderer.domElement);
 
 // ---------------------------------------------------------
-// Fullscreen button
+// Spanning (core/span.js): this window's part of a multi-window show. The
+// leader runs the show and broadcasts it; followers mirror it and take no
+// show input of their own (see Span sync below).
+// ---------------------------------------------------------
+const span = readSpan(readUrlState().span);
+const following = span !== null && span.index > 0;
+const spanChannel = span ? openSpanChannel() : null;
+const spanFollower = following ? createSpanFollower({
+  onFrame: ({ delta, levels, beat }, draw) => renderFrame(delta, levels, beat, draw),
+  onEvent: followLeader,
+}) : null;
+
+function spanPublish(msg) {
+  if (spanChannel && !following) spanChannel.postMessage(msg);
+}
+
+// ---------------------------------------------------------
+// Fullscreen button (part of the HUD, hidden by default so the
+// projector output stays chrome-free; F or double-click also work)
 // ---------------------------------------------------------
+let hudVisible = false;
+
+function toggleFullscreen() {
+  const canvas = renderer.domElement;
+  if (!document.fullscreenElement) {
+    canvas.requestFullscreen?.() || canvas.webkitRequestFullscreen?.();
+  } else {
+    document.exitFullscreen?.() || document.webkitExitFullscreen?.();
+  }
+}
+
 const fullscreenBtn = document.createElement('button');
 fullscreenBtn.innerText = '⛶';
 Object.assign(fullscreenBtn.style, {
@@ -35,42 +93,144 @@ Object.assign(fullscreenBtn.style, {
   border: '1px solid white',
   borderRadius: '4px',
   cursor: 'pointer',
-  zIndex: 999
-});
-fullscreenBtn.addEventListener('click', () => {
-  const canvas = renderer.domElement;
-  if (!document.fullscreenElement) {
-    canvas.requestFullscreen?.() || canvas.webkitRequestFullscreen?.();
-  } else {
-    document.exitFullscreen?.() || document.webkitExitFullscreen?.();
-  }
+  zIndex: 999,
+  display: 'none'
 });
+fullscreenBtn.addEventListener('click', toggleFullscreen);
+renderer.domElement.addEventListener('dblclick', toggleFullscreen);
 document.body.appendChild(fullscreenBtn);
 
 // ---------------------------------------------------------
 // Clock
 // ---------------------------------------------------------
 const clock = new THREE.Clock();
+let showTime = 0; // seconds, advanced per rendered frame (fixed steps while exporting)
+let exportJob = null; // { frame, total, cancelled } while exportClip() steps the frames
 
 // ---------------------------------------------------------
-// Scene registry
+// Audio input (mic/line-in or file) shared by all scenes
+// ---------------------------------------------------------
+const audio = createAudioBus();
+const TEST_TRACK_URL = './audio/test-120bpm.wav';
+
+let audioProblem = null; // why audio isn't running, for the operator status
+
+// Browsers only start audio after a click or key press in the page itself.
+// Commands from the operator window, MIDI or the bridge aren't one, so until
+// the output window has had one the latest request waits for it.
+const AUDIO_BLOCKED = 'click the output window once to allow audio';
+let audioAllowed = navigator.userActivation?.hasBeenActive ?? false;
+let waitingForClick = null;
+
+function whenAudioAllowed(start) {
+  if (audioAllowed) return start();
+  waitingForClick = start;
+  audioProblem = AUDIO_BLOCKED;
+}
+
+function allowAudio() {
+  if (audioAllowed) return;
+  audioAllowed = true;
+  if (audioProblem === AUDIO_BLOCKED) audioProblem = null;
+  const start = waitingForClick;
+  waitingForClick = null;
+  start?.();
+}
+window.addEventListener('pointerdown', allowAudio);
+window.addEventListener('keydown', allowAudio);
+
+function startAudio(what, start) {
+  whenAudioAllowed(() => {
+    start()
+      .then(() => { audioProblem = null; })
+      .catch((err) => {
+        audioProblem = `${what}: ${err.message}`;
+        console.warn(`${what}:`, err);
+      });
+  });
+}
+
+function stopAudio() {
+  waitingForClick = null;
+  audioProblem = null;
+  audio.stop();
+}
+
+function toggleMicrophone() {
+  if (audio.running) return audio.stop();
+  startAudio('Audio input unavailable', () => audio.useMicrophone());
+}
+
+function playAudioFile(file) {
+  startAudio('Could not play audio file', () => audio.useFile(file));
+}
+
+// ---------------------------------------------------------
+// Tempo clock (tap, manual BPM or MIDI clock)
+// ---------------------------------------------------------
+const tempo = createTempoClock();
+
+function promptBpm() {
+  const value = window.prompt('BPM', String(tempo.state.bpm));
+  if (value !== null) tempo.setBpm(value);
+}
+
+// Drop an audio file onto the window to drive the visuals from it
+window.addEventListener('dragover', (e) => e.preventDefault());
+window.addEventListener('drop', (e) => {
+  const file = [...(e.dataTransfer?.files || [])].find(f => f.type.startsWith('audio/'));
+  if (!file) return;
+  e.preventDefault();
+  playAudioFile(file);
+});
+
+// ---------------------------------------------------------
+// Scene state (registry lives in scenes/index.js)
 // ---------------------------------------------------------
-const scenes = {
-  1: setupQFN,
-  2: setupCube,
-  3: setupSkyscraper,
-  4: setupCorridor,
-  5: setupPerlin,
-  6: setupMatrixRain,
-  7: setupSignature,
-};
-const sceneIds = Object.keys(scenes).map(Number);
 let currentSceneIndex = 0;
 
 // Active scene bundle
+let activeBundle = null;        // everything setup() returned (incl. scene actions)
+let activeSceneId = null;
 let activeScene = null;
 let activeCamera = null;
 let activeAnimate = () => {};
+let activeParams = {};          // the scene's live knobs, if it exposes any
+let paused = false;             // output frozen: scenes stop animating, transitions still run
+
+// Live parameter values per scene id, re-applied whenever that scene loads
+const sceneParamOverrides = {};
+
+// Every scene knob by name ('corridor.speed', 'rain.color' ...) -> { scene, key, def }
+const paramTargets = {};
+for (const id of sceneIds) {
+  for (const [key, def] of Object.entries(paramSchemas[id] || {})) {
+    paramTargets[`${sceneNames[id]}.${key}`] = { scene: id, key, def };
+  }
+}
+
+// Event branding (core/branding.js) every scene reads at setup
+const BRANDING_URL = './branding.json';
+let branding = DEFAULT_BRANDING;
+let brandingUrl = null; // where it came from (kept in the URL); null if default or dropped
+
+// Fight card (core/fightCard.js) the walk-out scene steps through
+const FIGHT_CARD_URL = './fightcard.json';
+let fightCard = DEFAULT_FIGHT_CARD;
+let fightCardUrl = null; // as brandingUrl
+
+// Show palette (core/palettes.js) the colour knobs with a role follow
+let palette = readPalette('neon');
+
+// Knob defaults from the branding palette for one scene, e.g. { color: 'ff00ff' }
+function brandedDefaults(sceneId) {
+  return brandingKnobs(branding, sceneNames[sceneId], paramSchemas[sceneId]);
+}
+
+// Knob values the show palette gives one scene
+function paletteDefaults(sceneId) {
+  return paletteKnobs(palette, paramSchemas[sceneId]);
+}
 
 // ---------------------------------------------------------
 // Transition plumbing (render targets + fullscreen mix shader)
@@ -89,166 +249,834 @@ let rtB = new THREE.WebGLRenderTarget(window.innerWidth, window.innerHeight, rtP
 const screenScene = new THREE.Scene();
 const screenCam = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
 
-const mixMat = new THREE.ShaderMaterial({
-  uniforms: {
-    tFrom: { value: null },
-    tTo: { value: null },
-    progress: { value: 0.0 },
-  },
-  vertexShader: `
-    varying vec2 vUv;
-    void main() {
-      vUv = uv;
-      gl_Position = vec4(position.xy, 0.0, 1.0);
-    }
-  `,
-  fragmentShader: `
-    varying vec2 vUv;
-    uniform sampler2D tFrom;
-    uniform sampler2D tTo;
-    uniform float progress;
-
-    float ease(float x) {
-      // smoothstep - can swap for fancier easing later
-      return smoothstep(0.0, 1.0, x);
-    }
-
-    void main() {
-      float p = ease(progress);
-      vec4 a = texture2D(tFrom, vUv);
-      vec4 b = texture2D(tTo,   vUv);
-      gl_FragColor = mix(a, b, p);
-    }
-  `,
-  depthTest: false,
-  depthWrite: false,
-  transparent: false
-});
+// One material per registered transition, built on first use
+const transitionMats = {};
+function getTransitionMat(type) {
+  if (!transitionMats[type]) transitionMats[type] = createTransitionMaterial(type);
+  return transitionMats[type];
+}
+let mixMat = getTransitionMat('crossfade');
 
 const mixQuad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), mixMat);
 screenScene.add(mixQuad);
 
 // Transition state
 let transitioning = false;
-let nextBundle = null;          // { scene, camera, animate }
+let nextBundle = null;          // { scene, camera, animate, params }
 let nextSceneId = null;
+let manualProgress = null;      // 0..1 while a fader drives the transition
 let transitionStart = 0;
 let transitionDuration = 1.5;   // seconds
+let transitionEasing = EASINGS.smoothstep;
+
+// Defaults for the next switch (keyboard-selectable)
+const transitionSettings = {
+  type: 'crossfade',
+  duration: 1.5,          // seconds
+  easing: 'smoothstep',
+  quantize: 'off',        // 'off' | 'beat' | 'bar' (needs a running tempo)
+};
+const QUANTIZE_MODES = ['off', 'beat', 'bar'];
+
+// Switch whose scene is still being readied (see Preloading) or, once ready,
+// waiting for the next beat/bar boundary when quantized
+let pendingTransition = null; // { toSceneId, opts, unit, bundle, ready, progress, promise }
+
+// Scene built ahead of a switch nobody has asked for yet (cycle / next cue)
+let preloaded = null;         // { sceneId, key, bundle, ready }
+let preloadRequest = null;    // key of a preload waiting for an idle moment
 
 // ---------------------------------------------------------
-// Helpers: dispose + load/prep scenes
+// Post-processing (core/post.js) over whatever reaches the screen. Its knobs
+// are global (post.bloom, post.lut ...); each scene's postFx / bloom params
+// decide how much of it that scene gets.
 // ---------------------------------------------------------
-function disposeObject(obj) {
-  // Dispose geometry/material/texture recursively
-  obj.traverse((child) => {
-    if (child.geometry) child.geometry.dispose?.();
-    if (child.material) {
-      if (Array.isArray(child.material)) child.material.forEach(m => m.dispose?.());
-      else child.material.dispose?.();
-    }
-    if (child.texture) child.texture.dispose?.();
-  });
+const post = createPostChain(renderer);
+
+function setPostParam(key, value) {
+  const def = POST_PARAMS[key];
+  if (!def) {
+    console.warn(`No post param ${key}`);
+    return;
+  }
+  post.params[key] = coerceParam(def, value);
+  spanPublish({ type: 'post', key, value: post.params[key] });
+}
+
+// { amount, bloom } for the picture on screen; blended by `progress` (eased)
+// from the active scene's knobs to the incoming one's during a transition
+function postLook(progress) {
+  const look = (params) => ({ amount: params.postFx === false ? 0 : 1, bloom: params.bloom ?? 1 });
+  const from = look(activeParams);
+  if (!transitioning) return from;
+  const to = look(nextBundle.params);
+  return {
+    amount: from.amount + (to.amount - from.amount) * progress,
+    bloom: from.bloom + (to.bloom - from.bloom) * progress,
+  };
+}
+
+// Where the finished frame goes: the chain's input, or straight to the screen
+function frameTarget(look) {
+  return post.params.enabled && look.amount > 0 ? post.input : screenTarget();
+}
+
+// ---------------------------------------------------------
+// Projection mapping (core/mapping.js): corner pin / mesh warp, masks and
+// edge blends between the finished frame and the canvas. C calibrates.
+// Exports skip it: a clip is the show, not one venue's screen.
+// ---------------------------------------------------------
+// Each window of a span keeps its own calibration (its own projector)
+const mapping = createMapping(renderer, {
+  storageKey: span ? `qfn.mapping.${span.index}` : undefined,
+  onChange: () => calibrationEditor.update(),
+});
+const calibrationEditor = createCalibrationEditor(mapping, renderer.domElement);
+
+// The screen as far as the show is concerned: the mapping stage's input while
+// it's in use, otherwise the canvas
+function screenTarget() {
+  return mapping.active && !exportJob ? mapping.input : null;
+}
+
+// ---------------------------------------------------------
+// Round clock (core/roundTimer.js) drawn over the finished frame, so it sits
+// on top of scenes and transitions alike. R starts / pauses it, Shift+R
+// resets, I holds the round card up, J shows / hides the clock.
+// ---------------------------------------------------------
+const timer = createRoundTimer({ onEvent: timerEvent });
+const timerOverlay = createTimerOverlay(renderer);
+const bell = createBell();
+window.addEventListener('pointerdown', () => bell.unlock());
+window.addEventListener('keydown', () => bell.unlock());
+
+// The bell rings on the span leader only, and never while exporting
+function timerEvent(name) {
+  if (!timer.params.bell || following || exportJob) return;
+  if (name === 'roundStart') bell.ring(1);
+  if (name === 'roundEnd') bell.ring(3);
+  if (name === 'warning') bell.clap();
 }
 
-function disposeScene(scene) {
-  if (!scene) return;
-  // Remove children so they can be GC'd
-  while (scene.children.length) {
-    const child = scene.children.pop();
-    scene.remove(child);
-    disposeObject(child);
+// Clock changes travel to the span as a whole snapshot
+function timerAction(action, ...args) {
+  timer[action](...args);
+  spanPublish({ type: 'timer', timer: timer.snapshot() });
+}
+
+function setTimerParam(key, value) {
+  const def = TIMER_PARAMS[key];
+  if (!def) {
+    console.warn(`No timer param ${key}`);
+    return;
   }
+  timer.params[key] = coerceParam(def, value);
+  spanPublish({ type: 'timer', timer: timer.snapshot() });
 }
 
-function loadScene(sceneId) {
-  const setup = scenes[sceneId];
-  if (!setup) return;
+// Frame rendered into frameTarget(look): run the post chain, the round clock
+// and mapping
+function finishFrame(target, look) {
+  const screen = screenTarget();
+  if (target === post.input) post.render({ ...look, time: showTime, target: screen });
+  timerOverlay.render(timer, screen, showTime);
+  if (screen) mapping.render();
+}
+
+// Post chain, round clock and mapping stage work in drawing-buffer pixels
+function resizeOutputStages() {
+  const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+  post.setSize(size.x, size.y);
+  timerOverlay.setSize(size.x, size.y);
+  mapping.setSize(size.x, size.y);
+}
+resizeOutputStages();
+
+// ---------------------------------------------------------
+// Live messages (core/messages.js): shout-outs sent in from the operator
+// window or /message wait there for approval, then go live one at a time.
+// Scenes with a showMessage action spell out the live one.
+// ---------------------------------------------------------
+const messages = createMessageQueue({ onLive: (message) => showLiveMessage(message?.text ?? null) });
+let liveMessage = null; // text on screen, or null
+
+// Every bundle gets it, so a scene switched to mid-message shows it too
+function showLiveMessage(text) {
+  liveMessage = text;
+  spanPublish({ type: 'message', text });
+  for (const bundle of [activeBundle, nextBundle, pendingTransition?.bundle, preloaded?.bundle]) {
+    bundle?.showMessage?.(text);
+  }
+}
+
+// ---------------------------------------------------------
+// Quality (core/quality.js): pixel ratio, transition render target size and
+// scene detail follow the measured frame time, or a preset pinned with G
+// ---------------------------------------------------------
+const quality = createQualityGovernor({ onChange: applyQuality });
+
+// Scene detail for setup() and the quality() hook; exports always get full detail
+function sceneDetail() {
+  return exportJob ? 1 : quality.preset.detail;
+}
+
+function applySceneDetail() {
+  for (const bundle of [activeBundle, nextBundle, pendingTransition?.bundle, preloaded?.bundle]) {
+    bundle?.quality?.(sceneDetail());
+  }
+}
 
-  const { scene, camera, animate } = setup();
-  if (activeScene) disposeScene(activeScene);
+function applyQuality() {
+  if (exportJob) return; // the exporter restores quality when it's done
+  spanPublish({ type: 'quality', level: quality.level }); // spanned windows share scene detail
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, quality.preset.pixelRatio));
+  resizeRendererToWindow();
+  applySceneDetail();
+}
+
+// ---------------------------------------------------------
+// Helpers: load/prep scenes (disposal lives in core/dispose.js)
+// ---------------------------------------------------------
+function fitCamera(camera, width, height) {
+  if (camera?.isPerspectiveCamera && camera.aspect !== width / height) {
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+  }
+}
+
+// Each scene draws from its own stream of the show seed, so a seed gives the
+// same layout no matter which scenes were built before it
+function sceneRandom(sceneId) {
+  return createRandom(`${showSeed}:${sceneId}`);
+}
 
-  activeScene = scene;
-  activeCamera = camera;
-  activeAnimate = animate || (() => {});
+// Window size, or the export size while exporting
+function outputSize() {
+  return renderer.getSize(new THREE.Vector2());
 }
 
-function prepNextScene(sceneId) {
+// Scene lifecycle hooks (contract in scenes/index.js). A spanned window lays
+// the scene out for the whole span and shows its part.
+function resizeBundle(bundle, width, height) {
+  if (span) ({ width, height } = spanView(span, bundle.camera, width, height));
+  fitCamera(bundle.camera, width, height);
+  bundle.resize?.(width, height);
+}
+
+// Build a scene sized for the output; showBundle() puts it on screen.
+// params: per-scene overrides (e.g. from a setlist cue), handed to setup()
+// on top of any live values set for that scene
+function createBundle(sceneId, params = {}) {
   const setup = scenes[sceneId];
   if (!setup) return null;
-  const { scene, camera, animate } = setup();
-  return { scene, camera, animate: animate || (() => {}) };
+  const resources = createResourceTracker();
+  const values = { ...brandedDefaults(sceneId), ...paletteDefaults(sceneId), ...sceneParamOverrides[sceneId], ...params };
+  const bundle = setup({
+    ...values,
+    random: sceneRandom(sceneId),
+    resources,
+    detail: sceneDetail(),
+    branding,
+    fightCard,
+  });
+  resources.track(bundle.scene);
+  // Knobs main.js reads itself (postFx, bloom) aren't in the scene's own params
+  const live = bundle.params || {};
+  const all = createParams(paramSchemas[sceneId] || {}, values);
+  for (const [key, value] of Object.entries(all)) {
+    if (!(key in live)) live[key] = value;
+  }
+  const full = { ...bundle, sceneId, animate: bundle.animate || (() => {}), params: live, resources };
+  const size = outputSize();
+  resizeBundle(full, size.x, size.y);
+  if (liveMessage) full.showMessage?.(liveMessage);
+  return full;
+}
+
+// About to be shown: catch up on the output size (it may have been built a
+// while ago) and the pause state, then enter
+function showBundle(bundle) {
+  const size = outputSize();
+  resizeBundle(bundle, size.x, size.y);
+  bundle.enter?.();
+  if (paused) bundle.pause?.(true);
+}
+
+// Off screen for good: exit, let the scene stop its own work, then free the
+// graph and everything else it tracked
+function retireBundle(bundle) {
+  bundle.exit?.();
+  bundle.dispose?.();
+  bundle.resources.dispose();
+}
+
+function loadScene(sceneId, params = {}) {
+  const bundle = createBundle(sceneId, params);
+  if (!bundle) return;
+  showBundle(bundle);
+  if (activeBundle) retireBundle(activeBundle);
+
+  activeBundle = bundle;
+  activeSceneId = sceneId;
+  activeScene = bundle.scene;
+  activeCamera = bundle.camera;
+  activeAnimate = bundle.animate;
+  activeParams = bundle.params;
+}
+
+// ---------------------------------------------------------
+// Preloading: a scene is built before its transition, its own async assets
+// awaited (bundle.ready) and its shaders compiled in the background
+// (renderer.compileAsync), so a switch never stalls the show. The upcoming
+// cycle scene / setlist cue is prepared while the current one plays.
+// ---------------------------------------------------------
+const bundleKey = (sceneId, params = {}) => `${sceneId}|${JSON.stringify(params)}`;
+const whenIdle = window.requestIdleCallback
+  ? (fn) => requestIdleCallback(fn, { timeout: 2000 })
+  : (fn) => setTimeout(fn, 200);
+
+// { sceneId, key, bundle, ready }; ready resolves to the bundle and never rejects
+function prepareBundle(sceneId, params = {}) {
+  const bundle = createBundle(sceneId, params);
+  if (!bundle) return null;
+  const ready = Promise.resolve(bundle.ready)
+    .then(() => renderer.compileAsync(bundle.scene, bundle.camera))
+    .catch(err => console.warn(`Preparing scene ${sceneId} failed:`, err.message))
+    .then(() => bundle);
+  return { sceneId, key: bundleKey(sceneId, params), bundle, ready };
+}
+
+// The preloaded scene when it's the one asked for, otherwise a fresh build
+// (a preload for some other switch is kept; preloadUpcoming drops it if stale)
+function takeBundle(sceneId, params = {}) {
+  const key = bundleKey(sceneId, params);
+  if (preloadRequest === key) preloadRequest = null; // too late for the idle build
+  if (preloaded?.key !== key) return prepareBundle(sceneId, params);
+  const entry = preloaded;
+  preloaded = null;
+  return entry;
+}
+
+// setup() itself is synchronous, so it waits for an idle moment outside a
+// transition
+function preloadScene(sceneId, params = {}) {
+  const key = bundleKey(sceneId, params);
+  if (exportJob || preloaded?.key === key || preloadRequest === key) return;
+  discardPreload();
+  preloadRequest = key;
+  whenIdle(function build() {
+    if (preloadRequest !== key) return; // superseded, or taken by a switch already
+    if (transitioning || pendingTransition) return whenIdle(build);
+    preloadRequest = null;
+    preloaded = prepareBundle(sceneId, params);
+  });
+}
+
+function discardPreload() {
+  preloadRequest = null;
+  if (preloaded) retireBundle(preloaded.bundle);
+  preloaded = null;
+}
+
+const REBUILD_FADE = 0.5; // seconds; crossfade used when a knob needs a fresh setup()
+
+// Crossfade the active scene into a fresh setup() of itself
+function rebuildScene() {
+  if (activeSceneId && !transitioning) {
+    startTransition(activeSceneId, { type: 'crossfade', duration: REBUILD_FADE, quantize: 'off' });
+  }
+}
+
+// New event branding: scenes pick it up when they're next built, the one on
+// screen right away
+function applyBranding(data, url = null) {
+  branding = readBranding(data);
+  brandingUrl = url;
+  spanPublish({ type: 'branding', branding });
+  discardPreload(); // built with the old branding
+  rebuildScene();
+}
+
+// New fight card: only the walk-out scene reads it
+function applyFightCard(card, url = null) {
+  fightCard = card;
+  fightCardUrl = url;
+  spanPublish({ type: 'fightCard', fightCard });
+  if (preloaded?.sceneId === 8) discardPreload();
+  if (activeSceneId === 8) rebuildScene();
+}
+
+// ---------------------------------------------------------
+// Show palette: a new one drops the live values set on colour knobs with a
+// role, so they all take its colours. Scenes already built fade over to it
+// on show time; scenes built later start with it.
+// ---------------------------------------------------------
+const PALETTE_FADE = 2; // seconds
+let paletteFade = null; // { elapsed, bundles: Map(bundle -> { key: [from, to] }) }
+
+// Built-in palettes, then the branding's own
+function paletteNames() {
+  return [...PALETTE_NAMES, ...Object.keys(branding.palettes)];
+}
+
+// A palette name or stripe colours; throws if it's neither
+function applyPalette(value) {
+  setPalette(readPalette(value, branding.palettes));
+}
+
+function stepPalette(step) {
+  const names = paletteNames();
+  const i = names.indexOf(palette.name);
+  applyPalette(names[(i + step + names.length) % names.length]);
+}
+
+function setPalette(next) {
+  palette = next;
+  spanPublish({ type: 'palette', palette });
+  for (const id of sceneIds) {
+    for (const [key, def] of Object.entries(paramSchemas[id] || {})) {
+      if (def.role) delete sceneParamOverrides[id]?.[key];
+    }
+  }
+  const bundles = new Map();
+  for (const bundle of [activeBundle, nextBundle, pendingTransition?.bundle, preloaded?.bundle]) {
+    if (!bundle) continue;
+    const branded = brandedDefaults(bundle.sceneId);
+    const keys = {};
+    for (const [key, def] of Object.entries(paramSchemas[bundle.sceneId] || {})) {
+      if (!def.role) continue;
+      const to = palette.roles ? palette.roles[def.role] : coerceParam(def, branded[key] ?? def.default);
+      keys[key] = [bundle.params[key], to];
+    }
+    bundles.set(bundle, keys);
+  }
+  paletteFade = { elapsed: 0, bundles };
+}
+
+function updatePaletteFade(delta) {
+  if (!paletteFade) return;
+  paletteFade.elapsed += delta;
+  const t = Math.min(1, paletteFade.elapsed / PALETTE_FADE);
+  for (const [bundle, keys] of paletteFade.bundles) {
+    for (const [key, [from, to]] of Object.entries(keys)) bundle.params[key] = mixColor(from, to, t);
+  }
+  if (t === 1) paletteFade = null;
+}
+
+// .csv or JSON by the file name / URL; throws if it isn't a fight card
+function readFightCardText(text, name) {
+  return /\.csv$/i.test(name) ? readFightCardCsv(text, name.split('/').pop()) : readFightCard(text);
+}
+
+// Walk-out bout, 1-based, kept within the card
+function setBout(bout) {
+  setSceneParam(8, 'bout', Math.min(fightCard.bouts.length, Math.max(1, bout)));
+}
+
+function stepBout(step) {
+  setBout(currentParam(paramTargets['walkout.bout']) + step);
+}
+
+// Set a live scene knob (coerced by the scene's schema); sticks for the next
+// time that scene loads too. Knobs marked `rebuild` reload the active scene
+// (on a spanned follower, the leader's reload comes in as a transition).
+function setSceneParam(sceneId, key, value) {
+  const def = paramSchemas[sceneId]?.[key];
+  if (!def) {
+    console.warn(`Scene ${sceneId} has no param ${key}`);
+    return;
+  }
+  value = coerceParam(def, value);
+  spanPublish({ type: 'param', sceneId, key, value });
+  for (const [bundle, keys] of paletteFade?.bundles ?? []) {
+    if (bundle.sceneId === sceneId) delete keys[key]; // a knob set mid-fade stays put
+  }
+  sceneParamOverrides[sceneId] = { ...sceneParamOverrides[sceneId], [key]: value };
+  if (activeSceneId === sceneId && activeParams[key] !== value) {
+    activeParams[key] = value;
+    if (def.rebuild && !following) rebuildScene();
+  }
+  if (nextSceneId === sceneId && nextBundle && key in nextBundle.params) nextBundle.params[key] = value;
+  if (preloaded?.sceneId === sceneId) {
+    if (def.rebuild) discardPreload();
+    else if (key in preloaded.bundle.params) preloaded.bundle.params[key] = value;
+  }
 }
 
 // ---------------------------------------------------------
 // Transition control
 // ---------------------------------------------------------
-function startTransition(toSceneId) {
-  if (transitioning) return; // ignore re-entrancy
+// opts: { type, duration, easing, quantize, params, manual } - falls back to
+// transitionSettings. type 'random' picks any registered transition.
+// manual: progress comes from setManualProgress() instead of the clock.
+// The incoming scene is readied first; a quantized switch then waits for its
+// beat/bar. A newer request replaces one still pending. Resolves once the
+// scene is ready (the exporter waits on it).
+function startTransition(toSceneId, opts = {}) {
+  if (transitioning) return Promise.resolve(); // ignore re-entrancy
+  dropPendingTransition();
+
+  const entry = takeBundle(toSceneId, opts.params);
+  if (!entry) return Promise.resolve();
+  const quantize = opts.quantize ?? transitionSettings.quantize;
+  const request = pendingTransition = {
+    toSceneId,
+    opts,
+    unit: quantize !== 'off' && tempo.state.running ? quantize : null,
+    bundle: entry.bundle,
+    ready: false,
+    progress: 0, // fader position while a manual switch is being readied
+  };
+  request.promise = entry.ready.then(() => {
+    if (pendingTransition !== request) return; // replaced or cancelled meanwhile
+    request.ready = true;
+    if (!request.unit) beginTransition(request);
+  });
+  return request.promise;
+}
+
+function dropPendingTransition() {
+  if (!pendingTransition) return;
+  retireBundle(pendingTransition.bundle);
+  pendingTransition = null;
+}
+
+function beginTransition({ toSceneId, opts, bundle, progress }) {
+  pendingTransition = null;
   nextSceneId = toSceneId;
-  nextBundle = prepNextScene(toSceneId);
-  if (!nextBundle) return;
+  nextBundle = bundle;
+  showBundle(bundle);
+
+  let type = opts.type ?? transitionSettings.type;
+  if (type === 'random') type = randomTransitionName();
+  if (!TRANSITION_NAMES.includes(type)) type = 'crossfade';
+
+  mixMat = getTransitionMat(type);
+  mixQuad.material = mixMat;
+  mixMat.uniforms.resolution.value.copy(outputSize());
+  transitionDuration = Math.max(0.01, opts.duration ?? transitionSettings.duration);
+  const easing = opts.easing ?? transitionSettings.easing;
+  transitionEasing = EASINGS[easing] || EASINGS.smoothstep;
+  spanPublish({
+    type: 'begin',
+    toSceneId,
+    params: opts.params,
+    seed: showSeed,
+    transition: { type, duration: transitionDuration, easing, manual: !!opts.manual },
+    progress,
+  });
 
   transitioning = true;
-  transitionStart = clock.getElapsedTime();
+  manualProgress = opts.manual ? progress : null;
+  transitionStart = showTime;
   mixMat.uniforms.progress.value = 0.0;
 }
 
 function finishTransition() {
   // Swap "to" scene as active
-  disposeScene(activeScene);
+  retireBundle(activeBundle);
+  activeBundle = nextBundle;
+  activeSceneId = nextSceneId;
   activeScene = nextBundle.scene;
   activeCamera = nextBundle.camera;
   activeAnimate = nextBundle.animate;
+  activeParams = nextBundle.params;
 
   // Cleanup
   nextBundle = null;
   nextSceneId = null;
+  manualProgress = null;
+  transitioning = false;
+
+  // A cue that fired mid-transition plays now, otherwise get the next one ready
+  if (queuedCue) {
+    const cue = queuedCue;
+    queuedCue = null;
+    playCue(cue);
+  }
+  preloadUpcoming();
+}
+
+// Throw away the incoming scene and stay on the current one
+function cancelTransition() {
+  dropPendingTransition();
+  if (!transitioning) return;
+  spanPublish({ type: 'cancel' });
+  retireBundle(nextBundle);
+  nextBundle = null;
+  nextSceneId = null;
+  manualProgress = null;
   transitioning = false;
 }
 
+// Index (into sceneIds) of the scene the cycle or fader goes to next
+function nextCycleIndex() {
+  let next = currentSceneIndex;
+  do next = (next + 1) % sceneIds.length;
+  while (!cycleSceneIds.includes(sceneIds[next]));
+  return next;
+}
+
+// Fader-driven transition: leaving 0 starts a switch to the next scene,
+// reaching 1 completes it, returning to 0 aborts it.
+function setManualProgress(value) {
+  if (!transitioning) {
+    const readying = pendingTransition?.opts.manual;
+    if (value <= 0) {
+      if (readying) {
+        currentSceneIndex = sceneIds.indexOf(activeSceneId);
+        cancelTransition();
+      }
+      return;
+    }
+    if (!readying) {
+      const nextIndex = nextCycleIndex();
+      startTransition(sceneIds[nextIndex], { manual: true, quantize: 'off' });
+      if (!pendingTransition) return;
+      currentSceneIndex = nextIndex;
+    }
+    pendingTransition.progress = Math.min(1, value); // picked up once the scene is ready
+    return;
+  }
+  if (manualProgress === null) return; // a timed transition is running
+  if (value <= 0) {
+    currentSceneIndex = sceneIds.indexOf(activeSceneId);
+    cancelTransition();
+    return;
+  }
+  manualProgress = Math.min(1, value);
+  spanPublish({ type: 'progress', value: manualProgress });
+}
+
 // ---------------------------------------------------------
-// Initial load
+// Initial load (scene and knobs can come from the URL, see core/urlState.js)
 // ---------------------------------------------------------
+const startup = readUrlState();
+
+for (const [name, value] of Object.entries(startup.params)) {
+  const t = paramTargets[name];
+  if (t) sceneParamOverrides[t.scene] = { ...sceneParamOverrides[t.scene], [t.key]: coerceParam(t.def, value) };
+  else if (name.startsWith('post.')) setPostParam(name.slice(5), value);
+  else if (name.startsWith('timer.')) setTimerParam(name.slice(6), value);
+}
+if (startup.transition) {
+  const { type, duration, easing, quantize } = startup.transition;
+  if (type === 'random' || TRANSITION_NAMES.includes(type)) transitionSettings.type = type;
+  if (Number(duration) > 0) transitionSettings.duration = Number(duration);
+  if (EASINGS[easing]) transitionSettings.easing = easing;
+  if (QUANTIZE_MODES.includes(quantize)) transitionSettings.quantize = quantize;
+}
+// Seeds every scene's layout (core/random.js); a fresh one unless ?seed= is
+// given, and written back to the URL so a reload rebuilds the same look
+let showSeed = startup.seed ?? randomSeed();
+if (startup.palette) {
+  try {
+    palette = readPalette(startup.palette);
+  } catch (err) {
+    console.warn(err.message);
+  }
+}
+if (QUALITY_MODES.includes(startup.quality)) quality.setMode(startup.quality);
+
+currentSceneIndex = Math.max(0, sceneIds.indexOf(sceneIdFrom(startup.scene)));
 loadScene(sceneIds[currentSceneIndex]);
 
+// ---------------------------------------------------------
+// Span sync. Followers replay the leader's frames (time, audio levels,
+// beats) and changes; with the shared seed their scenes stay in step.
+// Someone opening a window rebuilds the current scene everywhere, so spans
+// are best set up before the show.
+// ---------------------------------------------------------
+// Everything a follower needs to start over in step with the leader
+function publishSpanState() {
+  spanPublish({
+    type: 'load',
+    time: showTime,
+    seed: showSeed,
+    sceneId: activeSceneId,
+    params: { ...activeParams },
+    overrides: sceneParamOverrides,
+    branding,
+    fightCard,
+    palette,
+    post: { ...post.params },
+    timer: timer.snapshot(),
+    message: liveMessage,
+    quality: quality.level,
+    paused,
+  });
+}
+
+function resyncSpan() {
+  cancelTransition();
+  loadScene(activeSceneId, { ...activeParams });
+  publishSpanState();
+}
+
+function followLeader(msg) {
+  switch (msg.type) {
+    case 'load':
+      cancelTransition();
+      showTime = msg.time;
+      showSeed = msg.seed;
+      branding = msg.branding;
+      fightCard = msg.fightCard;
+      palette = msg.palette;
+      for (const id of Object.keys(sceneParamOverrides)) delete sceneParamOverrides[id];
+      Object.assign(sceneParamOverrides, msg.overrides);
+      for (const [key, value] of Object.entries(msg.post)) setPostParam(key, value);
+      timer.restore(msg.timer);
+      liveMessage = msg.message;
+      quality.setMode(msg.quality);
+      loadScene(msg.sceneId, msg.params);
+      setPaused(msg.paused);
+      break;
+    case 'begin': {
+      if (transitioning) finishTransition(); // the leader got there a frame sooner
+      showSeed = msg.seed;
+      const { bundle } = takeBundle(msg.toSceneId, msg.params);
+      beginTransition({
+        toSceneId: msg.toSceneId,
+        opts: { ...msg.transition, params: msg.params },
+        bundle,
+        progress: msg.progress,
+      });
+      break;
+    }
+    case 'cancel':
+      cancelTransition();
+      break;
+    case 'branding':
+      branding = msg.branding; // the leader's rebuild follows as a 'begin'
+      discardPreload();
+      break;
+    case 'fightCard':
+      fightCard = msg.fightCard;
+      discardPreload();
+      break;
+    case 'timer':
+      timer.restore(msg.timer);
+      break;
+    case 'message':
+      showLiveMessage(msg.text);
+      break;
+    case 'palette':
+      setPalette(msg.palette);
+      break;
+    case 'progress':
+      if (manualProgress !== null) manualProgress = msg.value;
+      break;
+    case 'param':
+      setSceneParam(msg.sceneId, msg.key, msg.value);
+      break;
+    case 'post':
+      setPostParam(msg.key, msg.value);
+      break;
+    case 'pause':
+      setPaused(msg.on);
+      break;
+    case 'quality':
+      quality.setMode(msg.level);
+      break;
+  }
+}
+
+if (following) {
+  spanChannel.onmessage = (e) => spanFollower.receive(e.data);
+  spanChannel.postMessage({ type: 'hello' });
+} else if (span) {
+  spanChannel.onmessage = (e) => {
+    if (e.data?.type === 'hello') resyncSpan();
+  };
+  publishSpanState(); // followers opened first start over with us
+}
+
 // ---------------------------------------------------------
 // Animate loop
 // ---------------------------------------------------------
 function animateLoop() {
   requestAnimationFrame(animateLoop);
   const delta = clock.getDelta();
+  if (exportJob) return; // the exporter steps frames itself
+  if (following) return spanFollower.flush(); // frames come from the leader
+  quality.update(delta);
+  const levels = audio.update(delta);
+  const beat = tempo.update(delta);
+  spanPublish({ type: 'frame', delta, levels, beat });
+  renderFrame(delta, levels, beat);
+}
+
+// Draw a scene through this window's view of the span (ring mode turns the
+// camera for the render only, the scene keeps its own)
+function renderScene(scene, camera) {
+  const yaw = span ? spanYaw(span, camera, outputSize().x) : 0;
+  if (!yaw) return renderer.render(scene, camera);
+  const facing = camera.quaternion.clone();
+  camera.rotateY(yaw);
+  renderer.render(scene, camera);
+  camera.quaternion.copy(facing);
+}
+
+// One show frame: advance time by `delta`, animate and draw. `beat` is the
+// tempo clock's unless a span leader sent it. draw false only animates (a
+// span follower catching up on the leader's frames).
+function renderFrame(delta, levels, beat = tempo.update(delta), draw = true) {
+  showTime += delta;
+  if (draw) renderer.info.reset();
+  timer.update(delta); // keeps running while the picture is frozen
+  updatePaletteFade(delta);
+  if (!following) messages.update(delta); // followers get the leader's
+
+  // Fire a quantized switch on its boundary, once its scene is ready
+  if (pendingTransition?.ready && pendingTransition.unit) {
+    const { unit } = pendingTransition;
+    if (beat.onBar || (beat.onBeat && unit === 'beat')) beginTransition(pendingTransition);
+  }
 
   if (!transitioning) {
     // Normal render
-    activeAnimate(delta);
-    renderer.setRenderTarget(null);
+    if (!paused) activeAnimate(delta, levels, beat);
+    if (!draw) return;
+    const look = postLook(0);
+    const target = frameTarget(look);
+    renderer.setRenderTarget(target);
     renderer.clear();
-    renderer.render(activeScene, activeCamera);
+    renderScene(activeScene, activeCamera);
+    finishFrame(target, look);
     return;
   }
 
   // During transition, drive both scenes
-  activeAnimate(delta);
-  nextBundle.animate(delta);
+  if (!paused) {
+    activeAnimate(delta, levels, beat);
+    nextBundle.animate(delta, levels, beat);
+  }
 
-  // Render current to rtA
-  renderer.setRenderTarget(rtA);
-  renderer.clear();
-  renderer.render(activeScene, activeCamera);
+  const t = manualProgress ?? (showTime - transitionStart) / transitionDuration;
+  if (draw) {
+    // Render current to rtA
+    renderer.setRenderTarget(rtA);
+    renderer.clear();
+    renderScene(activeScene, activeCamera);
 
-  // Render next to rtB
-  renderer.setRenderTarget(rtB);
-  renderer.clear();
-  renderer.render(nextBundle.scene, nextBundle.camera);
+    // Render next to rtB
+    renderer.setRenderTarget(rtB);
+    renderer.clear();
+    renderScene(nextBundle.scene, nextBundle.camera);
 
-  // Mix to screen
-  renderer.setRenderTarget(null);
-  mixMat.uniforms.tFrom.value = rtA.texture;
-  mixMat.uniforms.tTo.value = rtB.texture;
+    // Mix to screen (through the post chain when it's on)
+    mixMat.uniforms.tFrom.value = rtA.texture;
+    mixMat.uniforms.tTo.value = rtB.texture;
 
-  const t = (clock.getElapsedTime() - transitionStart) / transitionDuration;
-  mixMat.uniforms.progress.value = Math.min(Math.max(t, 0), 1);
-  renderer.render(screenScene, screenCam);
+    const progress = transitionEasing(Math.min(Math.max(t, 0), 1));
+    mixMat.uniforms.progress.value = progress;
+    mixMat.uniforms.time.value = showTime;
+    const look = postLook(progress);
+    const target = frameTarget(look);
+    renderer.setRenderTarget(target);
+    renderer.render(screenScene, screenCam);
+    finishFrame(target, look);
+  }
 
   if (t >= 1) {
     finishTransition();
@@ -257,13 +1085,15 @@ function animateLoop() {
 animateLoop();
 
 // ---------------------------------------------------------
-// Controls: number keys & spacebar auto-cycle
+// Controls: number keys, spacebar auto-cycle, setlist, transitions, audio input
 // ---------------------------------------------------------
 let cycling = false;
 let cycleTimeout = null; // add this
+let cycleDeadline = 0;   // performance.now() of the next auto switch
 
 
 function startCycle() {
+  if (cycling) return;
   cycling = true;
 
   function scheduleNextCycle() {
@@ -271,10 +1101,11 @@ function startCycle() {
     const min = 10 * 1000;      // 30 seconds
     const max = 5* 60 * 1000;  // 5 minutes
     const delay = Math.random() * (max - min) + min;
+    cycleDeadline = performance.now() + delay;
 
     cycleTimeout = setTimeout(() => {
-      const nextIndex = (currentSceneIndex + 1) % sceneIds.length;
-      startTransition(sceneIds[nextIndex]);
+      const nextIndex = nextCycleIndex();
+      startTransition(sceneIds[nextIndex], { type: 'random' });
       currentSceneIndex = nextIndex;
 
       if (cycling) {
@@ -284,6 +1115,7 @@ function startCycle() {
   }
 
   scheduleNextCycle();
+  preloadUpcoming();
 }
 
 function stopCycle() {
@@ -292,23 +1124,834 @@ function stopCycle() {
 }
 
 
+// ---------------------------------------------------------
+// Setlist (show file). Replaces the auto-cycle while loaded.
+// ---------------------------------------------------------
+const SETLIST_URL = './setlist.json';
+let queuedCue = null;
+let setlistUrl = null; // where the loaded setlist came from (kept in the URL); null if dropped
+
+const cueLabel = document.createElement('div');
+Object.assign(cueLabel.style, {
+  position: 'fixed',
+  top: '10px',
+  left: '10px',
+  padding: '4px 8px',
+  font: '12px monospace',
+  background: 'rgba(0,0,0,0.6)',
+  color: 'white',
+  borderRadius: '4px',
+  pointerEvents: 'none',
+  zIndex: 999,
+  display: 'none'
+});
+document.body.appendChild(cueLabel);
+
+function playCue(cue) {
+  if (transitioning) {
+    queuedCue = cue;
+    return Promise.resolve();
+  }
+  currentSceneIndex = sceneIds.indexOf(cue.scene);
+  return startTransition(cue.scene, { ...cue.transition, params: cue.params });
+}
+
+const setlist = createSetlistPlayer({ onCue: playCue });
+
+function loadSetlist(data) {
+  try {
+    const { name, cues } = setlist.load(data, sceneIds);
+    stopCycle();
+    console.info(`Setlist "${name}" loaded: ${cues.length} cues`);
+  } catch (err) {
+    console.warn('Invalid setlist:', err.message);
+  }
+}
+
+function formatCueTime(sec) {
+  if (!Number.isFinite(sec)) return 'HOLD';
+  const s = Math.ceil(sec);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function updateCueLabel() {
+  if (!setlist.loaded || !hudVisible) {
+    cueLabel.style.display = 'none';
+    return;
+  }
+  const { name, cues } = setlist.setlist;
+  const i = setlist.index;
+  const cue = cues[i];
+  cueLabel.style.display = 'block';
+  cueLabel.textContent = cue
+    ? `${name} · cue ${i + 1}/${cues.length} · ${cue.label} · ` +
+      (setlist.playing ? formatCueTime(setlist.remaining()) : 'PAUSED')
+    : `${name} · ${cues.length} cues · space to start`;
+}
+setInterval(updateCueLabel, 250);
+
+// Optional show file next to index.html (or ?setlist=); the auto-cycle stays
+// the fallback. ?cue= / ?cycle= pick up where a reloaded show left off.
+// Span followers play whatever the leader plays.
+if (!following) {
+  fetch(startup.setlist || SETLIST_URL)
+    .then(res => (res.ok ? res.json() : null))
+    .then((data) => {
+      if (!data) return;
+      loadSetlist(data);
+      if (!setlist.loaded) return;
+      setlistUrl = startup.setlist || null;
+      const cue = Number(startup.cue);
+      if (Number.isInteger(cue) && cue > 0) setlist.goTo(cue - 1);
+      if (onOff(startup.cycle ?? 'off', false)) setlist.start();
+    })
+    .catch(() => {});
+
+  // Event branding: ?branding= or branding.json next to index.html
+  fetch(startup.branding || BRANDING_URL)
+    .then(res => (res.ok ? res.json() : null))
+    .then((data) => {
+      if (data) applyBranding(data, startup.branding || null);
+    })
+    .catch(err => console.warn('Branding not loaded:', err.message));
+
+  // Fight card for the walk-out scene: ?card= (.json or .csv) or fightcard.json
+  const cardUrl = startup.card || FIGHT_CARD_URL;
+  fetch(cardUrl)
+    .then(res => (res.ok ? res.text() : null))
+    .then((text) => {
+      if (text) applyFightCard(readFightCardText(text, cardUrl), startup.card || null);
+    })
+    .catch(err => console.warn('Fight card not loaded:', err.message));
+}
+
+// Drop a setlist (or MIDI mappings, calibration, branding, fight card) .json,
+// or a fight card .csv, onto the window
+window.addEventListener('drop', (e) => {
+  const file = [...(e.dataTransfer?.files || [])].find(f => /\.(json|csv)$/i.test(f.name));
+  if (!file) return;
+  e.preventDefault();
+  if (!/\.csv$/i.test(file.name)) loadJsonFile(file);
+  else if (!following) {
+    file.text()
+      .then(text => applyFightCard(readFightCardText(text, file.name)))
+      .catch(err => console.warn('Invalid fight card:', err.message));
+  }
+});
+
+// Build what the auto-cycle or the playing setlist switches to next, or
+// free the preload when nothing is coming
+function preloadUpcoming() {
+  if (transitioning || pendingTransition) return;
+  const cue = setlist.loaded && setlist.playing ? setlist.upcoming() : null;
+  if (cue) preloadScene(cue.scene, cue.params);
+  else if (!setlist.loaded && cycling) preloadScene(sceneIds[nextCycleIndex()]);
+  else discardPreload();
+}
+
+// Manual switch (number keys, MIDI pads): takes over from cycle/setlist
+function switchToScene(sceneNumber) {
+  stopCycle(); // stop auto-cycling if manual switch
+  setlist.stop();
+  const idx = sceneIds.indexOf(sceneNumber);
+  if (idx !== -1) {
+    startTransition(sceneIds[idx]);
+    currentSceneIndex = idx;
+  }
+}
+
+// Space bar: the setlist, or the auto-cycle when none is loaded
+function toggleAutoplay() {
+  if (setlist.loaded) setlist.playing ? setlist.stop() : setlist.start();
+  else cycling ? stopCycle() : startCycle();
+  preloadUpcoming();
+}
+
+function setAutoplay(on) {
+  const running = setlist.loaded ? setlist.playing : cycling;
+  if (on !== running) toggleAutoplay();
+}
+
+// Call an action a scene returned from setup() (e.g. signature's
+// jumpToState), on whichever of the active/incoming bundles is that scene
+function callSceneAction(sceneId, action, ...args) {
+  let called = false;
+  for (const [id, bundle] of [[activeSceneId, activeBundle], [nextSceneId, nextBundle]]) {
+    if (id === sceneId && typeof bundle?.[action] === 'function') {
+      bundle[action](...args);
+      called = true;
+    }
+  }
+  return called;
+}
+
+// ---------------------------------------------------------
+// MIDI controller mapping (learn with K)
+// ---------------------------------------------------------
+const midiTargets = {};
+for (const id of sceneIds) {
+  midiTargets[`scene:${id}`] = { label: `Scene ${id}`, kind: 'trigger', apply: () => switchToScene(id) };
+}
+midiTargets.autoplay = { label: 'Cycle / setlist', kind: 'trigger', apply: toggleAutoplay };
+midiTargets['cue.next'] = { label: 'Next cue', kind: 'trigger', apply: () => setlist.next() };
+midiTargets['cue.previous'] = { label: 'Previous cue', kind: 'trigger', apply: () => setlist.previous() };
+midiTargets['bout.next'] = { label: 'Next bout', kind: 'trigger', apply: () => stepBout(1) };
+midiTargets['bout.previous'] = { label: 'Previous bout', kind: 'trigger', apply: () => stepBout(-1) };
+midiTargets['timer.toggle'] = { label: 'Round clock start / pause', kind: 'trigger', apply: () => timerAction('toggle') };
+midiTargets['timer.reset'] = { label: 'Round clock reset', kind: 'trigger', apply: () => timerAction('reset') };
+midiTargets['timer.card'] = { label: 'Round card', kind: 'trigger', apply: () => timerAction('setCard', !timer.state.cardOn) };
+midiTargets['palette.next'] = { label: 'Next palette', kind: 'trigger', apply: () => stepPalette(1) };
+midiTargets['palette.previous'] = { label: 'Previous palette', kind: 'trigger', apply: () => stepPalette(-1) };
+midiTargets['transition.progress'] = { label: 'Transition fader', kind: 'range', apply: setManualProgress };
+// Faders for range knobs, buttons for on/off ones
+for (const [id, t] of Object.entries(paramTargets)) {
+  const label = `${sceneNames[t.scene]}: ${t.def.label || t.key}`;
+  if (t.def.type === 'range') {
+    midiTargets[id] = { label, kind: 'range', apply: (v) => setSceneParam(t.scene, t.key, paramFromUnit(t.def, v)) };
+  } else if (t.def.type === 'bool') {
+    midiTargets[id] = {
+      label,
+      kind: 'trigger',
+      apply: () => setSceneParam(t.scene, t.key, !currentParam(t)),
+    };
+  }
+}
+
+for (const [key, def] of Object.entries(POST_PARAMS)) {
+  const label = `Post: ${def.label}`;
+  if (def.type === 'range') {
+    midiTargets[`post.${key}`] = { label, kind: 'range', apply: (v) => setPostParam(key, paramFromUnit(def, v)) };
+  } else if (def.type === 'bool') {
+    midiTargets[`post.${key}`] = { label, kind: 'trigger', apply: () => setPostParam(key, !post.params[key]) };
+  }
+}
+
+for (const [key, def] of Object.entries(TIMER_PARAMS)) {
+  const label = `Clock: ${def.label}`;
+  if (def.type === 'range') {
+    midiTargets[`timer.${key}`] = { label, kind: 'range', apply: (v) => setTimerParam(key, paramFromUnit(def, v)) };
+  } else if (def.type === 'bool') {
+    midiTargets[`timer.${key}`] = { label, kind: 'trigger', apply: () => setTimerParam(key, !timer.params[key]) };
+  }
+}
+
+const midi = createMidiMapper({
+  targets: midiTargets,
+  onChange: () => midiLearnPanel.render(),
+});
+const midiLearnPanel = createMidiLearnPanel(midi, midiTargets);
+
+// Controllers and MIDI clock share one access request (the span leader's only)
+if (!following) {
+  navigator.requestMIDIAccess?.()
+    .then((access) => {
+      midi.attach(access);
+      tempo.attachMidi(access);
+    })
+    .catch(err => console.info('Web MIDI unavailable:', err.message));
+}
+
+// Dropped .json: MIDI mappings, mapping calibration, event branding or a
+// fight card, otherwise a setlist
+function loadJsonFile(file) {
+  file.text().then((text) => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      console.warn(`${file.name} is not valid JSON:`, err.message);
+      return;
+    }
+    if (data?.type === MAPPINGS_FILE_TYPE) {
+      midi.importMappings(data);
+    } else if (data?.type === CALIBRATION_FILE_TYPE) {
+      mapping.importCalibration(data);
+    } else if (following) {
+      // the leader's setlist, branding and card are the ones that count
+    } else if (data?.type === BRANDING_FILE_TYPE) {
+      applyBranding(data);
+    } else if (data?.type === FIGHT_CARD_FILE_TYPE) {
+      try {
+        applyFightCard(readFightCard(data));
+      } catch (err) {
+        console.warn('Invalid fight card:', err.message);
+      }
+    } else {
+      loadSetlist(data);
+      setlistUrl = null;
+    }
+  });
+}
+
+// Value a knob has right now, whether or not its scene is on screen
+function currentParam({ scene, key, def }) {
+  if (activeSceneId === scene) return activeParams[key];
+  return sceneParamOverrides[scene]?.[key] ?? def.default;
+}
+
+// ---------------------------------------------------------
+// Param panel (P): the active scene's knobs
+// ---------------------------------------------------------
+const paramPanel = createParamPanel({
+  onChange: (key, value) => setSceneParam(activeSceneId, key, value),
+});
+let paramPanelSceneId = null;
+
+function refreshParamPanel() {
+  if (!paramPanel.visible) return;
+  if (paramPanelSceneId !== activeSceneId) {
+    paramPanelSceneId = activeSceneId;
+    paramPanel.render(paramSchemas[activeSceneId], activeParams,
+      `Scene ${activeSceneId} · ${sceneNames[activeSceneId]}`);
+  } else {
+    paramPanel.update(activeParams);
+  }
+}
+
+function toggleParamPanel() {
+  paramPanel.toggle();
+  paramPanelSceneId = null;
+  refreshParamPanel();
+}
+
+// Post panel (V): the global post-processing knobs
+const postPanel = createParamPanel({
+  onChange: (key, value) => setPostParam(key, value),
+  style: { left: 'auto', right: '10px' },
+});
+
+function togglePostPanel() {
+  postPanel.toggle();
+  if (postPanel.visible) postPanel.render(POST_PARAMS, post.params, 'Post-processing');
+}
+
+// Freeze the picture (scenes stop animating); transitions can still run
+function setPaused(on) {
+  if (on === paused) return;
+  paused = on;
+  spanPublish({ type: 'pause', on });
+  activeBundle?.pause?.(on);
+  nextBundle?.pause?.(on);
+}
+
+function setHudVisible(on) {
+  hudVisible = on;
+  fullscreenBtn.style.display = on ? 'block' : 'none';
+  updateCueLabel();
+  updateGpuLabel();
+}
+
+// ---------------------------------------------------------
+// GPU readout (HUD and operator status): geometry/texture/program counts
+// should come back to the same level each time a scene is revisited over a
+// long auto-cycle
+// ---------------------------------------------------------
+renderer.info.autoReset = false; // renderFrame resets, so calls cover the whole frame
+
+function gpuStats() {
+  const { memory, render, programs } = renderer.info;
+  const heap = performance.memory?.usedJSHeapSize; // Chrome only
+  return {
+    geometries: memory.geometries,
+    textures: memory.textures,
+    programs: programs?.length ?? 0,
+    calls: render.calls,
+    triangles: render.triangles,
+    heapMB: heap ? Math.round(heap / 1048576) : null,
+  };
+}
+
+function formatGpuStats(g) {
+  return `geo ${g.geometries} · tex ${g.textures} · prog ${g.programs} · ` +
+    `calls ${g.calls} · tris ${g.triangles}` + (g.heapMB !== null ? ` · heap ${g.heapMB} MB` : '');
+}
+
+const gpuLabel = document.createElement('div');
+Object.assign(gpuLabel.style, {
+  position: 'fixed',
+  bottom: '60px',
+  right: '10px',
+  padding: '4px 8px',
+  font: '12px monospace',
+  background: 'rgba(0,0,0,0.6)',
+  color: 'white',
+  borderRadius: '4px',
+  whiteSpace: 'pre',
+  pointerEvents: 'none',
+  zIndex: 999,
+  display: 'none'
+});
+document.body.appendChild(gpuLabel);
+
+function updateGpuLabel() {
+  gpuLabel.style.display = hudVisible ? 'block' : 'none';
+  if (!hudVisible) return;
+  gpuLabel.textContent = `Quality ${quality.mode}${quality.mode === 'auto' ? ` · ${quality.level}` : ''} · ` +
+    `${quality.frameMs.toFixed(1)} ms\nGPU ${formatGpuStats(gpuStats())}`;
+}
+setInterval(updateGpuLabel, 500);
+
+// ---------------------------------------------------------
+// Offline export (X): fixed timestep at a fixed size, to a PNG zip or WebM.
+// Plays the loaded setlist from cue 1 (hold cues get EXPORT_HOLD_SECONDS,
+// loop points aren't followed), otherwise records the current scene; live
+// switches made while it runs are captured too. Audio reads as silence so
+// the same seed gives the same clip. Only the PNG zip is frame-exact: WebM
+// is recorded in real time (see core/exporter.js).
+// ---------------------------------------------------------
+const EXPORT_DEFAULTS = { format: 'webm', width: 1920, height: 1080, fps: 30, seconds: 10 };
+const EXPORT_HOLD_SECONDS = 10;
+const EXPORT_SETLIST_SECONDS = 60; // a setlist's default length; ask for seconds to get more
+
+const exportLabel = document.createElement('div');
+Object.assign(exportLabel.style, {
+  position: 'fixed',
+  top: '50%',
+  left: '50%',
+  transform: 'translate(-50%, -50%)',
+  padding: '8px 12px',
+  font: '14px monospace',
+  background: 'rgba(0,0,0,0.8)',
+  color: 'white',
+  border: '1px solid white',
+  borderRadius: '4px',
+  pointerEvents: 'none',
+  zIndex: 1000,
+  display: 'none'
+});
+document.body.appendChild(exportLabel);
+
+// Setlist cues as [{ at, cue }] in export seconds, plus where the last one ends
+function setlistTimeline() {
+  let at = 0;
+  const entries = setlist.setlist.cues.map((cue) => {
+    const entry = { at, cue };
+    at += Number.isFinite(cue.duration) ? cue.duration : EXPORT_HOLD_SECONDS;
+    return entry;
+  });
+  return { entries, end: at };
+}
+
+async function exportClip(options = {}) {
+  if (exportJob) return;
+  const { format, width, height, fps } = { ...EXPORT_DEFAULTS, ...options };
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.warn(`Export format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    return;
+  }
+  const timeline = setlist.loaded ? setlistTimeline() : { entries: [], end: EXPORT_DEFAULTS.seconds };
+  const seconds = options.seconds ?? Math.min(timeline.end, EXPORT_SETLIST_SECONDS);
+  const total = Math.round(seconds * fps);
+  if (format === 'png' && total > ZIP_MAX_FRAMES) {
+    console.warn(`A PNG export holds at most ${ZIP_MAX_FRAMES} frames (${total} asked for)`);
+    return;
+  }
+
+  stopCycle();
+  setlist.stop();
+  discardPreload(); // built at live quality; the clip renders at full detail
+  const job = exportJob = { frame: 0, total, cancelled: false };
+  renderer.setPixelRatio(1);
+  renderer.setSize(width, height, false);
+  rtA.setSize(width, height);
+  rtB.setSize(width, height);
+  resizeOutputStages();
+  resizeBundles(width, height);
+  applySceneDetail();
+
+  const step = 1 / fps;
+  let nextEntry = 0;
+  let sink = null;
+  exportLabel.style.display = 'block';
+  try {
+    sink = createFrameSink(format, renderer.domElement, { fps });
+    for (; job.frame < job.total && !job.cancelled; job.frame++) {
+      const t = job.frame * step;
+      while (nextEntry < timeline.entries.length && timeline.entries[nextEntry].at <= t) {
+        await playCue(timeline.entries[nextEntry++].cue);
+      }
+      await pendingTransition?.promise; // e.g. a cue queued behind the last transition
+      renderFrame(step, SILENT_LEVELS);
+      await sink.addFrame();
+      exportLabel.textContent = `Exporting ${format} ${width}×${height} · ` +
+        `frame ${job.frame + 1}/${job.total} · Esc cancels`;
+    }
+    const blob = await sink.finish();
+    if (!job.cancelled) {
+      downloadBlob(blob, `qfn-${sceneNames[activeSceneId]}-${width}x${height}-${fps}fps.${sink.extension}`);
+    }
+  } catch (err) {
+    console.warn('Export failed:', err.message);
+  } finally {
+    sink?.abort(); // a failed export leaves nothing recording
+    exportJob = null;
+    exportLabel.style.display = 'none';
+    applyQuality();
+    clock.getDelta(); // don't hand the live loop the whole export as one frame
+  }
+}
+
+function cancelExport() {
+  if (exportJob) exportJob.cancelled = true;
+}
+
+function promptExport() {
+  const d = EXPORT_DEFAULTS;
+  const input = window.prompt('Export: format (png|webm) width height fps [seconds]',
+    `${d.format} ${d.width} ${d.height} ${d.fps}`);
+  if (!input) return;
+  const [format, width, height, fps, seconds] = input.trim().split(/\s+/);
+  exportClip(exportOptions(format, width, height, fps, seconds));
+}
+
+// Positional args (prompt, /export command) -> options; blanks use defaults
+function exportOptions(format, width, height, fps, seconds) {
+  const options = { format };
+  const numbers = { width, height, fps, seconds };
+  for (const [key, value] of Object.entries(numbers)) {
+    if (Number(value) > 0) options[key] = Number(value);
+  }
+  return options;
+}
+
+// ---------------------------------------------------------
+// Commands shared by the bridge, the operator window and the keyboard
+// ---------------------------------------------------------
+
+function sceneIdFrom(value) {
+  const n = Number(value);
+  if (scenes[n]) return n;
+  const entry = Object.entries(sceneNames).find(([, name]) => name === value);
+  return entry ? Number(entry[0]) : null;
+}
+
+function onOff(value, current) {
+  if (value === 'toggle' || value === undefined) return !current;
+  return value === true || value === 1 || value === 'on' || value === 'true' || value === '1';
+}
+
+const commands = {
+  '/scene': (value) => {
+    const id = sceneIdFrom(value);
+    if (id) switchToScene(id);
+  },
+  '/cycle': (value) => setAutoplay(onOff(value, setlist.loaded ? setlist.playing : cycling)),
+  '/cue': (value) => {
+    if (value === 'next') setlist.next();
+    else if (value === 'previous' || value === 'prev') setlist.previous();
+    else if (Number.isInteger(Number(value))) setlist.goTo(Number(value) - 1);
+  },
+  '/bout': (value) => {
+    if (value === 'next') stepBout(1);
+    else if (value === 'previous' || value === 'prev') stepBout(-1);
+    else if (Number.isInteger(Number(value))) setBout(Number(value));
+  },
+  '/transition': (type, duration, easing) => {
+    if (type === 'random' || TRANSITION_NAMES.includes(type)) transitionSettings.type = type;
+    if (Number(duration) > 0) transitionSettings.duration = Number(duration);
+    if (EASINGS[easing]) transitionSettings.easing = easing;
+  },
+  '/transition/progress': (value) => setManualProgress(Number(value)),
+  '/param': (name, value) => {
+    const t = paramTargets[name];
+    if (!t) return console.warn(`Unknown param ${name}`);
+    setSceneParam(t.scene, t.key, value);
+  },
+  '/param/panel': () => toggleParamPanel(),
+  '/post': (key, value) => setPostParam(key, value),
+  '/post/panel': () => togglePostPanel(),
+  '/timer': (key, value) => setTimerParam(key, value),
+  '/timer/start': () => timerAction('start'),
+  '/timer/pause': () => timerAction('pause'),
+  '/timer/toggle': () => timerAction('toggle'),
+  '/timer/reset': () => timerAction('reset'),
+  '/timer/card': (value) => timerAction('setCard', onOff(value, timer.state.cardOn)),
+  '/timer/show': (value) => timerAction('setShown', onOff(value, timer.state.shown)),
+  // the bridge splits text on spaces, so the words are joined back up (as
+  // typed: '007' stays '007')
+  '/message': (...words) => messages.submit(words.join(' ')),
+  '/message/approve': (id, seconds) => messages.approve(Number(id), seconds),
+  '/message/reject': (id) => messages.reject(Number(id)),
+  '/message/skip': () => messages.skip(),
+  '/mapping/calibrate': (value) => mapping.setCalibrating(onOff(value, mapping.calibrating)),
+  '/mapping/reset': (count) => mapping.reset(Number(count) || 1),
+  '/seed': (value) => {
+    showSeed = String(value ?? randomSeed());
+    discardPreload(); // laid out with the old seed
+    rebuildScene();
+  },
+  '/tap': () => tempo.tap(),
+  '/bpm': (value) => tempo.setBpm(value),
+  '/quantize': (value) => {
+    if (QUANTIZE_MODES.includes(value)) transitionSettings.quantize = value;
+  },
+  '/signature/state': (state) => {
+    if (['wander', 'assemble', 'hold', 'disperse'].includes(state)) {
+      callSceneAction(7, 'jumpToState', state);
+    }
+  },
+  // a palette name, or stripe colours: /palette ff5500 ffffff 202020
+  '/palette': (...value) => applyPalette(value.length > 1 ? value : value[0]),
+  '/palette/next': () => stepPalette(1),
+  '/palette/previous': () => stepPalette(-1),
+  // a URL, or the number of one of the branding's QR links
+  '/signature/link': (link) => setSceneParam(7, 'link', branding.qrLinks[Number(link) - 1] ?? link),
+  '/audio': (mode) => {
+    if (mode === 'mic') toggleMicrophone();
+    else if (mode === 'test') playAudioFile(TEST_TRACK_URL);
+    else if (mode === 'off') stopAudio();
+  },
+  '/hud': (value) => setHudVisible(onOff(value, hudVisible)),
+  '/quality': (value) => quality.setMode(String(value)),
+  '/pause': (value) => setPaused(onOff(value, paused)),
+  '/export': (format = EXPORT_DEFAULTS.format, width, height, fps, seconds) => {
+    exportClip(exportOptions(format, width, height, fps, seconds));
+  },
+  '/export/cancel': () => cancelExport(),
+  '/midi/panel': () => midiLearnPanel.toggle(),
+};
+
+function runCommand({ address, args = [] }) {
+  const handler = commands[address];
+  if (!handler) {
+    console.warn(`No command ${address}`);
+    return;
+  }
+  try {
+    handler(...args);
+  } catch (err) {
+    console.warn(`${address} failed:`, err.message);
+  }
+}
+
+// ---------------------------------------------------------
+// URL kept in sync with the show state (see core/urlState.js)
+// ---------------------------------------------------------
+const DEFAULT_TRANSITION = { ...transitionSettings };
+
+function urlStateNow() {
+  const params = {};
+  for (const [id, overrides] of Object.entries(sceneParamOverrides)) {
+    for (const [key, value] of Object.entries(overrides)) {
+      const def = paramSchemas[id][key];
+      params[`${sceneNames[id]}.${key}`] = def.type === 'color' ? value.toString(16).padStart(6, '0') : value;
+    }
+  }
+  for (const [key, def] of Object.entries(POST_PARAMS)) {
+    if (post.params[key] !== def.default) params[`post.${key}`] = post.params[key];
+  }
+  for (const [key, def] of Object.entries(TIMER_PARAMS)) {
+    if (timer.params[key] !== def.default) params[`timer.${key}`] = timer.params[key];
+  }
+  const transitionChanged = Object.keys(DEFAULT_TRANSITION)
+    .some(k => transitionSettings[k] !== DEFAULT_TRANSITION[k]);
+  const autoplay = setlist.loaded ? setlist.playing : cycling;
+  return {
+    scene: sceneNames[activeSceneId],
+    cycle: autoplay ? 'on' : null,
+    setlist: setlist.loaded ? setlistUrl : null,
+    branding: brandingUrl,
+    card: fightCardUrl,
+    // built-in palettes by name, the others as their colours
+    palette: palette.name === 'neon' ? null
+      : PALETTE_NAMES.includes(palette.name) ? palette.name
+      : palette.stripes.map(c => c.toString(16).padStart(6, '0')).join(','),
+    cue: setlist.loaded && setlist.index >= 0 ? setlist.index + 1 : null,
+    seed: showSeed,
+    hud: hudVisible ? 'on' : null,
+    quality: quality.mode === 'auto' ? null : quality.mode,
+    transition: transitionChanged ? transitionSettings : null,
+    span: startup.span ?? null,
+    params,
+  };
+}
+
+function syncUrl() {
+  const search = writeUrlState(urlStateNow());
+  if (search !== location.search) history.replaceState(null, '', `${location.pathname}${search}${location.hash}`);
+}
+
+// Startup options that need everything above in place
+if (onOff(startup.hud ?? 'off', false)) setHudVisible(true);
+if (onOff(startup.cycle ?? 'off', false) && !following) startCycle(); // a setlist loading later takes over
+if (startup.selftest !== undefined) runSelfTest({ seconds: Number(startup.selftest) || undefined });
+
+// ---------------------------------------------------------
+// Remote control via the local bridge (node bridge/server.mjs)
+// ---------------------------------------------------------
+const REMOTE_URL = `ws://${location.hostname || 'localhost'}:8787`;
+if (!following) createRemoteClient({ url: REMOTE_URL, onCommand: runCommand });
+
+// ---------------------------------------------------------
+// Operator window (operator.html) synced over BroadcastChannel
+// ---------------------------------------------------------
+const STATUS_INTERVAL_MS = 100;
+const showChannel = openShowChannel();
+
+function fightCardStatus() {
+  const { bouts } = fightCard;
+  const index = Math.min(bouts.length, currentParam(paramTargets['walkout.bout'])) - 1;
+  const [a, b] = bouts[index].fighters;
+  return {
+    name: fightCard.name,
+    index,
+    count: bouts.length,
+    label: bouts[index].title ? `${bouts[index].title} · ${a.name} vs ${b.name}` : `${a.name} vs ${b.name}`,
+  };
+}
+
+function showStatus() {
+  const cue = setlist.loaded ? setlist.setlist.cues[setlist.index] : null;
+  return {
+    type: 'status',
+    activeSceneId,
+    nextSceneId,
+    preparingSceneId: pendingTransition?.toSceneId ?? null,
+    transitioning,
+    progress: transitioning ? mixMat.uniforms.progress.value : 0,
+    transition: { ...transitionSettings },
+    cycling,
+    cycleRemaining: cycling ? Math.max(0, (cycleDeadline - performance.now()) / 1000) : null,
+    setlist: setlist.loaded ? {
+      name: setlist.setlist.name,
+      index: setlist.index,
+      count: setlist.setlist.cues.length,
+      label: cue?.label ?? null,
+      playing: setlist.playing,
+      remaining: setlist.remaining(),
+    } : null,
+    bpm: tempo.state.running ? tempo.state.bpm : null,
+    audio: audio.running,
+    audioProblem,
+    hud: hudVisible,
+    paused,
+    seed: showSeed,
+    branding: branding.name,
+    fightCard: fightCardStatus(),
+    palette: { name: palette.name, label: palette.label, names: paletteNames() },
+    // what scenes are built with, for the operator's previews
+    look: { seed: showSeed, branding, fightCard, roles: palette.roles },
+    params: activeParams,
+    post: { ...post.params },
+    timer: { ...timer.display(), phase: timer.state.phase, running: timer.state.running,
+      cardOn: timer.state.cardOn, params: { ...timer.params },
+      bellBlocked: timer.params.bell && bell.blocked },
+    messages: {
+      live: messages.live ? { text: messages.live.text, remaining: messages.remaining } : null,
+      queue: messages.list(),
+    },
+    mapping: { calibrating: mapping.calibrating, outputs: mapping.calibration.outputs.length },
+    assetFailures: assetFailures(),
+    exporting: exportJob ? { frame: exportJob.frame, total: exportJob.total } : null,
+    gpu: gpuStats(),
+    quality: { mode: quality.mode, level: quality.level, frameMs: quality.frameMs },
+  };
+}
+
+// Operators talk to the span leader only
+showChannel.onmessage = (e) => {
+  const msg = e.data;
+  if (following) return;
+  if (msg?.type === 'command') runCommand(msg);
+  if (msg?.type === 'hello') showChannel.postMessage(showStatus());
+};
+setInterval(() => {
+  if (!following) showChannel.postMessage(showStatus());
+  refreshParamPanel();
+  if (postPanel.visible) postPanel.update(post.params);
+  syncUrl();
+}, STATUS_INTERVAL_MS);
+
+function openOperatorWindow() {
+  window.open('./operator.html', 'qfn-operator', 'width=1100,height=800');
+}
+
 window.addEventListener('keydown', (e) => {
+  // Typing into a panel field isn't a shortcut
+  if (e.target.closest?.('input, select, textarea')) return;
+
+  // A span follower only takes its local keys: fullscreen, calibration, HUD
+  if (following && !['KeyF', 'KeyC', 'KeyH'].includes(e.code)) return;
+
   // Number keys 1–9
   const sceneNumber = parseInt(e.key, 10);
-  if (sceneNumber && scenes[sceneNumber]) {
-    stopCycle(); // stop auto-cycling if manual switch
-    const idx = sceneIds.indexOf(sceneNumber);
-    if (idx !== -1) {
-      startTransition(sceneIds[idx]);
-      currentSceneIndex = idx;
-    }
-  }
+  if (sceneNumber && scenes[sceneNumber]) switchToScene(sceneNumber);
 
-  // Space bar toggles auto-cycle
+  // Space bar toggles the setlist, or the auto-cycle when none is loaded
   if (e.code === 'Space') {
     e.preventDefault();
-    cycling ? stopCycle() : startCycle();
+    toggleAutoplay();
+  }
+
+  // . freezes / unfreezes the picture
+  if (e.code === 'Period') setPaused(!paused);
+
+  // X exports a clip, Esc cancels it
+  if (e.code === 'KeyX') promptExport();
+  if (e.code === 'Escape') cancelExport();
+
+  // K opens the MIDI learn panel, P the param panel, V the post panel,
+  // O the operator window, H the HUD, F toggles fullscreen, C the
+  // projection mapping calibration
+  if (e.code === 'KeyK') midiLearnPanel.toggle();
+  if (e.code === 'KeyP') toggleParamPanel();
+  if (e.code === 'KeyV') togglePostPanel();
+  if (e.code === 'KeyO') openOperatorWindow();
+  if (e.code === 'KeyH') setHudVisible(!hudVisible);
+  if (e.code === 'KeyF') toggleFullscreen();
+  if (e.code === 'KeyC') mapping.setCalibrating(!mapping.calibrating);
+
+  // G cycles quality (auto / low / medium / high), shown on the HUD readout
+  if (e.code === 'KeyG') {
+    quality.setMode(QUALITY_MODES[(QUALITY_MODES.indexOf(quality.mode) + 1) % QUALITY_MODES.length]);
+  }
+
+  // R starts / pauses the round clock, Shift+R resets it; I holds the round
+  // card up, J shows / hides the clock
+  if (e.code === 'KeyR') timerAction(e.shiftKey ? 'reset' : 'toggle');
+  if (e.code === 'KeyI') timerAction('setCard', !timer.state.cardOn);
+  if (e.code === 'KeyJ') timerAction('setShown', !timer.state.shown);
+
+  // N / Shift+N step through the walk-out scene's bouts
+  if (e.code === 'KeyN') stepBout(e.shiftKey ? -1 : 1);
+
+  // Y / Shift+Y step through the palettes
+  if (e.code === 'KeyY') stepPalette(e.shiftKey ? -1 : 1);
+
+  // Arrow keys / PageUp / PageDown step through setlist cues
+  if (setlist.loaded && (e.code === 'ArrowRight' || e.code === 'PageDown')) setlist.next();
+  if (setlist.loaded && (e.code === 'ArrowLeft' || e.code === 'PageUp')) setlist.previous();
+
+  // [ / ] pick the transition for the next switch, - / = change its length,
+  // E cycles the easing curve (the operator window shows the settings)
+  if (e.code === 'BracketLeft' || e.code === 'BracketRight') {
+    const step = e.code === 'BracketRight' ? 1 : -1;
+    const i = TRANSITION_NAMES.indexOf(transitionSettings.type);
+    const n = TRANSITION_NAMES.length;
+    transitionSettings.type = TRANSITION_NAMES[(i + step + n) % n];
+  }
+  if (e.code === 'Minus' || e.code === 'Equal') {
+    const step = e.code === 'Equal' ? 0.25 : -0.25;
+    transitionSettings.duration = Math.max(0.25, Math.min(10, transitionSettings.duration + step));
+  }
+  if (e.code === 'KeyE') {
+    const names = Object.keys(EASINGS);
+    transitionSettings.easing = names[(names.indexOf(transitionSettings.easing) + 1) % names.length];
+  }
+
+  // Q cycles transition quantize (off / next beat / next bar)
+  if (e.code === 'KeyQ') {
+    const i = QUANTIZE_MODES.indexOf(transitionSettings.quantize);
+    transitionSettings.quantize = QUANTIZE_MODES[(i + 1) % QUANTIZE_MODES.length];
   }
+
+  // T taps the tempo, B types it in
+  if (e.code === 'KeyT') tempo.tap();
+  if (e.code === 'KeyB') promptBpm();
+
+  // M toggles mic/line-in, L loops the bundled test track
+  if (e.code === 'KeyM') toggleMicrophone();
+  if (e.code === 'KeyL') audio.running ? audio.stop() : playAudioFile(TEST_TRACK_URL);
 });
 
 // ---------------------------------------------------------
@@ -317,15 +1960,19 @@ window.addEventListener('keydown', (e) => {
 function resizeRendererToWindow() {
   const width = window.innerWidth;
   const height = window.innerHeight;
+  const scale = quality.preset.renderScale;
   renderer.setSize(width, height);
+  rtA.setSize(Math.round(width * scale), Math.round(height * scale));
+  rtB.setSize(Math.round(width * scale), Math.round(height * scale));
+  resizeOutputStages();
+  resizeBundles(width, height);
+}
 
-  if (activeCamera && activeCamera.isPerspectiveCamera) {
-    activeCamera.aspect = width / height;
-    activeCamera.updateProjectionMatrix();
-  }
-
-  rtA.setSize(width, height);
-  rtB.setSize(width, height);
+// Both the on-screen and the incoming scene, plus the transition shader
+function resizeBundles(width, height) {
+  if (activeBundle) resizeBundle(activeBundle, width, height);
+  if (nextBundle) resizeBundle(nextBundle, width, height);
+  mixMat.uniforms.resolution.value.set(width, height);
 }
 
 // Resize on fullscreen change and window resize
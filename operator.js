@@ -0,0 +1,404 @@
+// operator.js
+// Operator view for a second screen. Mirrors the output window's state over
+// BroadcastChannel, renders small live previews of every registered scene
+// and sends the same commands the keyboard/bridge use.
+import * as THREE from 'three';
+
+import { scenes, sceneNames, sceneIds, paramSchemas } from './scenes/index.js';
+import { EASINGS, TRANSITION_NAMES } from './core/transitions.js';
+import { openShowChannel } from './core/channel.js';
+import { createParamPanel } from './core/paramPanel.js';
+import { QUALITY_MODES, QUALITY_PRESETS } from './core/quality.js';
+import { POST_PARAMS } from './core/post.js';
+import { TIMER_PARAMS } from './core/roundTimer.js';
+import { MESSAGE_MAX_LENGTH, MESSAGE_SECONDS } from './core/messages.js';
+import { brandingKnobs } from './core/branding.js';
+import { paletteKnobs } from './core/palettes.js';
+import { createRandom } from './core/random.js';
+import { createResourceTracker } from './core/dispose.js';
+
+const PREVIEW_W = 320;
+const PREVIEW_H = 180;
+const STALE_MS = 1000; // no status for this long = output window gone
+
+const channel = openShowChannel();
+let status = null;
+let lastStatusAt = 0;
+
+function send(address, ...args) {
+  channel.postMessage({ type: 'command', address, args });
+}
+
+// ---------------------------------------------------------
+// Scene cards + live previews
+// ---------------------------------------------------------
+const previewRenderer = new THREE.WebGLRenderer({ antialias: false, preserveDrawingBuffer: true });
+previewRenderer.setPixelRatio(1);
+previewRenderer.setSize(PREVIEW_W, PREVIEW_H, false);
+previewRenderer.setClearColor(0x000000, 1);
+
+const cards = {};
+const sceneGrid = document.getElementById('scenes');
+
+for (const id of sceneIds) {
+  const card = document.createElement('div');
+  card.className = 'card';
+  const canvas = document.createElement('canvas');
+  canvas.width = PREVIEW_W;
+  canvas.height = PREVIEW_H;
+  const label = document.createElement('span');
+  label.textContent = `${id} · ${sceneNames[id]}`;
+  card.append(canvas, label);
+  card.addEventListener('click', () => send('/scene', id));
+  sceneGrid.appendChild(card);
+  cards[id] = { card, ctx: canvas.getContext('2d'), bundle: null, lastRender: performance.now() };
+}
+
+// Previews are built the way main.js builds the show's scenes (same seed,
+// branding, fight card and palette), from the status' `look`, and rebuilt
+// when it changes
+let previewLook = null;
+
+function buildPreviews(look) {
+  const key = JSON.stringify(look);
+  if (key === previewLook) return;
+  previewLook = key;
+  for (const id of sceneIds) {
+    const entry = cards[id];
+    if (entry.bundle) {
+      entry.bundle.exit?.();
+      entry.bundle.dispose?.();
+      entry.bundle.resources.dispose();
+    }
+    const schema = paramSchemas[id];
+    const resources = createResourceTracker();
+    const bundle = scenes[id]({
+      ...brandingKnobs(look.branding, sceneNames[id], schema),
+      ...paletteKnobs({ roles: look.roles }, schema),
+      random: createRandom(`${look.seed}:${id}`),
+      resources,
+      detail: QUALITY_PRESETS.low.detail, // thumbnails don't need the full count
+      branding: look.branding,
+      fightCard: look.fightCard,
+    });
+    resources.track(bundle.scene);
+    if (bundle.camera.isPerspectiveCamera) {
+      bundle.camera.aspect = PREVIEW_W / PREVIEW_H;
+      bundle.camera.updateProjectionMatrix();
+    }
+    bundle.resize?.(PREVIEW_W, PREVIEW_H);
+    bundle.enter?.();
+    entry.bundle = { ...bundle, resources };
+  }
+}
+
+// One preview per frame, round-robin, so the operator laptop isn't
+// rendering every scene at full rate on top of the show
+let previewsEnabled = true;
+let previewCursor = 0;
+
+function renderPreviews() {
+  requestAnimationFrame(renderPreviews);
+  if (!previewsEnabled) return;
+
+  const id = sceneIds[previewCursor];
+  previewCursor = (previewCursor + 1) % sceneIds.length;
+  const entry = cards[id];
+  if (!entry.bundle) return; // no status from the output window yet
+  const now = performance.now();
+  const delta = Math.min(0.1, (now - entry.lastRender) / 1000);
+  entry.lastRender = now;
+
+  entry.bundle.animate?.(delta);
+  previewRenderer.render(entry.bundle.scene, entry.bundle.camera);
+  entry.ctx.drawImage(previewRenderer.domElement, 0, 0, PREVIEW_W, PREVIEW_H);
+}
+renderPreviews();
+
+// ---------------------------------------------------------
+// Controls (one per keyboard action in the output window)
+// ---------------------------------------------------------
+const controls = document.getElementById('controls');
+
+function row(...children) {
+  const div = document.createElement('div');
+  div.append(...children);
+  controls.appendChild(div);
+  return div;
+}
+
+function button(text, onClick) {
+  const b = document.createElement('button');
+  b.textContent = text;
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+function select(options, onChange) {
+  const s = document.createElement('select');
+  for (const o of options) s.add(new Option(o, o));
+  s.addEventListener('change', () => onChange(s.value));
+  return s;
+}
+
+function input(attrs, onChange) {
+  const el = document.createElement('input');
+  Object.assign(el, attrs);
+  el.addEventListener('change', () => onChange(el.value));
+  return el;
+}
+
+const cycleBtn = button('Cycle / setlist', () => send('/cycle', 'toggle'));
+row(
+  cycleBtn,
+  button('◀ Cue', () => send('/cue', 'previous')),
+  button('Cue ▶', () => send('/cue', 'next')),
+  button('◀ Bout', () => send('/bout', 'previous')),
+  button('Bout ▶', () => send('/bout', 'next')),
+);
+
+const transitionSelect = select(['random', ...TRANSITION_NAMES], (type) => send('/transition', type));
+const durationInput = input({ type: 'number', min: 0.25, max: 10, step: 0.25, value: 1.5 },
+  (v) => send('/transition', status?.transition.type, Number(v)));
+const easingSelect = select(Object.keys(EASINGS),
+  (easing) => send('/transition', status?.transition.type, status?.transition.duration, easing));
+const quantizeSelect = select(['off', 'beat', 'bar'], (q) => send('/quantize', q));
+row('Transition ', transitionSelect, ' duration ', durationInput, ' easing ', easingSelect,
+  ' quantize ', quantizeSelect);
+
+const fader = input({ type: 'range', min: 0, max: 1, step: 0.01, value: 0 }, () => {});
+fader.addEventListener('input', () => send('/transition/progress', Number(fader.value)));
+row('Manual transition ', fader);
+
+const bpmInput = input({ type: 'number', min: 30, max: 300, step: 0.1, placeholder: 'BPM' },
+  (v) => send('/bpm', Number(v)));
+row(button('Tap tempo', () => send('/tap')), bpmInput);
+
+const audioBtn = button('Mic / line-in', () => send('/audio', 'mic'));
+row(
+  audioBtn,
+  button('Test track', () => send('/audio', 'test')),
+  button('Audio off', () => send('/audio', 'off')),
+);
+
+const hudBtn = button('Output HUD', () => send('/hud', 'toggle'));
+const pauseBtn = button('Freeze', () => send('/pause', 'toggle'));
+const previewBtn = button('Live previews', () => {
+  previewsEnabled = !previewsEnabled;
+  previewBtn.classList.toggle('on', previewsEnabled);
+});
+previewBtn.classList.add('on');
+row(button('MIDI learn panel', () => send('/midi/panel')), hudBtn, pauseBtn, previewBtn);
+
+const qualitySelect = select(QUALITY_MODES, (mode) => send('/quality', mode));
+const calibrateBtn = button('Calibrate mapping', () => send('/mapping/calibrate', 'toggle'));
+row('Quality ', qualitySelect, calibrateBtn);
+
+// Show palette: a pride flag, one of the branding's, or stripe colours typed in
+const paletteSelect = select([], (name) => send('/palette', name));
+const paletteInput = input({ type: 'text', size: 28, placeholder: 'ff5500 ffffff 202020' }, (v) => {
+  if (v.trim()) send('/palette', v);
+});
+row('Palette ', paletteSelect, button('◀', () => send('/palette/previous')),
+  button('▶', () => send('/palette/next')), ' custom ', paletteInput);
+let paletteNames = null;
+
+const timerBtn = button('Start / pause', () => send('/timer/toggle'));
+const timerCardBtn = button('Round card', () => send('/timer/card', 'toggle'));
+const timerShowBtn = button('Show clock', () => send('/timer/show', 'toggle'));
+row('Round clock ', timerBtn, button('Reset', () => send('/timer/reset')), timerCardBtn, timerShowBtn);
+
+// Shout-outs typed here or sent to /message over the bridge; nothing goes
+// live until it's approved in the list below
+const messageInput = input({ type: 'text', maxLength: MESSAGE_MAX_LENGTH, size: 32, placeholder: 'Shout-out' }, () => {});
+const messageSeconds = input({ type: 'number', min: 1, max: 300, step: 1, value: MESSAGE_SECONDS }, () => {});
+function submitMessage() {
+  if (messageInput.value.trim()) send('/message', messageInput.value);
+  messageInput.value = '';
+}
+messageInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') submitMessage();
+});
+row('Message ', messageInput, button('Submit', submitMessage), ' seconds ', messageSeconds,
+  button('Skip live', () => send('/message/skip')));
+const messageList = row();
+let messageListKey = null;
+
+// Active scene's knobs, sent as /param <scene>.<key> <value>
+const paramPanel = createParamPanel({
+  parent: controls,
+  floating: false,
+  onChange: (key, value) => send('/param', `${sceneNames[status.activeSceneId]}.${key}`, value),
+});
+let paramPanelSceneId = null;
+
+// Global post-processing knobs, sent as /post <key> <value>
+const postPanel = createParamPanel({
+  parent: controls,
+  floating: false,
+  onChange: (key, value) => send('/post', key, value),
+});
+let postPanelShown = false;
+
+// Round clock knobs, sent as /timer <key> <value>
+const timerPanel = createParamPanel({
+  parent: controls,
+  floating: false,
+  onChange: (key, value) => send('/timer', key, value),
+});
+let timerPanelShown = false;
+
+// Pending messages get Approve / Reject, approved ones wait their turn; only
+// rebuilt when the queue changes so a click isn't lost to the next status
+function renderMessages(queue) {
+  const key = JSON.stringify(queue);
+  if (key === messageListKey) return;
+  messageListKey = key;
+  messageList.replaceChildren(...queue.map((m) => {
+    const div = document.createElement('div');
+    if (m.status === 'pending') {
+      div.append(
+        button('Approve', () => send('/message/approve', m.id, Number(messageSeconds.value))),
+        button('Reject', () => send('/message/reject', m.id)),
+        ` ${m.text}`,
+      );
+    } else {
+      div.append(button('Remove', () => send('/message/reject', m.id)), ` queued · ${m.seconds}s · ${m.text}`);
+    }
+    return div;
+  }));
+}
+
+// ---------------------------------------------------------
+// Status from the output window
+// ---------------------------------------------------------
+const statusEl = document.getElementById('status');
+const progressEl = document.querySelector('#progress div');
+
+function formatTime(sec) {
+  if (sec === null || sec === undefined) return '—';
+  if (!Number.isFinite(sec)) return 'HOLD';
+  const s = Math.ceil(sec);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function sceneLabel(id) {
+  return id ? `${id} · ${sceneNames[id]}` : '—';
+}
+
+// Don't fight the operator while they're editing a field
+function setIfIdle(el, value) {
+  if (document.activeElement !== el) el.value = value;
+}
+
+function renderStatus() {
+  if (!status) return;
+  const s = status;
+  const lines = [
+    `Current  ${sceneLabel(s.activeSceneId)}`,
+    `Next     ${s.transitioning ? sceneLabel(s.nextSceneId)
+      : s.preparingSceneId ? `${sceneLabel(s.preparingSceneId)} (preparing)` : '—'}`,
+  ];
+  if (s.setlist) {
+    const sl = s.setlist;
+    lines.push(`Setlist  ${sl.name} · cue ${sl.index + 1}/${sl.count}` +
+      (sl.label ? ` · ${sl.label}` : '') + ` · ${sl.playing ? formatTime(sl.remaining) : 'paused'}`);
+  } else {
+    lines.push(`Cycle    ${s.cycling ? `next in ${formatTime(s.cycleRemaining)}` : 'off'}`);
+  }
+  if (s.fightCard) {
+    const fc = s.fightCard;
+    lines.push(`Card     ${fc.name} · bout ${fc.index + 1}/${fc.count} · ${fc.label}`);
+  }
+  if (s.timer) {
+    const t = s.timer;
+    lines.push(`Clock    ${t.label} · ${t.time}${t.paused ? ' · paused' : ''}${t.shown ? '' : ' · hidden'}${t.bellBlocked ? ' · bell blocked: click the output window' : ''}`);
+  }
+  if (s.messages) {
+    const { live, queue } = s.messages;
+    const pending = queue.filter(m => m.status === 'pending').length;
+    lines.push(`Message  ${live ? `${live.text} · ${formatTime(live.remaining)}` : '—'}` +
+      (pending ? ` · ${pending} awaiting approval` : ''));
+  }
+  if (s.palette) lines.push(`Palette  ${s.palette.label}`);
+  lines.push(`Tempo    ${s.bpm ? `${s.bpm} BPM` : 'free'}   Audio ${s.audio ? 'live' : 'off'}` +
+    (s.audioProblem ? ` · ${s.audioProblem}` : ''));
+  if (s.quality) {
+    const q = s.quality;
+    lines.push(`Quality  ${q.mode}${q.mode === 'auto' ? ` · ${q.level}` : ''} · ${q.frameMs.toFixed(1)} ms/frame`);
+  }
+  if (s.gpu) {
+    const g = s.gpu;
+    lines.push(`GPU      geo ${g.geometries} · tex ${g.textures} · prog ${g.programs} · calls ${g.calls}` +
+      (g.heapMB !== null ? ` · heap ${g.heapMB} MB` : ''));
+  }
+  if (s.exporting) lines.push(`Export   frame ${s.exporting.frame + 1}/${s.exporting.total}`);
+  for (const f of s.assetFailures) lines.push(`MISSING  ${f.url} (${f.reason})`);
+  statusEl.textContent = lines.join('\n');
+  progressEl.style.width = `${Math.round(s.progress * 100)}%`;
+
+  for (const id of sceneIds) {
+    cards[id].card.classList.toggle('active', id === s.activeSceneId);
+    cards[id].card.classList.toggle('next', s.transitioning && id === s.nextSceneId);
+  }
+
+  cycleBtn.classList.toggle('on', s.setlist ? s.setlist.playing : s.cycling);
+  audioBtn.classList.toggle('on', s.audio);
+  hudBtn.classList.toggle('on', s.hud);
+  pauseBtn.classList.toggle('on', s.paused);
+  calibrateBtn.classList.toggle('on', !!s.mapping?.calibrating);
+  timerBtn.classList.toggle('on', !!s.timer?.running);
+  timerCardBtn.classList.toggle('on', !!s.timer?.cardOn);
+  timerShowBtn.classList.toggle('on', !!s.timer?.shown);
+  setIfIdle(transitionSelect, s.transition.type);
+  setIfIdle(durationInput, s.transition.duration);
+  setIfIdle(easingSelect, s.transition.easing);
+  setIfIdle(quantizeSelect, s.transition.quantize);
+  if (s.quality) setIfIdle(qualitySelect, s.quality.mode);
+  if (s.palette) {
+    // the branding can bring its own palettes
+    if (s.palette.names.join() !== paletteNames) {
+      paletteNames = s.palette.names.join();
+      paletteSelect.replaceChildren(...s.palette.names.map(name => new Option(name, name)));
+    }
+    setIfIdle(paletteSelect, s.palette.name);
+  }
+  if (s.bpm) setIfIdle(bpmInput, s.bpm);
+  if (!s.transitioning) setIfIdle(fader, 0);
+
+  if (paramPanelSceneId !== s.activeSceneId) {
+    paramPanelSceneId = s.activeSceneId;
+    paramPanel.render(paramSchemas[s.activeSceneId], s.params, `Params · ${sceneLabel(s.activeSceneId)}`);
+  } else {
+    paramPanel.update(s.params);
+  }
+  if (s.post && !postPanelShown) {
+    postPanelShown = true;
+    postPanel.render(POST_PARAMS, s.post, 'Post-processing');
+  } else if (s.post) {
+    postPanel.update(s.post);
+  }
+  if (s.messages) renderMessages(s.messages.queue);
+  if (s.timer && !timerPanelShown) {
+    timerPanelShown = true;
+    timerPanel.render(TIMER_PARAMS, s.timer.params, 'Round clock');
+  } else if (s.timer) {
+    timerPanel.update(s.timer.params);
+  }
+}
+
+channel.onmessage = (e) => {
+  if (e.data?.type !== 'status') return;
+  status = e.data;
+  lastStatusAt = performance.now();
+  if (status.look) buildPreviews(status.look);
+  renderStatus();
+};
+channel.postMessage({ type: 'hello' });
+
+setInterval(() => {
+  if (status && performance.now() - lastStatusAt > STALE_MS) {
+    status = null;
+    statusEl.textContent = 'Output window not responding…';
+  }
+}, STALE_MS);
@@ -0,0 +1,82 @@
+// index.js
+// Scene registry shared by the output window (main.js) and the operator
+// window (operator.js).
+//
+// Scene contract. setup(opts) gets the scene's live params (see
+// paramSchemas below) plus opts.random, opts.resources (a resource tracker
+// from core/dispose.js; the scene graph is tracked for it), opts.detail
+// (0..1 from core/quality.js, scales heavy parts), opts.branding (the
+// event's names, words and links from core/branding.js) and opts.fightCard
+// (core/fightCard.js, read by the walk-out scene). The last two may be
+// absent; fall back to their DEFAULT_*. It returns a bundle:
+//   scene, camera                 required
+//   ready                         promise, resolves once async assets (fonts,
+//                                 the QR library) are in; never rejects
+//   animate(delta, audio, tempo)  per frame while on screen and not paused
+//   params                        live knobs, read every frame (main.js adds
+//                                 the shared postFx / bloom knobs below)
+//   enter()                       about to be shown (load, or a transition starts)
+//   exit()                        no longer shown; dispose() follows
+//   pause(paused)                 output frozen / resumed
+//   resize(width, height)         output size changed; main.js has already
+//                                 set a perspective camera's aspect
+//   quality(detail)               quality level changed; counts fixed at setup
+//                                 pick it up the next time the scene is built
+//   dispose()                     stop async work (the tracker frees the graph
+//                                 and everything tracked afterwards)
+//   showMessage(text)             a live shout-out (core/messages.js) to
+//                                 spell out; null once it's over. main.js
+//                                 calls it on every bundle, built or building
+//   ...actions                    anything else, e.g. signature's setLink and
+//                                 jumpToState (main.js callSceneAction)
+// Every hook is optional; main.js calls them for every registered scene.
+import { setupQFN, QFN_PARAMS } from './qfnScene1.js';
+import { setupCube, CUBE_PARAMS } from './qfnScene2.js';
+import { setupSkyscraper, CITY_PARAMS } from './qfnScene3.js';
+import { setupCorridor, CORRIDOR_PARAMS } from './qfnScene4.js';
+import { setupPerlin, OCEAN_PARAMS } from './qfnScene5.js';
+import { setupMatrixRain, RAIN_PARAMS } from './qfnScene6.js';
+import { setupSignature, SIGNATURE_PARAMS } from './signature.js';
+import { setupWalkout, WALKOUT_PARAMS } from './walkout.js';
+import { sceneNames } from './names.js';
+
+export const scenes = {
+  1: setupQFN,
+  2: setupCube,
+  3: setupSkyscraper,
+  4: setupCorridor,
+  5: setupPerlin,
+  6: setupMatrixRain,
+  7: setupSignature,
+  8: setupWalkout,
+};
+
+// Names used by remote commands (scenes/names.js, shared with the bridge)
+export { sceneNames };
+
+// Knobs every scene gets on top of its own, read by main.js rather than the
+// scene: whether the post chain (core/post.js) runs over it and how much of
+// the global bloom it takes. The trench and the city are the neon-edged ones.
+const scenePost = (bloom) => ({
+  postFx: { type: 'bool', label: 'Post FX', default: true },
+  bloom:  { type: 'range', label: 'Bloom', min: 0, max: 2, step: 0.05, default: bloom },
+});
+
+// Live knobs per scene (core/params.js schemas)
+export const paramSchemas = {
+  1: { ...QFN_PARAMS, ...scenePost(0) },
+  2: { ...CUBE_PARAMS, ...scenePost(0.5) },
+  3: { ...CITY_PARAMS, ...scenePost(1) },
+  4: { ...CORRIDOR_PARAMS, ...scenePost(1) },
+  5: { ...OCEAN_PARAMS, ...scenePost(0.3) },
+  6: { ...RAIN_PARAMS, ...scenePost(0.5) },
+  7: { ...SIGNATURE_PARAMS, ...scenePost(0) },
+  8: { ...WALKOUT_PARAMS, ...scenePost(0.4) },
+};
+
+export const sceneIds = Object.keys(scenes).map(Number);
+
+// What the auto-cycle and the transition fader step through. The walk-out
+// only makes sense with the night's card up, so it's reached by its number,
+// a setlist cue or /scene walkout instead.
+export const cycleSceneIds = sceneIds.filter(id => id !== 8);
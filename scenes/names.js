@@ -0,0 +1,14 @@
+// names.js
+// Scene ids and the names remote commands use (/scene corridor,
+// /signature/state ...). Kept free of imports so the bridge (Node) can read
+// it for the phone remote; scenes/index.js re-exports it.
+export const sceneNames = {
+  1: 'qfn',
+  2: 'cube',
+  3: 'city',
+  4: 'corridor',
+  5: 'ocean',
+  6: 'rain',
+  7: 'signature',
+  8: 'walkout',
+};
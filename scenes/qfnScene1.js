@@ -1,17 +1,40 @@
 // qfnScene1.js
 import * as THREE from 'three';
-import { FontLoader } from 'https://unpkg.com/three@0.159.0/examples/jsm/loaders/FontLoader.js';
-import { TextGeometry } from 'https://unpkg.com/three@0.159.0/examples/jsm/geometries/TextGeometry.js';
-
-export function setupQFN() {
+import { FontLoader } from 'three/addons/loaders/FontLoader.js';
+import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
+import { createParams } from '../core/params.js';
+import { reportAssetFailure } from '../core/assets.js';
+import { DEFAULT_BRANDING } from '../core/branding.js';
+
+export const FONT_URL = './vendor/three/examples/fonts/helvetiker_regular.typeface.json';
+
+// Live knobs (see core/params.js)
+export const QFN_PARAMS = {
+    text:         { type: 'text', label: 'Text', default: DEFAULT_BRANDING.shortName, rebuild: true },
+    wireframe:    { type: 'bool', label: 'Wireframe', default: true },
+    flipInterval: { type: 'range', label: 'Flip every (s)', min: 2, max: 120, step: 1, default: 20 },
+    orbitRadius:  { type: 'range', label: 'Orbit radius', min: 40, max: 300, step: 5, default: 100 },
+};
+
+// opts.branding (core/branding.js): the text defaults to the event's short name
+export function setupQFN(opts = {}) {
+    const branding = opts.branding ?? DEFAULT_BRANDING;
+    const params = createParams(QFN_PARAMS, { text: branding.shortName, ...opts });
     const scene = new THREE.Scene();
     const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
 
     const loader = new FontLoader();
     let textMesh = null;
+    let disposed = false;
+
+    // Resolves once the text is in (or the font failed); see bundle.ready
+    let fontLoaded;
+    const ready = new Promise((resolve) => { fontLoaded = resolve; });
 
-    loader.load('https://threejs.org/examples/fonts/helvetiker_regular.typeface.json', (font) => {
-        const textGeometry = new TextGeometry('QFN', {
+    loader.load(FONT_URL, (font) => {
+        fontLoaded();
+        if (disposed) return; // switched away before the font arrived
+        const textGeometry = new TextGeometry(params.text, {
             font: font,
             size: 50,
             depth: 1,
@@ -24,9 +47,12 @@ export function setupQFN() {
         });
 
         textGeometry.center();
-        const material = new THREE.MeshNormalMaterial({ wireframe: true });
+        const material = new THREE.MeshNormalMaterial({ wireframe: params.wireframe });
         textMesh = new THREE.Mesh(textGeometry, material);
         scene.add(textMesh);
+    }, undefined, (err) => {
+        reportAssetFailure(FONT_URL, err);
+        fontLoaded();
     });
     scene.add(new THREE.AmbientLight(0xffffff, 0.5));
 
@@ -36,16 +62,16 @@ export function setupQFN() {
     let cameraAngleZ = 0; 
     let cameraAngleY = 0; 
 
-    const flipInterval = 20;
     let t = 0;
     let flipSign = 1;
 
     function animate(delta) {
         t += delta;
-        const target = (Math.floor(t / flipInterval) % 2 === 0) ? 1 : -1;
+        const target = (Math.floor(t / params.flipInterval) % 2 === 0) ? 1 : -1;
         flipSign = THREE.MathUtils.lerp(flipSign, target, 0.005); // ease
 
         if (textMesh) {
+            textMesh.material.wireframe = params.wireframe;
             const speed = (Math.sin(delta) + Math.cos(0.5 * delta) + Math.sin(0.3 * delta)) * 
                         (0.008 + 0.002 * Math.sin(0.1 * delta));
             textMesh.rotation.y += flipSign * speed;
@@ -53,16 +79,20 @@ export function setupQFN() {
         }
 
         cameraAngleX += delta * 0.5 * flipSign; 
-        camera.position.x = Math.sin(cameraAngleX) * 100;
+        camera.position.x = Math.sin(cameraAngleX) * params.orbitRadius;
 
         cameraAngleZ += delta * 0.4 * flipSign; 
-        camera.position.z = Math.cos(cameraAngleZ) * 100;
+        camera.position.z = Math.cos(cameraAngleZ) * params.orbitRadius;
 
         cameraAngleY += delta * 0.3; 
-        camera.position.y = Math.sin(cameraAngleY) * 50;
+        camera.position.y = Math.sin(cameraAngleY) * params.orbitRadius * 0.5;
 
         camera.lookAt(0, 0, 0); // always look at the text
     }
 
-    return { scene, camera, animate };
+    function dispose() {
+        disposed = true;
+    }
+
+    return { scene, camera, animate, params, dispose, ready };
 }
@@ -1,6 +1,29 @@
 import * as THREE from 'three';
-
-export function setupCube() {
+import { SILENT_LEVELS } from '../core/audio.js';
+import { FREE_TEMPO } from '../core/tempo.js';
+import { createParams } from '../core/params.js';
+import { createResourceTracker } from '../core/dispose.js';
+import { DEFAULT_BRANDING } from '../core/branding.js';
+
+const MAX_POOL = 200;        // hard cap on solids
+
+// Live knobs (see core/params.js)
+export const CUBE_PARAMS = {
+  minActive:        { type: 'range', label: 'Min visible', min: 1, max: MAX_POOL, step: 1, default: 1 },
+  maxActive:        { type: 'range', label: 'Max visible', min: 1, max: MAX_POOL, step: 1, default: 200 },
+  populationPeriod: { type: 'range', label: 'Population period (s)', min: 5, max: 300, step: 1, default: 60 },
+  travelSpeed:      { type: 'range', label: 'Travel speed', min: 0, max: 3, step: 0.05, default: 1 },
+  color:            { type: 'color', label: 'Solids', default: 0x00ff00, role: 'primary' },
+};
+
+// opts.random: seeded PRNG (core/random.js) for the solids pool
+// opts.detail: quality scale (core/quality.js) for how many solids may show
+// opts.branding: event branding (core/branding.js); its name is the Morse message
+export function setupCube(opts = {}) {
+  const params = createParams(CUBE_PARAMS, opts);
+  const random = opts.random ?? Math.random;
+  let detail = opts.detail ?? 1;
+  const resources = opts.resources ?? createResourceTracker();
   const scene = new THREE.Scene();
 
   const camera = new THREE.PerspectiveCamera(
@@ -11,14 +34,15 @@ export function setupCube() {
   );
   camera.position.z = 8;
 
-  // === Platonic solid geometries (factories so we can respawn new ones) ===
-  const geometryFactories = [
-    () => new THREE.TetrahedronGeometry(2),
-    () => new THREE.BoxGeometry(3, 3, 3),
-    () => new THREE.OctahedronGeometry(2.4),
-    () => new THREE.DodecahedronGeometry(2.1),
-    () => new THREE.IcosahedronGeometry(2.2),
-  ];
+  // === Platonic solid geometries (one of each, shared by the whole pool so
+  // recycling a solid never allocates; tracked since a shape may be unused) ===
+  const solidGeometries = [
+    new THREE.TetrahedronGeometry(2),
+    new THREE.BoxGeometry(3, 3, 3),
+    new THREE.OctahedronGeometry(2.4),
+    new THREE.DodecahedronGeometry(2.1),
+    new THREE.IcosahedronGeometry(2.2),
+  ].map(resources.track);
 
   // === Morse encoding ===
   const morseMap = {
@@ -29,7 +53,7 @@ export function setupCube() {
     Y: "-.--", Z: "--..", " ": " "
   };
 
-  const message = "QUEER FIGHT NIGHT";
+  const message = (opts.branding ?? DEFAULT_BRANDING).name;
   let morseString = "";
   for (const char of message.toUpperCase()) {
     if (morseMap[char]) morseString += morseMap[char] + " ";
@@ -44,6 +68,7 @@ export function setupCube() {
   }
 
   const unitTime = 1;
+  const MORSE_UNITS_PER_BEAT = 2; // with a running tempo, one unit = an eighth note
   const cycleDuration = sequence.reduce((acc, u) => acc + u * unitTime, 0);
 
   function getCurrentStepIndex(time) {
@@ -56,11 +81,6 @@ export function setupCube() {
   }
 
   // === Infinite spiral params (toward -Z) ===
-  const MAX_POOL = 200;        // hard cap
-  const MIN_ACTIVE = 1;        // min visible
-  const MAX_ACTIVE = 200;      // max visible
-  const POPULATION_PERIOD = 60; // seconds for 5 -> 200 -> 5
-
   const SPAWN_Z = 0;         // in front of us (closer)
   const DESPAWN_Z = -100;    // far away -> recycle
   const RADIUS_MIN = 4;
@@ -75,9 +95,9 @@ export function setupCube() {
   // Create & recycle helpers
   function makeMaterial() {
     return new THREE.MeshStandardMaterial({
-      color: 0x00ff00,
+      color: params.color,
       wireframe: true,
-      emissive: new THREE.Color(0x00ff00),
+      emissive: new THREE.Color(params.color),
       emissiveIntensity: 0.0,
       transparent: true,
       opacity: 1.0,
@@ -86,32 +106,30 @@ export function setupCube() {
   }
 
   function randomBetween(a, b) {
-    return a + Math.random() * (b - a);
+    return a + random() * (b - a);
   }
 
   function respawnIntoFront(slot, firstTime = false) {
     // choose a random polyhedron each time
-    const newGeo = geometryFactories[Math.floor(Math.random() * geometryFactories.length)]();
-    if (slot.mesh.geometry) slot.mesh.geometry.dispose();
-    slot.mesh.geometry = newGeo;
+    slot.mesh.geometry = solidGeometries[Math.floor(random() * solidGeometries.length)];
 
     // reset spiral state "in front"
     slot.radius = randomBetween(RADIUS_MIN, RADIUS_MAX);
     slot.radiusDrift = randomBetween(DRIFT_MIN, DRIFT_MAX);
-    slot.angle = Math.random() * Math.PI * 2;
+    slot.angle = random() * Math.PI * 2;
     slot.angularSpeed = randomBetween(ANG_SPEED_MIN, ANG_SPEED_MAX);
     slot.z = firstTime ? randomBetween(DESPAWN_Z, SPAWN_Z) : SPAWN_Z; // spread initial depth
     slot.speed = randomBetween(SPEED_MIN, SPEED_MAX);
 
     // keep a pleasant rotation
     slot.rotationSpeed = {
-      x: (Math.random() - 0.5) * 0.6,
-      y: (Math.random() - 0.5) * 0.6,
-      z: (Math.random() - 0.5) * 0.6
+      x: (random() - 0.5) * 0.6,
+      y: (random() - 0.5) * 0.6,
+      z: (random() - 0.5) * 0.6
     };
 
     // small variance in flicker per piece
-    slot.flickerStrength = 0.3 + Math.random() * 0.6;
+    slot.flickerStrength = 0.3 + random() * 0.6;
 
     // place immediately
     slot.mesh.position.set(
@@ -127,7 +145,7 @@ export function setupCube() {
 
   for (let i = 0; i < MAX_POOL; i++) {
     const mat = makeMaterial();
-    const mesh = new THREE.Mesh(geometryFactories[i % geometryFactories.length](), mat);
+    const mesh = new THREE.Mesh(solidGeometries[i % solidGeometries.length], mat);
     const slot = {
       mesh,
       material: mat,
@@ -167,44 +185,66 @@ export function setupCube() {
   }
 
   function ensureActiveCount(target) {
-    // Clamp to bounds
-    target = Math.max(MIN_ACTIVE, Math.min(MAX_ACTIVE, target));
+    // Clamp to bounds (the ceiling shrinks with the quality level)
+    const cap = Math.max(1, Math.round(params.maxActive * detail));
+    target = Math.max(Math.min(params.minActive, cap), Math.min(cap, target));
     while (active.length < target) activateOne();
     while (active.length > target) deactivateOne();
   }
 
   // Start with minimum visible
-  ensureActiveCount(MIN_ACTIVE);
+  ensureActiveCount(params.minActive);
 
   // A pulsing point light synced to the main Morse beat
-  const pointLight = new THREE.PointLight(0x00ff00, 1.0, 10);
+  const pointLight = new THREE.PointLight(params.color, 1.0, 10);
   pointLight.position.set(2, 2, 2);
   scene.add(pointLight);
 
   let globalTime = 0;
+  let solidsColor = params.color;
 
-  function animate(delta) {
+  function animate(delta, audio = SILENT_LEVELS, tempo = FREE_TEMPO) {
     globalTime += delta;
 
-    // master pulse
-    const mainIndex = getCurrentStepIndex(globalTime);
+    // Morse timeline: free-running seconds, or locked to the beat grid
+    const morseTime = tempo.running
+      ? tempo.beats * MORSE_UNITS_PER_BEAT * unitTime
+      : globalTime;
+
+    // master pulse (follows the kick when audio is live)
+    const mainIndex = getCurrentStepIndex(morseTime);
     const isMainOn = mainIndex % 2 === 0;
-    pointLight.intensity = isMainOn ? 2.0 : 0.25;
+    if (audio.active) {
+      const kick = Math.exp(-audio.sinceBeat * 8); // 1 on the beat, decays fast
+      pointLight.intensity = 0.25 + audio.bass * 2.0 + kick * 3.0;
+    } else {
+      pointLight.intensity = isMainOn ? 2.0 : 0.25;
+    }
 
-    // --- population triangle wave: 5 -> 200 -> 5 ---
+    // live colour knob
+    if (params.color !== solidsColor) {
+      solidsColor = params.color;
+      pointLight.color.setHex(solidsColor);
+      for (const slot of pool) {
+        slot.material.color.setHex(solidsColor);
+        slot.material.emissive.setHex(solidsColor);
+      }
+    }
+
+    // --- population triangle wave: min -> max -> min ---
     // normalized time in [0,1)
-    const tNorm = (globalTime % POPULATION_PERIOD) / POPULATION_PERIOD;
+    const tNorm = (globalTime % params.populationPeriod) / params.populationPeriod;
     // triangle wave in [0,1] peaking at t=0.5
     const tri = 1 - Math.abs(2 * tNorm - 1);
     const desiredCount = Math.floor(
-      MIN_ACTIVE + tri * (MAX_ACTIVE - MIN_ACTIVE)
+      params.minActive + tri * (params.maxActive - params.minActive)
     );
     ensureActiveCount(desiredCount);
 
     // update each ACTIVE object
     for (const obj of active) {
       // emissive flicker using per-object phase
-      const localTime = globalTime - obj.phaseOffset;
+      const localTime = morseTime - obj.phaseOffset;
       const idx = getCurrentStepIndex(localTime);
       const isOn = idx % 2 === 0;
       obj.material.emissiveIntensity = isOn ? obj.flickerStrength : 0.0;
@@ -213,7 +253,7 @@ export function setupCube() {
       obj.angle += obj.angularSpeed * delta;
       obj.radius += obj.radiusDrift * delta;                         // gentle breathing
       obj.radius = Math.min(RADIUS_MAX, Math.max(RADIUS_MIN, obj.radius));
-      obj.z -= obj.speed * delta;                                    // move toward -Z (away)
+      obj.z -= obj.speed * params.travelSpeed * delta;               // move toward -Z (away)
 
       obj.mesh.position.set(
         obj.radius * Math.cos(obj.angle),
@@ -233,5 +273,9 @@ export function setupCube() {
     }
   }
 
-  return { scene, camera, animate };
+  function quality(level) {
+    detail = level;
+  }
+
+  return { scene, camera, animate, params, quality };
 }
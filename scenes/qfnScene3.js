@@ -1,5 +1,7 @@
 // qfnScene3.js
 import * as THREE from 'three';
+import { createParams } from '../core/params.js';
+import { createResourceTracker } from '../core/dispose.js';
 
 class InfinitePlane {
   constructor(size = 100, divisions = 10) {
@@ -17,7 +19,8 @@ class InfinitePlane {
     this.plane.rotation.x = -Math.PI / 2;
     this.plane.position.y = planeHeight;
 
-    this.grid = new THREE.GridHelper(size, divisions, 0xbb99ff, 0xbb99ff);
+    // white lines, tinted through the material by the gridColor knob
+    this.grid = new THREE.GridHelper(size, divisions, 0xffffff, 0xffffff);
     this.grid.material.transparent = true;
     this.grid.material.opacity = 0.7;
     this.grid.material.depthWrite = false;
@@ -34,6 +37,16 @@ class InfinitePlane {
 const CITY_INNER_RADIUS = 0.1;            // 0 = allow center
 const CITY_OUTER_RADIUS = 0.48;         // fraction of planeSize (0.48 ≈ stay inside grid)
 
+// Live knobs (see core/params.js)
+export const CITY_PARAMS = {
+  spinSpeed:     { type: 'range', label: 'Spin speed', min: 0, max: 1, step: 0.01, default: 0.2 },
+  buildingCount: { type: 'range', label: 'Buildings', min: 1, max: 40, step: 1, default: 10, rebuild: true },
+  buildingColor: { type: 'color', label: 'Buildings', default: 0x00ffff, role: 'primary' },
+  groundColor:   { type: 'color', label: 'Ground', default: 0x3c1a4f, role: 'shade' },
+  gridColor:     { type: 'color', label: 'Grid', default: 0xbb99ff, role: 'accent' },
+  mountainColor: { type: 'color', label: 'Mountains', default: 0x8a66ff, role: 'secondary' },
+};
+
 // --- helpers for cell snapping (unchanged) ---
 function cellCenterFromIndex(i, j, planeSize, divisions) {
   const cellSize = planeSize / divisions;
@@ -44,7 +57,7 @@ function cellCenterFromIndex(i, j, planeSize, divisions) {
 }
 
 // Sample a free cell roughly along `angle`, with radius in [innerR, outerR]
-function pickFreeCellNearAngle(angle, innerR, outerR, planeSize, divisions, occupied) {
+export function pickFreeCellNearAngle(angle, innerR, outerR, planeSize, divisions, occupied, random = Math.random) {
   const min = -planeSize / 2;
   const cellSize = planeSize / divisions;
 
@@ -55,7 +68,7 @@ function pickFreeCellNearAngle(angle, innerR, outerR, planeSize, divisions, occu
   // try a few different target radii
   const tries = 8;
   for (let t = 0; t < tries; t++) {
-    const u = Math.random();
+    const u = random();
     const r = Math.sqrt(u) * (Rmax - Rmin) + Rmin;  // area-uniform
     const rx = Math.cos(angle) * r;
     const rz = Math.sin(angle) * r;
@@ -89,8 +102,8 @@ function pickFreeCellNearAngle(angle, innerR, outerR, planeSize, divisions, occu
   // Fallback: random free cell within outer radius band
   const maxTries = 300;
   for (let t = 0; t < maxTries; t++) {
-    const i = Math.floor(Math.random() * divisions);
-    const j = Math.floor(Math.random() * divisions);
+    const i = Math.floor(random() * divisions);
+    const j = Math.floor(random() * divisions);
     const key = `${i},${j}`;
     if (occupied.has(key)) continue;
     const { x, z } = cellCenterFromIndex(i, j, planeSize, divisions);
@@ -101,7 +114,7 @@ function pickFreeCellNearAngle(angle, innerR, outerR, planeSize, divisions, occu
   return null;
 }
 
-function getBuildingHeight(x, z, planeSize) {
+export function getBuildingHeight(x, z, planeSize) {
   // Normalize position to [-1, 1]
   const nx = x / (planeSize / 2);
   const nz = z / (planeSize / 2);
@@ -231,7 +244,9 @@ function createMountainRing({
   return group;
 }
 
-function addMountainRanges(group, planeSize, planeY) {
+// Returns { setColor(hex) }: the mid ridge takes the colour, the far one a
+// lighter and the near one a deeper shade of it
+function addMountainRanges(group, planeSize, planeY, color, random = Math.random) {
   const half = planeSize * 0.5; // grid edge ≈ horizon
 
   const rings = [
@@ -243,8 +258,8 @@ function addMountainRanges(group, planeSize, planeY) {
       base: -10,           // sinks feet below plane for big silhouettes
       freq: 3.8,           // broad undulations
       detail: 0.5,
-      phase: Math.random() * Math.PI * 2,
-      color: 0x9f86ff,     // light lavender-purple
+      phase: random() * Math.PI * 2,
+      lightness: 0.05,     // light lavender-purple
       opacity: 0.38
     },
     // MID ridge: medium amplitude, a bit more frequency/contrast
@@ -255,8 +270,8 @@ function addMountainRanges(group, planeSize, planeY) {
       base: -6,
       freq: 4.8,
       detail: 0.65,
-      phase: Math.random() * Math.PI * 2 + 0.9,
-      color: 0x8a66ff,     // mid purple
+      phase: random() * Math.PI * 2 + 0.9,
+      lightness: 0,        // mid purple
       opacity: 0.46
     },
     // NEAR ridge: lowest amplitude but most opaque to pop in front
@@ -267,20 +282,31 @@ function addMountainRanges(group, planeSize, planeY) {
       base: -3.5,
       freq: 6.0,
       detail: 0.75,
-      phase: Math.random() * Math.PI * 2 + 1.8,
-      color: 0x6f4cff,     // deeper purple
+      phase: random() * Math.PI * 2 + 1.8,
+      lightness: -0.03,    // deeper purple
       opacity: 0.58
     }
   ];
 
-  rings.forEach(cfg => {
+  const ridges = rings.map(cfg => {
     const ring = createMountainRing({
       ...cfg,
       planeY,
       segments: 256
     });
     group.add(ring);
+    return { material: ring.children[0].material, lightness: cfg.lightness };
   });
+
+  function setColor(hex) {
+    for (const { material, lightness } of ridges) {
+      material.color.setHex(hex).offsetHSL(0, 0, lightness);
+      material.emissive.copy(material.color).multiplyScalar(0.05);
+    }
+  }
+  setColor(color);
+
+  return { setColor };
 }
 
 function createGlowSprite(color, size = 10, opacity = 0.35) {
@@ -340,7 +366,7 @@ function createPlanet({ color=0xffee88, radius=1.6, glowSize=12 }) {
   return g;
 }
 
-function addPlanets(parentGroup, { planeY = -1.5, horizonFade = 3.0, halfSizeForHorizon = 2.0 } = {}) {
+function addPlanets(parentGroup, { planeY = -1.5, horizonFade = 3.0, halfSizeForHorizon = 2.0, random = Math.random } = {}) {
   const skyGroup = new THREE.Group();
   parentGroup.add(skyGroup);
 
@@ -369,7 +395,7 @@ function addPlanets(parentGroup, { planeY = -1.5, horizonFade = 3.0, halfSizeFor
     azimuthSpeed: 0.06,
     verticalAmp: 41.22,     // 40 - (planeY + 0.2) - sin(0.08)
     verticalSpeed: 0.18,    // slower vertical => longer horizontal run
-    phase: Math.random() * Math.PI * 2,
+    phase: random() * Math.PI * 2,
     color: 0xffb36a,
     radius: 6.4,
     glowSize: 20,
@@ -382,7 +408,7 @@ function addPlanets(parentGroup, { planeY = -1.5, horizonFade = 3.0, halfSizeFor
     azimuthSpeed: -0.045,
     verticalAmp: 41.35,     // 40 - (planeY + 0.2) - sin(-0.05)
     verticalSpeed: 0.16,
-    phase: Math.random() * Math.PI * 2 + 1.2,
+    phase: random() * Math.PI * 2 + 1.2,
     color: 0x9fd0ff,
     radius: 3.0,
     glowSize: 16,
@@ -395,7 +421,7 @@ function addPlanets(parentGroup, { planeY = -1.5, horizonFade = 3.0, halfSizeFor
     azimuthSpeed: 0.1,
     verticalAmp: 41.27,     // 40 - (planeY + 0.2) - sin(0.03)
     verticalSpeed: 0.14,
-    phase: Math.random() * Math.PI * 2 + 2.1,
+    phase: random() * Math.PI * 2 + 2.1,
     color: 0xc9a0ff,
     radius: 10.6,
     glowSize: 30,
@@ -430,14 +456,14 @@ function addPlanets(parentGroup, { planeY = -1.5, horizonFade = 3.0, halfSizeFor
   return { updatePlanets };
 }
 
-function addSkyscraper(sceneGroup, planeSize, divisions, planeY, occupied, angleOffset = 0) {
-  const angle = angleOffset + Math.random() * Math.PI * 2;
+function addSkyscraper(sceneGroup, planeSize, divisions, planeY, occupied, angleOffset = 0, color = 0x00ffff, random = Math.random) {
+  const angle = angleOffset + random() * Math.PI * 2;
 
   // Band across the grid
   const inner = CITY_INNER_RADIUS * planeSize;
   const outer = CITY_OUTER_RADIUS * planeSize;
 
-  const choice = pickFreeCellNearAngle(angle, inner, outer, planeSize, divisions, occupied);
+  const choice = pickFreeCellNearAngle(angle, inner, outer, planeSize, divisions, occupied, random);
   if (!choice) return null;
 
   const { i, j } = choice; // don't add to occupied yet — we might place a multi-cell footprint
@@ -445,8 +471,8 @@ function addSkyscraper(sceneGroup, planeSize, divisions, planeY, occupied, angle
 
   // --- Random building footprint in cells (1..4) ---
   const maxCells = 4;
-  const wCells = 1 + Math.floor(Math.random() * maxCells);
-  const dCells = 1 + Math.floor(Math.random() * maxCells);
+  const wCells = 1 + Math.floor(random() * maxCells);
+  const dCells = 1 + Math.floor(random() * maxCells);
 
   // Try to center the rectangle on the chosen cell and find a nearby valid anchor
   function tryAnchor(ai, aj) {
@@ -497,14 +523,14 @@ function addSkyscraper(sceneGroup, planeSize, divisions, planeY, occupied, angle
   const geometry = new THREE.BoxGeometry(footprintX, height, footprintZ);
 
   const neonMaterial = new THREE.MeshStandardMaterial({
-    color: 0x00ffff,
+    color,
     metalness: 0.3,
     roughness: 0.6,
     transparent: true,
     opacity: 1
   });
   const wireframeMaterial = new THREE.MeshBasicMaterial({
-    color: 0x00ffff,
+    color,
     wireframe: true,
     transparent: true,
     opacity: 0.9
@@ -529,7 +555,11 @@ function addSkyscraper(sceneGroup, planeSize, divisions, planeY, occupied, angle
   sceneGroup.add(skyscraper);
   return skyscraper;
 }
-export function setupSkyscraper() {
+// opts.random: seeded PRNG (core/random.js) for the city layout
+export function setupSkyscraper(opts = {}) {
+  const params = createParams(CITY_PARAMS, opts);
+  const random = opts.random ?? Math.random;
+  const resources = opts.resources ?? createResourceTracker();
   const scene = new THREE.Scene();
 
   const camera = new THREE.PerspectiveCamera(
@@ -556,27 +586,43 @@ export function setupSkyscraper() {
   plane.getObjects().forEach(obj => rotatingGroup.add(obj));
 
   // Mountains
-  addMountainRanges(rotatingGroup, planeSize, planeY);
+  const mountains = addMountainRanges(rotatingGroup, planeSize, planeY, params.mountainColor, random);
 
   // Planets (no sun/light tracking inside)
-  const { updatePlanets } = addPlanets(rotatingGroup, { planeY });
+  const { updatePlanets } = addPlanets(rotatingGroup, { planeY, random });
 
   // Skyscrapers
   const occupied = new Set();
   const skyscrapers = [];
-  const total = 10;
+  const total = params.buildingCount;
   for (let i = 0; i < total; i++) {
-    const sk = addSkyscraper(rotatingGroup, planeSize, divisions, planeY, occupied);
+    const sk = addSkyscraper(rotatingGroup, planeSize, divisions, planeY, occupied, 0, params.buildingColor, random);
     if (sk) skyscrapers.push(sk);
   }
 
   // Single animate loop
   let elapsed = 0;
+  let buildingColor = params.buildingColor;
+  let mountainColor = params.mountainColor;
   function animate(delta) {
     elapsed += delta;
 
+    // live colour knobs
+    plane.plane.material.color.setHex(params.groundColor);
+    plane.grid.material.color.setHex(params.gridColor);
+    if (params.mountainColor !== mountainColor) {
+      mountainColor = params.mountainColor;
+      mountains.setColor(mountainColor);
+    }
+    if (params.buildingColor !== buildingColor) {
+      buildingColor = params.buildingColor;
+      for (const sk of skyscrapers) {
+        sk?.children.forEach(mesh => mesh.material.color.setHex(buildingColor));
+      }
+    }
+
     // slow scene spin
-    rotatingGroup.rotation.y += delta * 0.2;
+    rotatingGroup.rotation.y += delta * params.spinSpeed;
 
     // planets rise/fall + fade at horizon
     updatePlanets(elapsed);
@@ -595,6 +641,7 @@ export function setupSkyscraper() {
         // free cells
         if (sk.userData?.keys) for (const k of sk.userData.keys) occupied.delete(k);
         rotatingGroup.remove(sk);
+        resources.release(sk); // its own box geometry and materials
 
         // respawn ahead of camera
         const newSk = addSkyscraper(
@@ -603,12 +650,14 @@ export function setupSkyscraper() {
           divisions,
           planeY,
           occupied,
-          viewAngle + Math.PI + Math.random() * 0.5
+          viewAngle + Math.PI + random() * 0.5,
+          params.buildingColor,
+          random
         );
         skyscrapers[i] = newSk;
       }
     }
   }
 
-  return { scene, camera, animate };
+  return { scene, camera, animate, params };
 }
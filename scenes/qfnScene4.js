@@ -1,6 +1,28 @@
 import * as THREE from 'three';
+import { SILENT_LEVELS } from '../core/audio.js';
+import { createParams } from '../core/params.js';
+
+// Live knobs (see core/params.js)
+export const CORRIDOR_PARAMS = {
+  speed:     { type: 'range', label: 'Speed', min: 0, max: 60, step: 0.5, default: 18 },
+  segLen:    { type: 'range', label: 'Segment length', min: 2, max: 12, step: 0.5, default: 6, rebuild: true },
+  numSegs:   { type: 'range', label: 'Segments', min: 20, max: 150, step: 1, default: 90, rebuild: true },
+  wallColor: { type: 'color', label: 'Walls', default: 0x248842, role: 'secondary' },
+  floorGlow: { type: 'color', label: 'Floor glow', default: 0x531a6b, role: 'shade' },
+  edgeGlow:  { type: 'color', label: 'Edge lights', default: 0x00ffd0, role: 'primary' },
+};
+
+// Smooth lateral path for the trench (sum of sines = “organic” banking)
+export const offsetAt = (z) =>
+    Math.sin(z * 0.08) * 1.6 +
+    Math.sin(z * 0.023 + 1.7) * 0.9 +
+    Math.sin(z * 0.011 - 0.4) * 0.5;
+
+// opts: initial values for the live `params` (e.g. { speed: 24 }); opts.detail
+// (core/quality.js) scales the segment count, fixed until the next setup
+export function setupCorridor(opts = {}) {
+  const params = createParams(CORRIDOR_PARAMS, opts);
 
-export function setupCorridor() {
   // --- Scene & fog ---
   const scene = new THREE.Scene();
   scene.fog = new THREE.Fog(0x06080e, 8, 140);
@@ -22,27 +44,21 @@ export function setupCorridor() {
 
   // === Trench params ===
     // === Trench params ===
-    const SEG_LEN = 6;
-    const NUM_SEGS = 90;
+    const SEG_LEN = params.segLen;
+    const NUM_SEGS = Math.max(CORRIDOR_PARAMS.numSegs.min, Math.round(params.numSegs * (opts.detail ?? 1)));
     const TR_HALF = 2.0;
     const WALL_THICK = 2;
     const WALL_HEIGHT = 10;
     const FLOOR_THICK = 0.6;     // <— new: chunky slab so you can't see behind it
-    const SPEED = 18;
+    const AUDIO_SPEED_BOOST = 1.5; // extra speed multiplier at full RMS
     const LIGHTS_PER_EDGE = 5;
 
 
-  // Smooth lateral path for the trench (sum of sines = “organic” banking)
-  const offsetAt = (z) =>
-      Math.sin(z * 0.08) * 1.6 +
-      Math.sin(z * 0.023 + 1.7) * 0.9 +
-      Math.sin(z * 0.011 - 0.4) * 0.5;
-
   const dOffset = (z) => (offsetAt(z + 0.5) - offsetAt(z - 0.5)); // derivative for roll
 
   // === Materials ===
   const wallMat = new THREE.MeshStandardMaterial({
-    color: 0x248842,        // deep slate blue
+    color: params.wallColor, // deep slate blue
     emissive: 0x0a1020,
     emissiveIntensity: 0.9,
     metalness: 0.2,
@@ -51,7 +67,7 @@ export function setupCorridor() {
 
   const floorMat = new THREE.MeshStandardMaterial({
     color: 0x050508,
-    emissive: 0x531a6b,     // muted magenta for trench glow
+    emissive: params.floorGlow, // muted magenta for trench glow
     emissiveIntensity: 0.7,
     metalness: 0.3,
     roughness: 0.35
@@ -59,7 +75,7 @@ export function setupCorridor() {
 
   const edgeLightMat = new THREE.MeshStandardMaterial({
     color: 0x92fff0,
-    emissive: 0x00ffd0,
+    emissive: params.edgeGlow,
     emissiveIntensity: 2.8,
     metalness: 0.1,
     roughness: 0.4
@@ -167,11 +183,14 @@ export function setupCorridor() {
 
   // === Main animate ===
   let elapsed = 0;
-  function animate(delta) {
+  let speed = params.speed;
+  function animate(delta, audio = SILENT_LEVELS) {
     elapsed += delta;
 
-    // forward motion
-    camZ -= SPEED * delta;
+    // forward motion, surging with the music's loudness
+    const targetSpeed = params.speed * (1 + audio.rms * AUDIO_SPEED_BOOST);
+    speed += (targetSpeed - speed) * Math.min(1, delta * 4);
+    camZ -= speed * delta;
 
     // follow the trench centerline with a tiny manual “pilot wobble”
     wobble += delta;
@@ -182,7 +201,7 @@ export function setupCorridor() {
     const wobX = Math.sin(wobble * 0.9) * 0.08;
     const wobY = Math.sin(wobble * 0.65 + 1.1) * 0.18;  // ↑ amplitude from 0.04 → 0.18, slower phase
 
-    const shake = cameraShake(elapsed, SPEED);
+    const shake = cameraShake(elapsed, speed);
     camera.position.set(pathX + wobX + shake.jx, 1.2 + wobY + shake.jy, camZ);
     camera.rotation.z = bank; // roll with curve
     camera.lookAt(pathX2, 1.1, camZ - 12);
@@ -194,7 +213,12 @@ export function setupCorridor() {
     // gentle pulse on edge lights to sell speed & depth
     const pulse = 0.6 + 0.4 * Math.sin(elapsed * 6.0);
     edgeLightMat.emissiveIntensity = 2.2 + pulse * 0.8;
+
+    // live colour knobs
+    wallMat.color.setHex(params.wallColor);
+    floorMat.emissive.setHex(params.floorGlow);
+    edgeLightMat.emissive.setHex(params.edgeGlow);
   }
 
-  return { scene, camera, animate };
+  return { scene, camera, animate, params };
 }
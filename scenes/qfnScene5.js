@@ -1,9 +1,31 @@
 import * as THREE from "three";
+import { SILENT_LEVELS } from "../core/audio.js";
+import { createParams } from "../core/params.js";
+import { DEFAULT_BRANDING } from "../core/branding.js";
 
 // ===============
 // Public API
 // ===============
-export function setupPerlin() {
+
+// Live knobs (see core/params.js); the wave ones feed the shader uniforms
+export const OCEAN_PARAMS = {
+	ampMin:    { type: "range", label: "Calm amplitude", min: 0, max: 2, step: 0.05, default: 0.3 },
+	ampMax:    { type: "range", label: "Peak amplitude", min: 0, max: 2, step: 0.05, default: 0.6 },
+	freqMin:   { type: "range", label: "Calm frequency", min: 0.5, max: 12, step: 0.5, default: 2.0 },
+	freqMax:   { type: "range", label: "Peak frequency", min: 0.5, max: 12, step: 0.5, default: 6.0 },
+	cycleSec:  { type: "range", label: "Swell cycle (s)", min: 10, max: 600, step: 10, default: 120 },
+	camHover:  { type: "range", label: "Camera hover", min: 0.2, max: 3, step: 0.02, default: 0.58 },
+	starColor: { type: "color", label: "Stars", default: 0xffff66, role: "highlight" },
+};
+
+// opts.random: seeded PRNG (core/random.js) for the star layouts
+// opts.detail: quality scale (core/quality.js) for the ocean subdivisions
+// opts.branding: event branding (core/branding.js); the stars spell one of its starWords
+// showMessage(text): the stars spell a live message instead; null goes back to the word
+export function setupPerlin(opts = {}) {
+	const params = createParams(OCEAN_PARAMS, opts);
+	const random = opts.random ?? Math.random;
+	const { starWords } = opts.branding ?? DEFAULT_BRANDING;
 	const scene = new THREE.Scene();
 
 	const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
@@ -15,7 +37,8 @@ export function setupPerlin() {
 
 	// Plane (ocean-like) mesh with animated simplex in the vertex shader
 	const PLANE_SIZE = 12;
-	const plane = createOceanPlane(PLANE_SIZE);
+	let segments = oceanSegments(opts.detail ?? 1);
+	const plane = createOceanPlane(PLANE_SIZE, segments);
 	scene.add(plane);
 
 	// Light
@@ -23,41 +46,75 @@ export function setupPerlin() {
 	pointLight.position.set(2, 3, 2);
 	scene.add(pointLight);
 
-	// Stars spelling FIGHT
-    const { points: fightPoints, update: updateFightStars } = createFightStars({
-    canvasSize : { w: 1000, h: 300 },
-    text: "FIGHT",
-    worldWidth: 106,  // ≈ 106.3
-    size: 0.3,              // ≈ 0.29
-    alphaThreshold: 160,
-    step: 4,
-    jitterFactor: 5,
-    keepFraction: 0.09,
-    color: 0xffff66,
-    position: new THREE.Vector3(0, 12.4, -50)
-    });
-    scene.add(fightPoints);
+	// Stars spelling the event's word (FIGHT); a pick when there are several
+    const starWord = starWords.length > 1 ? starWords[Math.floor(random() * starWords.length)] : starWords[0];
+    let fightPoints, updateFightStars;
+
+    // Rebuild the star text; the canvas (and the stars) widen with longer
+    // text until it fills the view, then it packs tighter instead
+    function setStarText(text) {
+        if (fightPoints) {
+            scene.remove(fightPoints);
+            fightPoints.geometry.dispose();
+            fightPoints.material.dispose();
+        }
+        const w = Math.max(1000, Math.ceil(textWidth(text, STAR_FONT)) + 100);
+        ({ points: fightPoints, update: updateFightStars } = createFightStars({
+        canvasSize : { w, h: 300 },
+        text,
+        worldWidth: Math.min(130, 106 * w / 1000),  // ≈ 106.3 for FIGHT
+        size: 0.3,              // ≈ 0.29
+        alphaThreshold: 160,
+        step: 4,
+        jitterFactor: 5,
+        keepFraction: 0.09,
+        color: params.starColor,
+        position: new THREE.Vector3(0, 12.4, -50),
+        random
+        }));
+        scene.add(fightPoints);
+    }
+    setStarText(starWord);
+
+	function showMessage(text) {
+		setStarText(text || starWord);
+	}
 
         // --- Background star field ---
     const { points: bgStars, update: updateBgStars } = createStarField({
         count: 2000,
         spread: 400,
         size: 0.6,
-        color: 0xffff66
+        color: params.starColor,
+        random
     });
     scene.add(bgStars);
 
 	// Camera "float" helpers (CPU-evaluated height sampling)
 	const heightSampler = createHeightSampler(plane.material, PLANE_SIZE);
-	const camHover = 0.58;  // how high above the surface to sit
 	const lookAhead = 10.0; // aim look target this far forward (-Z)
 	const damp = 1.8;       // smoothing factor for less jitter
 	let targetY = camera.position.y;
 
-	function animate(delta) {
+	// Swell amplitude follows the low end when audio is live
+	const uniforms = plane.material.uniforms;
+	let audioSwell = 0;
+
+	function animate(delta, audio = SILENT_LEVELS) {
 		// Advance shader time
-		plane.material.uniforms.uTime.value += delta;
-		const t = plane.material.uniforms.uTime.value;
+		uniforms.uTime.value += delta;
+		const t = uniforms.uTime.value;
+
+		const swellTarget = audio.bass * 0.8 + audio.rms * 0.6;
+		audioSwell += (swellTarget - audioSwell) * Math.min(1, delta * 6);
+		uniforms.uAmpMin.value = params.ampMin * (1 + audioSwell);
+		uniforms.uAmpMax.value = params.ampMax * (1 + audioSwell * 1.5);
+		uniforms.uFreqMin.value = params.freqMin;
+		uniforms.uFreqMax.value = params.freqMax;
+		uniforms.uCycleSec.value = params.cycleSec;
+		fightPoints.material.color.setHex(params.starColor);
+		bgStars.material.color.setHex(params.starColor);
+		const camHover = params.camHover; // how high above the surface to sit
 
 		// Update star field
 		updateFightStars(t);
@@ -80,14 +137,29 @@ export function setupPerlin() {
 		camera.lookAt(cx, hAhead + camHover * 0.9, cz - lookAhead);
 	}
 
-	return { scene, camera, animate };
+	// Swap in a plane with the new subdivisions; the shader doesn't care
+	function quality(detail) {
+		const next = oceanSegments(detail);
+		if (next === segments) return;
+		segments = next;
+		plane.geometry.dispose();
+		plane.geometry = new THREE.PlaneGeometry(PLANE_SIZE, PLANE_SIZE, segments, segments);
+	}
+
+	return { scene, camera, animate, params, quality, showMessage };
 }
 
 // ================================
 // Ocean plane (shader + geometry)
 // ================================
-function createOceanPlane(size = 12) {
-	const geometry = new THREE.PlaneGeometry(size, size, 128, 128);
+const OCEAN_SEGMENTS = 128; // per side at full detail
+
+function oceanSegments(detail) {
+	return Math.max(32, Math.round(OCEAN_SEGMENTS * detail));
+}
+
+function createOceanPlane(size = 12, segments = OCEAN_SEGMENTS) {
+	const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
 	const material = createPerlinMaterial();
 
 	const mesh = new THREE.Mesh(geometry, material);
@@ -175,9 +247,11 @@ const FRAG_SRC = `
 // ==========================
 // Text-to-stars ("FIGHT")
 // ==========================
+const STAR_FONT = 'bold 220px "Arial Black", Impact, system-ui, sans-serif';
+
 function createFightStars({
     text = "FIGHT",
-    font = 'bold 220px "Arial Black", Impact, system-ui, sans-serif',
+    font = STAR_FONT,
     canvasSize = { w: 1400, h: 300 },
     worldWidth = 50.5,
     alphaThreshold = 160,
@@ -186,7 +260,8 @@ function createFightStars({
     keepFraction = 1.0,   // << new
     color = 0xffffff,
     size = 0.4,
-    position = new THREE.Vector3(0, 0, 0)
+    position = new THREE.Vector3(0, 0, 0),
+    random = Math.random
 } = {}) {
     const cvs = makeTextCanvas(text, font, canvasSize);
     const positions = sampleCanvasToPositions(cvs, {
@@ -194,7 +269,8 @@ function createFightStars({
         alphaThreshold,
         step,
         jitterFactor,
-        keepFraction
+        keepFraction,
+        random
     });
 
     const geo = new THREE.BufferGeometry();
@@ -225,7 +301,9 @@ function createFightStars({
     return { points, update };
 }
 
-function sampleCanvasToPositions(cvs, { worldWidth, alphaThreshold, step, jitterFactor, keepFraction }) {
+// Opaque canvas pixels -> xyz triplets, worldWidth wide and centred; the
+// walk-out scene's VS (walkout.js) is sampled the same way
+export function sampleCanvasToPositions(cvs, { worldWidth, alphaThreshold, step, jitterFactor, keepFraction, random = Math.random }) {
     const ctx = cvs.getContext("2d");
     const { width, height } = cvs;
     const img = ctx.getImageData(0, 0, width, height).data;
@@ -237,9 +315,9 @@ function sampleCanvasToPositions(cvs, { worldWidth, alphaThreshold, step, jitter
         for (let x = 0; x < width; x += step) {
             const idx = (y * width + x) * 4;
             const a = img[idx + 3];
-            if (a > alphaThreshold && Math.random() < keepFraction) {
-                const wx = (x - width / 2) * scale + (Math.random() - 0.5) * jitter;
-                const wy = (height / 2 - y) * scale + (Math.random() - 0.5) * jitter;
+            if (a > alphaThreshold && random() < keepFraction) {
+                const wx = (x - width / 2) * scale + (random() - 0.5) * jitter;
+                const wy = (height / 2 - y) * scale + (random() - 0.5) * jitter;
                 positions.push(wx, wy, 0);
             }
         }
@@ -247,7 +325,14 @@ function sampleCanvasToPositions(cvs, { worldWidth, alphaThreshold, step, jitter
     return positions;
 }
 
-function makeTextCanvas(text, font, { w, h }) {
+// Width in canvas pixels of `text` set in `font`
+function textWidth(text, font) {
+	const ctx = document.createElement("canvas").getContext("2d");
+	ctx.font = font;
+	return ctx.measureText(text).width;
+}
+
+export function makeTextCanvas(text, font, { w, h }) {
 	const cvs = document.createElement("canvas");
 	cvs.width = w;
 	cvs.height = h;
@@ -264,13 +349,14 @@ function createStarField({
     count = 2000,
     spread = 200,
     color = 0xffffff,
-    size = 0.05
+    size = 0.05,
+    random = Math.random
 } = {}) {
     const positions = [];
     for (let i = 0; i < count; i++) {
-        const x = (Math.random() - 0.5) * spread;
-        const y = (Math.random() - 0.5) * spread;
-        const z = (Math.random() - 0.5) * spread;
+        const x = (random() - 0.5) * spread;
+        const y = (random() - 0.5) * spread;
+        const z = (random() - 0.5) * spread;
         positions.push(x, y, z);
     }
     const geo = new THREE.BufferGeometry();
@@ -290,7 +376,7 @@ function createStarField({
     const points = new THREE.Points(geo, mat);
 
     function update(t) {
-        mat.opacity = 0.7 + 0.3 * Math.sin(t * 0.5 + Math.random()); // soft twinkle
+        mat.opacity = 0.7 + 0.3 * Math.sin(t * 0.5 + random()); // soft twinkle
     }
 
     return { points, update };
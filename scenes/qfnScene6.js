@@ -1,6 +1,8 @@
 import * as THREE from 'three';
-
-const CHARACTERS = 'QUEER';
+import { SILENT_LEVELS } from '../core/audio.js';
+import { createParams } from '../core/params.js';
+import { createResourceTracker } from '../core/dispose.js';
+import { DEFAULT_BRANDING, maskText } from '../core/branding.js';
 
 // --------------------
 // Config knobs
@@ -12,14 +14,33 @@ const TRAIL = { perLetter: 6, spawnEverySec: 0.05, fadePerSec: 1.5 };
 const SPRITE_SCALE = 1.2;
 const CAMERA_Z = 60;
 const FOG = { near: 10, far: 100 };
+const THUNDER_BASS = 0.75;        // bass level a beat needs to strike lightning
+const THUNDER_COOLDOWN = 4.0;     // min seconds between audio-triggered strikes
+// Live message (showMessage): letters steer out of the rain into the words
+const MESSAGE = { lineChars: 14, scale: 3, spacing: 3.2, lineGap: 4.5, z: 30, pull: 2.5 };
+
+// Live knobs (see core/params.js); the pools are built at the config sizes
+// above and the params pick how much of them is used
+export const RAIN_PARAMS = {
+  rainCount:   { type: 'range', label: 'Rain count', min: 0, max: RAIN_COUNT, step: 1, default: RAIN_COUNT },
+  fallSpeed:   { type: 'range', label: 'Fall speed', min: 0.1, max: 4, step: 0.05, default: 1 },
+  fieldWidth:  { type: 'range', label: 'Field width', min: 20, max: 200, step: 5, default: FIELD.x },
+  fieldDepth:  { type: 'range', label: 'Field depth', min: 20, max: 200, step: 5, default: FIELD.z },
+  trailLength: { type: 'range', label: 'Trail length', min: 0, max: TRAIL.perLetter, step: 1, default: TRAIL.perLetter },
+  trailEvery:  { type: 'range', label: 'Trail spacing (s)', min: 0.01, max: 0.3, step: 0.01, default: TRAIL.spawnEverySec },
+  trailFade:   { type: 'range', label: 'Trail fade /s', min: 0.2, max: 5, step: 0.1, default: TRAIL.fadePerSec },
+  color:       { type: 'color', label: 'Letters', default: 0x00ff00, role: 'primary' },
+  flashColor:  { type: 'color', label: 'Lightning', default: 0x00ff00, role: 'accent' },
+};
 
 // --- per-character speed personality ---
 const CHAR_SPEED_FACTOR = { Q: 1.15, U: 0.9, E: 0.7, R: 1.0 };
 
 // --------------------
-// Texture cache (one canvas per letter)
+// Texture cache (one canvas per letter, white; the sprites tint it with the
+// color knob so a colour change never redraws the canvases)
 // --------------------
-function makeLetterTexture(letter, color = 'rgb(0,255,0)') {
+function makeLetterTexture(letter, color = '#fff') {
   const size = 100;
   const canvas = document.createElement('canvas');
   canvas.width = size; canvas.height = size;
@@ -46,8 +67,9 @@ function buildTextureCache(chars) {
 // --------------------
 // Helpers
 // --------------------
-function randRange(a, b) { return a + Math.random() * (b - a); }
-function randomChar() { return CHARACTERS[(Math.random() * CHARACTERS.length) | 0]; }
+// `random` is the scene's PRNG (Math.random or a seeded one, core/random.js)
+function randRange(random, a, b) { return a + random() * (b - a); }
+function randomChar(chars, random) { return chars[(random() * chars.length) | 0]; }
 
 function charSpeedRange(ch) {
   const f = CHAR_SPEED_FACTOR[ch] ?? 1.0;
@@ -56,28 +78,52 @@ function charSpeedRange(ch) {
   return { min: Math.max(0.05, mid - span * 0.5), max: mid + span * 0.5 };
 }
 
-function baseSpeedForChar(ch) {
+function baseSpeedForChar(ch, random) {
   const r = charSpeedRange(ch);
-  return randRange(r.min, r.max);
+  return randRange(random, r.min, r.max);
 }
 
-function recycleSprite(sprite) {
+// Message text as lines of at most `width` characters, broken between words
+// where possible
+function wrapMessage(text, width) {
+  const lines = [];
+  let line = '';
+  for (let word of text.split(' ')) {
+    while (word.length > width) {
+      if (line) lines.push(line);
+      line = '';
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!word) continue;
+    if (!line) line = word;
+    else if (line.length + 1 + word.length <= width) line += ` ${word}`;
+    else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function recycleSprite(sprite, params, chars, random) {
   sprite.position.set(
-    (Math.random() - 0.5) * FIELD.x,
+    (random() - 0.5) * params.fieldWidth,
     FIELD.y * 0.5,
-    (Math.random() - 0.5) * FIELD.z
+    (random() - 0.5) * params.fieldDepth
   );
-  const ch = randomChar();
+  const ch = randomChar(chars, random);
   sprite.userData.char = ch;
   sprite.material.map = sprite.userData.cache.get(ch);
   sprite.material.needsUpdate = true;
-  sprite.userData.speedBase = baseSpeedForChar(ch);
-  sprite.userData.phase = Math.random() * Math.PI * 2;
+  sprite.userData.speedBase = baseSpeedForChar(ch, random);
+  sprite.userData.phase = random() * Math.PI * 2;
   sprite.userData.trailTimer = 0;
 }
 
 // --------------------
-// NEW: text mask canvas ("HACKER NIGHT")
+// NEW: text mask canvas (the event tagline, "HACKER NIGHT")
 // white letters on black → used as a mask in shader
 // --------------------
 function makeTextMaskTexture({
@@ -119,7 +165,20 @@ function makeTextMaskTexture({
 // --------------------
 // Main
 // --------------------
-export function setupMatrixRain() {
+// opts: initial values for the live `params` (e.g. { rainCount: 120 }), plus
+// opts.random, a seeded PRNG for the rain layout and thunder timing, and
+// opts.detail (core/quality.js), which scales the rain count and trail length.
+// opts.branding (core/branding.js) gives the rain's letters and the cutout text.
+// showMessage(text) pulls letters out of the rain to spell text; null lets
+// them fall again.
+export function setupMatrixRain(opts = {}) {
+  const params = createParams(RAIN_PARAMS, opts);
+  const branding = opts.branding ?? DEFAULT_BRANDING;
+  const chars = branding.rainCharset;
+  const random = opts.random ?? Math.random;
+  const resources = opts.resources ?? createResourceTracker();
+  let detail = opts.detail ?? 1;
+
   const scene = new THREE.Scene();
   scene.fog = new THREE.Fog(0x000000, FOG.near, FOG.far);
 
@@ -127,10 +186,11 @@ export function setupMatrixRain() {
   camera.position.z = CAMERA_Z;
 
   // ---------- NEW: lightning background plane with masked text ----------
-  const textMask = makeTextMaskTexture({});
+  const textMask = makeTextMaskTexture({ text: maskText(branding) });
   const bgUniforms = {
     uFlash: { value: 0 },         // 0..1 intensity
     uMask:  { value: textMask },  // white = letters
+    uColor: { value: new THREE.Color(params.flashColor) },
   };
 
   const bgMat = new THREE.ShaderMaterial({
@@ -145,14 +205,14 @@ export function setupMatrixRain() {
       varying vec2 vUv;
       uniform sampler2D uMask;
       uniform float uFlash;
+      uniform vec3 uColor;
       void main() {
         // sample mask: white where text is, black elsewhere
         float m = texture2D(uMask, vUv).r;
-        // base scene is dark; flash adds neon green
+        // base scene is dark; flash adds neon (green by default)
         vec3 base = vec3(0.0);
-        vec3 green = vec3(0.0, 1.0, 0.0);
-        vec3 flashed = mix(base, green, clamp(uFlash, 0.0, 1.0));
-        // "HACKER NIGHT" appears as black cutout during flash
+        vec3 flashed = mix(base, uColor, clamp(uFlash, 0.0, 1.0));
+        // the tagline appears as black cutout during flash
         vec3 color = mix(flashed, vec3(0.0), m);
         gl_FragColor = vec4(color, 1.0);
       }`,
@@ -161,9 +221,10 @@ export function setupMatrixRain() {
     fog: false, // important: keep lightning vivid even with scene fog
   });
 
-  // Make the plane large and behind everything
+  // Make the plane large and behind everything; resize() keeps its height
+  // in step with the output aspect so it always covers the view
     const bgW = FIELD.x * 4;
-    const bgH = FIELD.y * 4 * (window.innerHeight / window.innerWidth); // maintain coverage
+    const bgH = FIELD.y * 4;
     const bgGeo = new THREE.PlaneGeometry(bgW, bgH, 1, 1);
 
 
@@ -173,14 +234,24 @@ export function setupMatrixRain() {
   scene.add(bgMesh);
 
   // ---------- letters + trails ----------
-  const texCache = buildTextureCache(CHARACTERS);
+  // The cache is tracked as a whole: a letter no sprite is showing is still in it
+  const texCache = buildTextureCache(chars);
+  texCache.forEach(tex => resources.track(tex));
+
+  // Letters outside the charset (messages) join the cache when first needed
+  function letterTexture(ch) {
+    if (!texCache.has(ch)) texCache.set(ch, resources.track(makeLetterTexture(ch)));
+    return texCache.get(ch);
+  }
+
+  let letterColor = params.color;
   const letters = new Array(RAIN_COUNT);
   const ghosts = [];
   const allSprites = [];
 
   for (let i = 0; i < RAIN_COUNT; i++) {
-    const ch = randomChar();
-    const mat = new THREE.SpriteMaterial({ map: texCache.get(ch), transparent: true, depthWrite: false });
+    const ch = randomChar(chars, random);
+    const mat = new THREE.SpriteMaterial({ map: texCache.get(ch), color: letterColor, transparent: true, depthWrite: false });
     const sprite = new THREE.Sprite(mat);
     sprite.scale.set(SPRITE_SCALE, SPRITE_SCALE, 1);
     sprite.userData = {
@@ -189,13 +260,13 @@ export function setupMatrixRain() {
       trail: new Array(TRAIL.perLetter),
       trailIndex: 0,
       trailTimer: 0,
-      speedBase: baseSpeedForChar(ch),
-      phase: Math.random() * Math.PI * 2
+      speedBase: baseSpeedForChar(ch, random),
+      phase: random() * Math.PI * 2
     };
     sprite.position.set(
-      (Math.random() - 0.5) * FIELD.x,
-      Math.random() * FIELD.y,
-      (Math.random() - 0.5) * FIELD.z
+      (random() - 0.5) * params.fieldWidth,
+      random() * FIELD.y,
+      (random() - 0.5) * params.fieldDepth
     );
     letters[i] = sprite;
     allSprites.push(sprite);
@@ -204,7 +275,7 @@ export function setupMatrixRain() {
   for (let i = 0; i < RAIN_COUNT; i++) {
     const owner = letters[i];
     for (let g = 0; g < TRAIL.perLetter; g++) {
-      const ghostMat = new THREE.SpriteMaterial({ map: owner.material.map, transparent: true, opacity: 0.0, depthWrite: false });
+      const ghostMat = new THREE.SpriteMaterial({ map: owner.material.map, color: letterColor, transparent: true, opacity: 0.0, depthWrite: false });
       const ghost = new THREE.Sprite(ghostMat);
       ghost.scale.set(SPRITE_SCALE, SPRITE_SCALE, 1);
       ghost.visible = false;
@@ -217,10 +288,13 @@ export function setupMatrixRain() {
 
   for (let i = 0; i < allSprites.length; i++) scene.add(allSprites[i]);
 
+  // Trail length after the quality scale
+  const trailLength = () => Math.round(params.trailLength * detail);
+
   function spawnGhost(owner) {
     const ud = owner.userData;
     const idx = ud.trailIndex;
-    ud.trailIndex = (idx + 1) % ud.trail.length;
+    ud.trailIndex = (idx + 1) % Math.max(1, Math.min(ud.trail.length, trailLength()));
     const ghost = ud.trail[idx];
 
     if (ghost.material.map !== owner.material.map) {
@@ -239,17 +313,18 @@ export function setupMatrixRain() {
   const thunder = {
     active: false,
     start: 0,
-    nextDelay: randRange(15.0, 60.0),
+    nextDelay: randRange(random, 15.0, 60.0),
     // a few quick peaks like real lightning
     pattern: [ { d: 0.09, a: 1.00 }, { d: 0.07, a: 0.55 }, { d: 0.16, a: 0.85 } ],
     sigma: 0.020 // width of each pulse (in seconds)
   };
 
-  function updateThunder(dt) {
-    // trigger?
+  function updateThunder(dt, audio) {
+    // trigger? (timer, or a heavy kick when audio is live)
     if (!thunder.active) {
       thunder.nextDelay -= dt;
-      if (thunder.nextDelay <= 0) {
+      const kick = audio.beat && audio.bass >= THUNDER_BASS && t - thunder.start > THUNDER_COOLDOWN;
+      if (thunder.nextDelay <= 0 || kick) {
         thunder.active = true;
         thunder.start = t;
       }
@@ -268,32 +343,85 @@ export function setupMatrixRain() {
       // end after ~0.6s
       if (elapsed > 0.6) {
         thunder.active = false;
-        thunder.nextDelay = randRange(15.0, 60.0);
+        thunder.nextDelay = randRange(random, 15.0, 60.0);
       }
     }
     bgUniforms.uFlash.value = flash;
   }
 
-  function animate(delta) {
+  // Tint every letter and trail ghost with the color knob
+  function recolorLetters() {
+    letterColor = params.color;
+    for (const sprite of allSprites) sprite.material.color.setHex(letterColor);
+  }
+
+  // ---------- live message ----------
+  // Each message letter takes a rain sprite (the first ones, which are the
+  // last to be hidden by rainCount) and a slot to steer to
+  let messageSprites = [];
+
+  function releaseMessage() {
+    for (const sprite of messageSprites) {
+      sprite.userData.slot = null;
+      sprite.scale.set(SPRITE_SCALE, SPRITE_SCALE, 1);
+    }
+    messageSprites = [];
+  }
+
+  function showMessage(text) {
+    releaseMessage();
+    if (!text) return;
+    const lines = wrapMessage(String(text).toUpperCase(), MESSAGE.lineChars);
+    lines.forEach((line, row) => {
+      const y = ((lines.length - 1) / 2 - row) * MESSAGE.lineGap;
+      [...line].forEach((ch, col) => {
+        if (ch === ' ' || messageSprites.length >= letters.length) return;
+        const sprite = letters[messageSprites.length];
+        const x = (col - (line.length - 1) / 2) * MESSAGE.spacing;
+        sprite.userData.char = ch;
+        sprite.userData.slot = new THREE.Vector3(x, y, MESSAGE.z);
+        sprite.material.map = letterTexture(ch);
+        sprite.material.needsUpdate = true;
+        messageSprites.push(sprite);
+      });
+    });
+  }
+
+  function animate(delta, audio = SILENT_LEVELS) {
     if (delta > 0.1) delta = 0.1;
     t += delta;
 
+    if (params.color !== letterColor) recolorLetters();
+    bgUniforms.uColor.value.setHex(params.flashColor);
+
     // rain
+    const visibleCount = Math.max(0, Math.round(Math.min(RAIN_COUNT, params.rainCount) * detail));
+    const pull = 1 - Math.exp(-delta * MESSAGE.pull);
     for (let i = 0; i < letters.length; i++) {
       const s = letters[i];
-      const wobble = 1 + 0.15 * Math.sin(t * 2.0 + s.userData.phase);
-      const speed = s.userData.speedBase * wobble;
-      s.position.y -= speed * delta * 30;
+      const { slot } = s.userData;
+      s.visible = i < visibleCount || !!slot;
+      if (!s.visible) continue;
+      if (slot) {
+        // spelling the message: ease into the slot instead of falling
+        s.position.lerp(slot, pull);
+        const scale = THREE.MathUtils.lerp(s.scale.x, MESSAGE.scale, pull);
+        s.scale.set(scale, scale, 1);
+      } else {
+        const wobble = 1 + 0.15 * Math.sin(t * 2.0 + s.userData.phase);
+        const speed = s.userData.speedBase * wobble * params.fallSpeed;
+        s.position.y -= speed * delta * 30;
+      }
       s.userData.trailTimer += delta;
-      if (s.userData.trailTimer >= TRAIL.spawnEverySec) {
-        spawnGhost(s);
+      if (s.userData.trailTimer >= params.trailEvery) {
+        if (trailLength() > 0) spawnGhost(s);
         s.userData.trailTimer = 0;
       }
-      if (s.position.y < -FIELD.y * 0.5) recycleSprite(s);
+      if (s.position.y < -FIELD.y * 0.5) recycleSprite(s, params, chars, random);
     }
 
     // ghost fade
-    const fade = TRAIL.fadePerSec * delta;
+    const fade = params.trailFade * delta;
     for (let i = 0; i < ghosts.length; i++) {
       const g = ghosts[i];
       if (!g.visible) continue;
@@ -307,8 +435,17 @@ export function setupMatrixRain() {
     }
 
     // lightning
-    updateThunder(delta);
+    updateThunder(delta, audio);
+  }
+
+  function resize(width, height) {
+    bgMesh.scale.y = height / width;
+  }
+  resize(window.innerWidth, window.innerHeight);
+
+  function quality(level) {
+    detail = level;
   }
 
-  return { scene, camera, animate };
+  return { scene, camera, animate, params, resize, quality, showMessage };
 }
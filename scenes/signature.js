@@ -1,17 +1,28 @@
 // signature.js
 import * as THREE from 'three';
+import { createParams } from '../core/params.js';
+import { reportAssetFailure } from '../core/assets.js';
+import { DEFAULT_BRANDING } from '../core/branding.js';
+
+const QRCODE_LIB_URL = './vendor/qrcodejs/qrcode.min.js';
 
 /* ===========================
    Helpers: QR → Canvas
 =========================== */
+// One load per page: a library that failed stays failed (and reported once)
+let qrLib = null;
 function loadQRCodeLib() {
   if (window.QRCode) return Promise.resolve();
-  return new Promise((resolve, reject) => {
+  return qrLib ??= new Promise((resolve, reject) => {
     const s = document.createElement('script');
-    s.src = 'https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js';
+    s.src = QRCODE_LIB_URL;
     s.async = true;
     s.onload = () => resolve();
-    s.onerror = () => reject(new Error('Failed to load qrcodejs'));
+    s.onerror = () => {
+      const err = new Error('Failed to load qrcodejs');
+      reportAssetFailure(QRCODE_LIB_URL, err);
+      reject(err);
+    };
     document.head.appendChild(s);
   });
 }
@@ -47,11 +58,12 @@ async function makeQrCanvas(text, size = 512, level = 'M') {
 /* ===========================
    Sample bright pixels → targets
 =========================== */
-function sampleQrTargets(canvas, {
+export function sampleQrTargets(canvas, {
   worldSize = 16,
   step = 3,
   threshold = 180,
-  jitter = 0.15
+  jitter = 0.15,
+  random = Math.random
 } = {}) {
   const ctx = canvas.getContext('2d');
   const { width: W, height: H } = canvas;
@@ -70,8 +82,8 @@ function sampleQrTargets(canvas, {
       if (bright >= threshold) {
         const u = (x / (W - 1)) * 2 - 1;
         const v = (y / (H - 1)) * 2 - 1;
-        const px = (u * worldW / 2) + (Math.random() - 0.5) * jitter;
-        const py = (-v * worldH / 2) + (Math.random() - 0.5) * jitter;
+        const px = (u * worldW / 2) + (random() - 0.5) * jitter;
+        const py = (-v * worldH / 2) + (random() - 0.5) * jitter;
         const pz = 0;
         pts.push(px, py, pz);
       }
@@ -83,7 +95,7 @@ function sampleQrTargets(canvas, {
 /* ===========================
    Tiny PRNG + noise-ish wander
 =========================== */
-function randUniform(min, max) { return min + Math.random() * (max - min); }
+function randUniform(random, min, max) { return min + random() * (max - min); }
 
 function hash3(i) {
   const x = Math.sin(i * 12.9898) * 43758.5453;
@@ -93,46 +105,62 @@ function hash3(i) {
 }
 
 /* ===========================
-   Main setup
+   Live knobs (see core/params.js)
 =========================== */
-export function setupSignature(opts = {}) {
-  const {
-    link = 'https://www.instagram.com/illb3bach/', // URL to encode in the QR code
+export const SIGNATURE_PARAMS = {
+  link: { type: 'text', label: 'QR link', default: DEFAULT_BRANDING.qrLinks[0] }, // URL to encode in the QR code
+
+  worldSize: { type: 'range', label: 'QR size', min: 4, max: 40, step: 1, default: 16 }, // Width/height of the QR code in 3D space (scene units)
+
+  // ==== particle look ====
+  particleSize:    { type: 'range', label: 'Particle size', min: 0.01, max: 0.5, step: 0.01, default: 0.09 },
+  particleColor:   { type: 'color', label: 'Particles', default: 0xffffff, role: 'highlight' },
+  backgroundColor: { type: 'color', label: 'Background', default: 0x000000 },
 
-    worldSize = 16, // Width/height of the QR code in 3D space (scene units)
+  // ==== QR sampling & density (changing these resamples the QR) ====
+  sampleStep: { type: 'range', label: 'Sample step (px)', min: 1, max: 12, step: 1, default: 3 },  // lower = more particles
+  threshold:  { type: 'range', label: 'Threshold', min: 1, max: 255, step: 1, default: 180 },      // brightness cutoff for a QR pixel to become a particle
+  jitter:     { type: 'range', label: 'Jitter', min: 0, max: 1, step: 0.01, default: 0.12 },       // random offset to break up the grid (scene units)
 
-    // ==== particle look ====
-    particleSize = 0.09,        // Size of each particle in the QR code
-    backgroundColor = 0x000000, // Scene background color
+  // ==== motion dynamics ====
+  spring:         { type: 'range', label: 'Spring', min: 0.5, max: 30, step: 0.5, default: 9.0 },        // attraction towards target during assemble
+  damping:        { type: 'range', label: 'Damping', min: 0.5, max: 0.99, step: 0.01, default: 0.85 },   // velocity kept each frame (lower = more bouncy)
+  wanderStrength: { type: 'range', label: 'Wander', min: 0, max: 6, step: 0.1, default: 1.5 },           // random movement in "wander"
+  zRange:         { type: 'range', label: 'Z range', min: 0.5, max: 10, step: 0.5, default: 3.0 },       // max Z travel before pushback
 
-    // ==== QR sampling & density ====
-    sampleStep = 3,   // How many pixels we skip when sampling QR image — lower = more particles
-    threshold = 180,  // Brightness cutoff to decide if a QR pixel becomes a particle
-    jitter = 0.12,    // Random positional offset to break up perfect grid (in scene units)
+  // ==== timing ====
+  holdSeconds: { type: 'range', label: 'Hold (s)', min: 1, max: 60, step: 1, default: 10 }, // keep the QR assembled before blasting
 
-    // ==== motion dynamics ====
-    spring = 9.0,         // Attraction strength towards target position during assemble
-    damping = 0.85,       // How much velocity is reduced each frame (lower = more bouncy)
-    wanderStrength = 1.5, // Magnitude of random movement when in "wander" mode
-    zRange = 3.0,         // Max Z-axis travel range before pushback (keeps points in a slab)
+  // ==== blast tuning (for 'disperse') ====
+  blastSpeedMin: { type: 'range', label: 'Blast speed min', min: 0, max: 40, step: 0.5, default: 10.0 },
+  blastSpeedMax: { type: 'range', label: 'Blast speed max', min: 0, max: 60, step: 0.5, default: 22.0 },
+  blastDrag:     { type: 'range', label: 'Blast drag', min: 0.9, max: 1, step: 0.001, default: 0.995 }, // per-frame drag (closer to 1 = less drag)
+};
 
+/* ===========================
+   Main setup
+=========================== */
+// opts: initial values for SIGNATURE_PARAMS, plus the setup-only timings below
+// opts.random: seeded PRNG (core/random.js) for sampling jitter, timings and blasts
+// opts.detail: quality scale (core/quality.js); lower detail samples the QR coarser
+// opts.branding: event branding (core/branding.js); the link defaults to its first QR link
+export function setupSignature(opts = {}) {
+  const branding = opts.branding ?? DEFAULT_BRANDING;
+  const params = createParams(SIGNATURE_PARAMS, { link: branding.qrLinks[0], ...opts });
+  const random = opts.random ?? Math.random;
+  let detail = opts.detail ?? 1;
+  const {
     // ==== timing between state changes ====
     wanderRange = [10, 12],  // Random seconds to spend wandering before assembling
     assembleRange = [4, 8],  // Random seconds to spend moving into QR code form
-    holdSeconds = 10,        // Seconds to keep QR code assembled before blasting
     disperseRange = [4, 8],  // Random seconds to spend dispersing before wandering again
 
-    // ==== blast tuning (for 'disperse') ====
-    blastSpeedMin = 10.0,    // lower bound of initial speed
-    blastSpeedMax = 22.0,    // upper bound of initial speed
-    blastDrag = 0.995,        // per-frame drag while blasting (closer to 1 = less drag)
-
     spawnSpreadXY = 2.2,   // multiplies worldSize for initial XY placement (was ~1.2)
-    spawnSpreadZ  = 3.0,  
+    spawnSpreadZ  = 3.0,
   } = opts;
 
   const scene = new THREE.Scene();
-  scene.background = new THREE.Color(backgroundColor);
+  scene.background = new THREE.Color(params.backgroundColor);
 
   const camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 200);
   camera.position.set(0, 0, 18);
@@ -145,7 +173,8 @@ export function setupSignature(opts = {}) {
   let targets = new Float32Array(0);
   let state = 'wander'; // 'wander' | 'assemble' | 'hold' | 'disperse'
   let stateTime = 0;
-  let stateDuration = randUniform(...wanderRange);
+  let stateDuration = randUniform(random, ...wanderRange);
+  let elapsed = 0; // scene time from animate's delta, so fixed-step export matches live
   let geometry, points, positions, velocities, targetIndexMap;
 
     function createParticles() {
@@ -155,9 +184,9 @@ export function setupSignature(opts = {}) {
     targetIndexMap = new Uint32Array(N);
 
     // bigger initial volume
-    const spawnHalfW = (worldSize * spawnSpreadXY) * 0.5; // XY half-extent
-    const spawnHalfH = (worldSize * spawnSpreadXY) * 0.5;
-    const spawnHalfZ = (zRange   * spawnSpreadZ);         // Z half-extent (a bit deeper)
+    const spawnHalfW = (params.worldSize * spawnSpreadXY) * 0.5; // XY half-extent
+    const spawnHalfH = (params.worldSize * spawnSpreadXY) * 0.5;
+    const spawnHalfZ = (params.zRange   * spawnSpreadZ);         // Z half-extent (a bit deeper)
 
     for (let i = 0; i < N; i++) {
         const j = i * 3;
@@ -169,9 +198,9 @@ export function setupSignature(opts = {}) {
         positions[j + 2] = (r.z - 0.5) * 2 * spawnHalfZ;
 
         // light initial motion so it feels alive
-        velocities[j + 0] = (Math.random() - 0.5) * 0.15;
-        velocities[j + 1] = (Math.random() - 0.5) * 0.15;
-        velocities[j + 2] = (Math.random() - 0.5) * 0.15;
+        velocities[j + 0] = (random() - 0.5) * 0.15;
+        velocities[j + 1] = (random() - 0.5) * 0.15;
+        velocities[j + 2] = (random() - 0.5) * 0.15;
 
         targetIndexMap[i] = i;
     }
@@ -180,8 +209,8 @@ export function setupSignature(opts = {}) {
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
 
     const material = new THREE.PointsMaterial({
-        size: particleSize,
-        color: 0xffffff,
+        size: params.particleSize,
+        color: params.particleColor,
         sizeAttenuation: true,
         transparent: true,
         opacity: 1.0
@@ -192,14 +221,18 @@ export function setupSignature(opts = {}) {
     }
 
 
+  // Particle count goes with 1/step², so the step grows with 1/sqrt(detail)
+  const sampleStep = () => Math.max(params.sampleStep, Math.round(params.sampleStep / Math.sqrt(detail)));
+
   async function rebuildTargetsFor(linkText) {
     const qrCanvas = await makeQrCanvas(linkText, 512, 'M');
     if (disposed) return;
     targets = sampleQrTargets(qrCanvas, {
-      worldSize,
-      step: sampleStep,
-      threshold,
-      jitter
+      worldSize: params.worldSize,
+      step: sampleStep(),
+      threshold: params.threshold,
+      jitter: params.jitter,
+      random
     });
     if (points) {
       scene.remove(points);
@@ -210,29 +243,41 @@ export function setupSignature(opts = {}) {
     jumpToState('wander');
   }
 
+  // A failed rebuild (no QR library, a link too long for a QR code) keeps
+  // the particles on screen. A missing library is already reported; other
+  // errors are warned about once each.
+  const warned = new Set();
+  function rebuild(linkText) {
+    return rebuildTargetsFor(linkText).catch((err) => {
+      if (!window.QRCode || warned.has(err.message)) return;
+      warned.add(err.message);
+      console.warn('Signature QR failed:', err.message);
+    });
+  }
+
   function jumpToState(next) {
     state = next;
     stateTime = 0;
 
     if (state === 'wander') {
-      stateDuration = randUniform(...wanderRange);
+      stateDuration = randUniform(random, ...wanderRange);
 
     } else if (state === 'assemble') {
-      stateDuration = randUniform(...assembleRange);
+      stateDuration = randUniform(random, ...assembleRange);
 
     } else if (state === 'hold') {
-      stateDuration = holdSeconds;
+      stateDuration = params.holdSeconds;
 
     } else if (state === 'disperse') {
-      stateDuration = randUniform(...disperseRange);
+      stateDuration = randUniform(random, ...disperseRange);
 
       // give every particle a fresh random velocity (uniform over sphere)
       const N = targets.length / 3;
       for (let i = 0; i < N; i++) {
         const j = i * 3;
 
-        const u = Math.random();
-        const v = Math.random();
+        const u = random();
+        const v = random();
         const theta = 2 * Math.PI * u;
         const z = 2 * v - 1;              // cos(phi) in [-1,1]
         const r = Math.sqrt(1 - z * z);   // sin(phi)
@@ -240,7 +285,7 @@ export function setupSignature(opts = {}) {
         const diry = r * Math.sin(theta);
         const dirz = z;
 
-        const speed = randUniform(blastSpeedMin, blastSpeedMax);
+        const speed = randUniform(random, params.blastSpeedMin, params.blastSpeedMax);
         velocities[j + 0] = dirx * speed;
         velocities[j + 1] = diry * speed;
         velocities[j + 2] = dirz * speed;
@@ -261,6 +306,7 @@ export function setupSignature(opts = {}) {
   function stepParticles(dt) {
     if (!points) return;
     const N = targets.length / 3;
+    const { spring, damping, wanderStrength, zRange, blastDrag } = params;
 
     for (let i = 0; i < N; i++) {
       const j = i * 3;
@@ -292,7 +338,7 @@ export function setupSignature(opts = {}) {
         vz *= dragPow;
 
       } else { // 'wander'
-        const r = hash3(i * 17 + Math.floor((performance.now() * 0.001 + i) % 1000));
+        const r = hash3(i * 17 + Math.floor((elapsed + i) % 1000));
         vx = vx * 0.98 + (r.x - 0.5) * wanderStrength * dt;
         vy = vy * 0.98 + (r.y - 0.5) * wanderStrength * dt;
         vz = vz * 0.98 + (r.z - 0.5) * (wanderStrength * 0.6) * dt;
@@ -317,11 +363,24 @@ export function setupSignature(opts = {}) {
     geometry.attributes.position.needsUpdate = true;
   }
 
-  let lastT = performance.now() * 0.001;
-  function animate() {
-    const t = performance.now() * 0.001;
-    const dt = Math.min(0.05, Math.max(0.0005, t - lastT));
-    lastT = t;
+  // Knobs that need the QR resampled when they change
+  const samplingKey = () =>
+    [params.link, params.worldSize, sampleStep(), params.threshold, params.jitter].join('|');
+  let sampledWith = samplingKey();
+
+  function animate(delta = 1 / 60) {
+    const dt = Math.min(0.05, Math.max(0.0005, delta));
+    elapsed += dt;
+
+    if (samplingKey() !== sampledWith) {
+      sampledWith = samplingKey();
+      rebuild(params.link);
+    }
+    scene.background.setHex(params.backgroundColor);
+    if (points) {
+      points.material.size = params.particleSize;
+      points.material.color.setHex(params.particleColor);
+    }
 
     advanceState(dt);
     stepParticles(dt);
@@ -336,20 +395,29 @@ export function setupSignature(opts = {}) {
     }
   }
 
-  function onResize(w, h) {
-    camera.aspect = w / h;
-    camera.updateProjectionMatrix();
+  // Picked up by the samplingKey check on the next frame
+  function quality(level) {
+    detail = level;
+  }
+
+  function setLink(newLink) {
+    params.link = newLink;
+    sampledWith = samplingKey();
+    return rebuild(newLink);
   }
 
-  rebuildTargetsFor(link);
+  // First QR sampled
+  const ready = rebuild(params.link);
 
   return {
     scene,
     camera,
+    ready,
     animate,
+    params,
     dispose,
-    onResize,
-    setLink: (newLink) => rebuildTargetsFor(newLink),
+    quality,
+    setLink,
     jumpToState
   };
 }
@@ -0,0 +1,375 @@
+// walkout.js
+// Fighter walk-out: each bout of the fight card (core/fightCard.js) as two
+// 3D name cards that slide in from their corners, with a VS of particles
+// gathering between them. The bout knob (N / Shift+N, /bout) steps through
+// the card: the pair on screen slides out, the VS scatters, the next pair
+// comes in.
+import * as THREE from 'three';
+import { FontLoader } from 'three/addons/loaders/FontLoader.js';
+import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
+import { SILENT_LEVELS } from '../core/audio.js';
+import { FREE_TEMPO } from '../core/tempo.js';
+import { createParams } from '../core/params.js';
+import { createResourceTracker } from '../core/dispose.js';
+import { reportAssetFailure } from '../core/assets.js';
+import { DEFAULT_FIGHT_CARD } from '../core/fightCard.js';
+import { FONT_URL } from './qfnScene1.js';
+import { sampleCanvasToPositions, makeTextCanvas } from './qfnScene5.js';
+
+const MAX_BOUTS = 40; // the bout knob's range; the card's own length caps it too
+
+// Live knobs (see core/params.js)
+export const WALKOUT_PARAMS = {
+  bout:         { type: 'range', label: 'Bout', min: 1, max: MAX_BOUTS, step: 1, default: 1 },
+  sway:         { type: 'range', label: 'Card sway', min: 0, max: 1, step: 0.05, default: 0.3 },
+  photos:       { type: 'bool', label: 'Photos', default: true },
+  vsColor:      { type: 'color', label: 'VS', default: 0xffffff, role: 'highlight' },
+  particleSize: { type: 'range', label: 'VS particle size', min: 0.05, max: 1, step: 0.05, default: 0.35 },
+};
+
+// Layout in world units; the camera backs off until CONTENT_WIDTH fits
+const CONTENT_WIDTH = 120;
+const CARD_X = 34;          // card centres, left and right of the VS
+const OFFSTAGE_X = 110;     // where cards slide in from / out to
+const NAME_WIDTH = 38;      // names wider than this are scaled down
+const PHOTO_SIZE = 18;
+const SCATTER_RADIUS = 60;  // VS particles' spread when not gathered
+
+// Timeline of one bout, seconds
+const SLIDE_IN = 1.2;
+const VS_DELAY = 0.8;       // after the cards start moving
+const VS_GATHER = 1.4;
+const SLIDE_OUT = 0.7;
+
+const easeOutCubic = (x) => 1 - Math.pow(1 - x, 3);
+const clamp01 = (x) => Math.min(1, Math.max(0, x));
+
+/* ===========================
+   Card pieces
+=========================== */
+// Canvas lines (font, text), each squeezed to fit the width
+function makeLinesTexture(lines, { w = 1024, h = 256 } = {}) {
+  const cvs = document.createElement('canvas');
+  cvs.width = w;
+  cvs.height = h;
+  const ctx = cvs.getContext('2d');
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#ffffff';
+  const lineHeight = h / Math.max(1, lines.length);
+  lines.forEach(([font, text], i) => {
+    ctx.font = font;
+    const squeeze = Math.min(1, (w * 0.96) / ctx.measureText(text).width);
+    ctx.setTransform(squeeze, 0, 0, 1, w / 2, lineHeight * (i + 0.5));
+    ctx.fillText(text, 0, 0);
+  });
+  return new THREE.CanvasTexture(cvs);
+}
+
+function textPlane(texture, width, height) {
+  return new THREE.Mesh(
+    new THREE.PlaneGeometry(width, height),
+    new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false })
+  );
+}
+
+// Nickname, then pronouns · record · hometown; the name too when there's no
+// font to extrude it with
+function infoLines(fighter, withName) {
+  const lines = [];
+  if (withName) lines.push(['bold 84px system-ui, sans-serif', fighter.name.toUpperCase()]);
+  if (fighter.nickname) lines.push(['italic 64px system-ui, sans-serif', `“${fighter.nickname}”`]);
+  const details = [fighter.pronouns, fighter.record, fighter.hometown].filter(Boolean).join('  ·  ');
+  if (details) lines.push(['44px system-ui, sans-serif', details]);
+  return lines;
+}
+
+function nameMesh(name, corner, font, curveSegments) {
+  const geometry = new TextGeometry(name.toUpperCase(), {
+    font,
+    size: 5,
+    height: 1.2, // r159 TextGeometry reads height, not depth
+    curveSegments,
+    bevelEnabled: true,
+    bevelThickness: 0.3,
+    bevelSize: 0.15,
+    bevelSegments: 2,
+  });
+  geometry.center();
+  geometry.computeBoundingBox();
+  const { min, max } = geometry.boundingBox;
+  const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+    color: 0xffffff,
+    emissive: corner,
+    emissiveIntensity: 0.35,
+    metalness: 0.3,
+    roughness: 0.4,
+  }));
+  mesh.scale.setScalar(Math.min(1, NAME_WIDTH / (max.x - min.x)));
+  return mesh;
+}
+
+// Framed photo above the name, shown once it's in; loaded resolves then
+// (or when it failed)
+function photoMesh(url, corner) {
+  const frame = new THREE.Mesh(
+    new THREE.PlaneGeometry(PHOTO_SIZE + 0.8, PHOTO_SIZE + 0.8),
+    new THREE.MeshBasicMaterial({ color: corner })
+  );
+  const material = new THREE.MeshBasicMaterial({ color: 0xffffff });
+  const photo = new THREE.Mesh(new THREE.PlaneGeometry(PHOTO_SIZE, PHOTO_SIZE), material);
+  photo.position.z = 0.05;
+  frame.add(photo);
+  frame.visible = false;
+  const loaded = new Promise((resolve) => {
+    material.map = new THREE.TextureLoader().load(url, (texture) => {
+      texture.colorSpace = THREE.SRGBColorSpace;
+      const aspect = texture.image.width / texture.image.height || 1;
+      frame.scale.x = aspect; // keep the height, follow the picture's shape
+      material.needsUpdate = true;
+      frame.userData.loaded = true;
+      resolve();
+    }, undefined, (err) => {
+      reportAssetFailure(url, err);
+      resolve();
+    });
+  });
+  return { mesh: frame, loaded };
+}
+
+// One fighter's card, centred on its own origin
+function buildCard(fighter, { font, curveSegments }) {
+  const group = new THREE.Group();
+
+  const glow = new THREE.Mesh(
+    new THREE.PlaneGeometry(NAME_WIDTH + 8, 46),
+    new THREE.MeshBasicMaterial({
+      color: fighter.corner,
+      transparent: true,
+      opacity: 0.16,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    })
+  );
+  glow.position.set(0, 4, -3);
+  group.add(glow);
+
+  const stripe = new THREE.Mesh(
+    new THREE.PlaneGeometry(NAME_WIDTH + 8, 0.6),
+    new THREE.MeshBasicMaterial({ color: fighter.corner })
+  );
+  stripe.position.set(0, -4, -1);
+  group.add(stripe);
+
+  if (font) group.add(nameMesh(fighter.name, fighter.corner, font, curveSegments));
+
+  const lines = infoLines(fighter, !font);
+  if (lines.length) {
+    const info = textPlane(makeLinesTexture(lines), NAME_WIDTH, NAME_WIDTH / 4);
+    info.position.y = font ? -10 : -4;
+    group.add(info);
+  }
+
+  let photo = null;
+  let loaded = Promise.resolve();
+  if (fighter.photo) {
+    ({ mesh: photo, loaded } = photoMesh(fighter.photo, fighter.corner));
+    photo.position.y = 15;
+    group.add(photo);
+  }
+  return { group, photo, loaded };
+}
+
+/* ===========================
+   VS particles
+=========================== */
+function createVsParticles({ detail, random }) {
+  const canvas = makeTextCanvas('VS', 'bold 220px "Arial Black", Impact, system-ui, sans-serif', { w: 600, h: 300 });
+  const targets = sampleCanvasToPositions(canvas, {
+    worldWidth: 20,
+    alphaThreshold: 160,
+    step: Math.max(3, Math.round(4 / Math.sqrt(detail))), // count goes with 1/step²
+    jitterFactor: 0.6,
+    keepFraction: 1,
+    random,
+  });
+  const count = targets.length / 3;
+  const scatter = new Float32Array(targets.length);
+  const delays = new Float32Array(count); // staggers the gather, 0..0.4
+  for (let i = 0; i < count; i++) {
+    // uniform in a sphere shell, so nothing starts right on its target
+    const theta = 2 * Math.PI * random();
+    const z = 2 * random() - 1;
+    const r = SCATTER_RADIUS * (0.5 + 0.5 * random());
+    const s = Math.sqrt(1 - z * z);
+    scatter[i * 3] = r * s * Math.cos(theta);
+    scatter[i * 3 + 1] = r * s * Math.sin(theta);
+    scatter[i * 3 + 2] = r * z;
+    delays[i] = random() * 0.4;
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(scatter.slice(), 3));
+  const material = new THREE.PointsMaterial({
+    size: 0.35,
+    sizeAttenuation: true,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+  const points = new THREE.Points(geometry, material);
+
+  // gather 0 = scattered, 1 = spelling VS
+  function update(gather, time) {
+    const pos = geometry.attributes.position.array;
+    for (let i = 0; i < count; i++) {
+      const k = easeOutCubic(clamp01((gather - delays[i]) / 0.6));
+      for (let a = 0; a < 3; a++) {
+        const j = i * 3 + a;
+        pos[j] = scatter[j] + (targets[j] - scatter[j]) * k;
+      }
+      pos[i * 3 + 2] += 0.15 * Math.sin(time * 2 + i); // shimmer
+    }
+    geometry.attributes.position.needsUpdate = true;
+  }
+
+  return { points, update };
+}
+
+/* ===========================
+   Main setup
+=========================== */
+// opts: initial values for WALKOUT_PARAMS
+// opts.fightCard: the card (core/fightCard.js); a placeholder bout without one
+// opts.random: seeded PRNG (core/random.js) for the VS particles
+// opts.detail: quality scale (core/quality.js); lower detail samples the VS coarser
+export function setupWalkout(opts = {}) {
+  const params = createParams(WALKOUT_PARAMS, opts);
+  const card = opts.fightCard ?? DEFAULT_FIGHT_CARD;
+  const random = opts.random ?? Math.random;
+  const detail = opts.detail ?? 1;
+  const resources = opts.resources ?? createResourceTracker();
+  const curveSegments = detail < 0.5 ? 2 : 4;
+
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(50, window.innerWidth / window.innerHeight, 0.1, 500);
+  camera.position.set(0, 0, 70);
+
+  scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+  const key = new THREE.DirectionalLight(0xffffff, 2);
+  key.position.set(0, 20, 60);
+  scene.add(key);
+
+  const vs = createVsParticles({ detail, random });
+  scene.add(vs.points);
+
+  let font = null;
+  let disposed = false;
+  let cards = null;   // { left, right, title }, the bout on screen
+  let shown = -1;     // its index in card.bouts
+  let phase = 'in';   // 'in' (incl. holding) | 'out'
+  let phaseTime = 0;
+  let elapsed = 0;
+  let gather = 0;
+  let kick = 0;       // beat flash on the VS, decays
+
+  const boutIndex = () => Math.min(card.bouts.length, Math.max(1, params.bout)) - 1;
+
+  function boutTitle(i) {
+    const { title } = card.bouts[i];
+    return (title ?? `Bout ${i + 1} of ${card.bouts.length}`).toUpperCase();
+  }
+
+  // Cards for bout i; resolves once their photos are in
+  function showBout(i) {
+    if (cards) resources.release(removeCards());
+    const [a, b] = card.bouts[i].fighters;
+    const left = buildCard(a, { font, curveSegments });
+    const right = buildCard(b, { font, curveSegments });
+    left.group.position.x = -OFFSTAGE_X;
+    right.group.position.x = OFFSTAGE_X;
+    const title = textPlane(makeLinesTexture([['bold 96px system-ui, sans-serif', boutTitle(i)]], { w: 1024, h: 128 }), 48, 6);
+    title.position.y = 27;
+    title.material.opacity = 0;
+    scene.add(left.group, right.group, title);
+    cards = { left, right, title };
+    shown = i;
+    phase = 'in';
+    phaseTime = 0;
+    return Promise.all([left.loaded, right.loaded]);
+  }
+
+  function removeCards() {
+    const { left, right, title } = cards;
+    scene.remove(left.group, right.group, title);
+    cards = null;
+    return [left.group, right.group, title];
+  }
+
+  // Card x and tilt for this moment of the timeline; side -1 left, 1 right
+  function placeCard({ group }, side) {
+    const slide = phase === 'in'
+      ? easeOutCubic(clamp01(phaseTime / SLIDE_IN))
+      : 1 - clamp01(phaseTime / SLIDE_OUT) ** 2;
+    const t = elapsed + (side > 0 ? 1.7 : 0);
+    group.position.x = side * (OFFSTAGE_X + (CARD_X - OFFSTAGE_X) * slide);
+    group.position.y = params.sway * 0.8 * Math.sin(t * 0.9);
+    group.rotation.y = -side * 0.18 + params.sway * 0.08 * Math.sin(t * 0.7);
+  }
+
+  function animate(delta, levels = SILENT_LEVELS, tempo = FREE_TEMPO) {
+    elapsed += delta;
+    phaseTime += delta;
+
+    // A new bout: slide the pair out, then build the next
+    if (cards && boutIndex() !== shown && phase === 'in') {
+      phase = 'out';
+      phaseTime = 0;
+    }
+    if (cards && phase === 'out' && phaseTime >= SLIDE_OUT) showBout(boutIndex());
+
+    if (cards) {
+      placeCard(cards.left, -1);
+      placeCard(cards.right, 1);
+      for (const { photo } of [cards.left, cards.right]) {
+        if (photo) photo.visible = params.photos && photo.userData.loaded;
+      }
+      cards.title.material.opacity = phase === 'in'
+        ? clamp01((phaseTime - VS_DELAY) / VS_GATHER)
+        : 1 - clamp01(phaseTime / SLIDE_OUT);
+    }
+
+    const target = cards && phase === 'in' ? clamp01((phaseTime - VS_DELAY) / VS_GATHER) : 0;
+    gather += (target - gather) * (1 - Math.exp(-delta * (phase === 'out' ? 6 : 3)));
+    vs.update(gather, elapsed);
+
+    if (levels.beat || tempo.onBeat) kick = 1;
+    kick *= Math.exp(-delta * 6);
+    vs.points.material.size = params.particleSize * (1 + 0.6 * kick + 0.4 * levels.bass);
+    vs.points.material.color.setHex(params.vsColor);
+  }
+
+  // Back the camera off until the whole layout fits a narrow output
+  function resize(width, height) {
+    const halfFov = THREE.MathUtils.degToRad(camera.fov / 2);
+    camera.position.z = Math.max(70, CONTENT_WIDTH / 2 / (Math.tan(halfFov) * (width / height)));
+  }
+  resize(window.innerWidth, window.innerHeight);
+
+  function dispose() {
+    disposed = true;
+  }
+
+  // Font in (or failed, the names then go on the info plane), first bout's photos in
+  const ready = new Promise((resolve) => {
+    new FontLoader().load(FONT_URL, (loaded) => {
+      font = loaded;
+      resolve();
+    }, undefined, (err) => {
+      reportAssetFailure(FONT_URL, err);
+      resolve();
+    });
+  }).then(() => (disposed ? null : showBout(boutIndex())));
+
+  return { scene, camera, ready, animate, params, resize, dispose };
+}
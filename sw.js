@@ -0,0 +1,49 @@
+// sw.js
+// Service worker so the show boots and runs with the network unplugged.
+// Install precaches every file listed in assets.json (keep that list in step
+// with new modules/assets). Requests go to the network first so edits show up
+// on reload, and fall back to the cache when the network is gone; anything
+// fetched successfully refreshes its cached copy.
+
+const CACHE_NAME = 'qfn-v1';
+const MANIFEST_URL = './assets.json';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    const manifest = await (await fetch(MANIFEST_URL, { cache: 'no-store' })).json();
+    await cache.addAll([MANIFEST_URL, ...manifest.files]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key !== CACHE_NAME) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Pages carry show state in the query string (?scene=...); cache them once
+  const key = request.mode === 'navigate' ? url.origin + url.pathname : request;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+      const response = await fetch(request);
+      if (response.status === 200) cache.put(key, response.clone()); // not 206 range replies
+      return response;
+    } catch (err) {
+      const cached = await cache.match(key, { ignoreSearch: true });
+      if (cached) return cached;
+      throw err;
+    }
+  })());
+});
@@ -0,0 +1,16 @@
+// Fight-card CSV import (core/fightCard.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readFightCardCsv } from '../core/fightCard.js';
+
+test('readFightCardCsv pairs fighters by bout number', () => {
+  const card = readFightCardCsv('bout,name,hometown\n2,A,"Detroit, MI"\n1,C,\n2,B,\n1,D,\n');
+  assert.equal(card.bouts.length, 2);
+  assert.deepEqual(card.bouts[0].fighters.map(f => f.name), ['A', 'B']);
+});
+
+test('readFightCardCsv keeps commas inside quoted fields', () => {
+  const card = readFightCardCsv('bout,name,hometown\n1,A,"Detroit, MI"\n1,B,\n');
+  assert.equal(card.bouts[0].fighters[0].hometown, 'Detroit, MI');
+});
@@ -0,0 +1,289 @@
+// harness.js
+// Just enough browser for the scenes to run under Node. Importing it installs:
+//   - window / document stubs: elements that hold style and children, and
+//     <canvas> elements with a small 2D context (solid hex fills, clears,
+//     canvas-to-canvas drawImage and getImageData are real; text and
+//     gradients draw nothing)
+//   - a stand-in for the QR library (vendor/qrcodejs), 'loaded' by its
+//     <script>; other scripts and <img> loads fail, as if offline
+//   - fetch() of the repo's own files, which three's loaders resolve against
+//     the repo root the way the page does
+// and exports createMockRenderer(), a stand-in for THREE.WebGLRenderer.
+import { readFile } from 'node:fs/promises';
+import * as THREE from 'three';
+
+const ROOT = new URL('../', import.meta.url);
+
+// ---------------------------------------------------------
+// Canvas
+// ---------------------------------------------------------
+// '#rgb' / '#rrggbb' -> [r, g, b, 255]; null for anything else
+function parseFill(style) {
+  const hex = typeof style === 'string' && style.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i)?.[1];
+  if (!hex) return null;
+  const full = hex.length === 3 ? [...hex].map(c => c + c).join('') : hex;
+  return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16)).concat(255);
+}
+
+function createContext2d(canvas) {
+  let pixels = new Uint8ClampedArray(0);
+  let size = '';
+
+  // The canvas may have been resized since the last call
+  function buffer() {
+    if (size !== `${canvas.width}x${canvas.height}`) {
+      size = `${canvas.width}x${canvas.height}`;
+      pixels = new Uint8ClampedArray(canvas.width * canvas.height * 4);
+    }
+    return pixels;
+  }
+
+  function paint(x, y, w, h, rgba) {
+    const data = buffer();
+    const x0 = Math.max(0, Math.floor(x)), x1 = Math.min(canvas.width, Math.floor(x + w));
+    const y0 = Math.max(0, Math.floor(y)), y1 = Math.min(canvas.height, Math.floor(y + h));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) data.set(rgba, (py * canvas.width + px) * 4);
+    }
+  }
+
+  const noop = () => {};
+  return {
+    canvas,
+    fillStyle: '#000',
+    strokeStyle: '#000',
+    font: '10px sans-serif',
+    fillRect(x, y, w, h) {
+      const rgba = parseFill(this.fillStyle);
+      if (rgba) paint(x, y, w, h, rgba);
+    },
+    clearRect(x, y, w, h) {
+      paint(x, y, w, h, [0, 0, 0, 0]);
+    },
+    // Canvas sources only, unscaled
+    drawImage(source, dx, dy) {
+      if (!source.getContext) return;
+      const { data } = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+      const into = buffer();
+      for (let row = 0; row < source.height; row++) {
+        const y = dy + row;
+        if (y < 0 || y >= canvas.height) continue;
+        for (let col = 0; col < source.width; col++) {
+          const x = dx + col;
+          if (x >= 0 && x < canvas.width) into.set(data.subarray((row * source.width + col) * 4, (row * source.width + col + 1) * 4), (y * canvas.width + x) * 4);
+        }
+      }
+    },
+    getImageData(x, y, w, h) {
+      const data = buffer();
+      const out = new Uint8ClampedArray(w * h * 4);
+      for (let row = 0; row < h; row++) {
+        const from = ((y + row) * canvas.width + x) * 4;
+        out.set(data.subarray(from, from + w * 4), row * w * 4);
+      }
+      return { width: w, height: h, data: out };
+    },
+    // Roughly a monospace face: 0.6 em per character
+    measureText(text) {
+      const px = Number(this.font.match(/(\d+(?:\.\d+)?)px/)?.[1] ?? 10);
+      return { width: String(text).length * px * 0.6 };
+    },
+    createRadialGradient: () => ({ addColorStop: noop }),
+    createLinearGradient: () => ({ addColorStop: noop }),
+    fillText: noop,
+    strokeText: noop,
+    setTransform: noop,
+    resetTransform: noop,
+    save: noop,
+    restore: noop,
+    translate: noop,
+    scale: noop,
+    rotate: noop,
+    beginPath: noop,
+    closePath: noop,
+    moveTo: noop,
+    lineTo: noop,
+    arc: noop,
+    rect: noop,
+    fill: noop,
+    stroke: noop,
+  };
+}
+
+// ---------------------------------------------------------
+// Elements
+// ---------------------------------------------------------
+function createElement(tag) {
+  const listeners = {};
+  const el = {
+    tagName: tag.toUpperCase(),
+    style: {},
+    children: [],
+    textContent: '',
+    appendChild(child) {
+      el.children.push(child);
+      if (child.tagName === 'SCRIPT') loadScript(child);
+      return child;
+    },
+    removeChild(child) {
+      el.children = el.children.filter(c => c !== child);
+      return child;
+    },
+    remove() {},
+    setAttribute() {},
+    querySelector: (tag) => el.children.find(c => c.tagName === tag.toUpperCase()) ?? null,
+    addEventListener(type, fn) {
+      (listeners[type] ??= []).push(fn);
+    },
+    removeEventListener(type, fn) {
+      listeners[type] = (listeners[type] ?? []).filter(f => f !== fn);
+    },
+    dispatchEvent(event) {
+      for (const fn of listeners[event.type] ?? []) fn(event);
+      el[`on${event.type}`]?.(event);
+    },
+  };
+  if (tag === 'canvas') {
+    let context = null;
+    Object.assign(el, { width: 300, height: 150 });
+    el.getContext = (type) => (type === '2d' ? (context ??= createContext2d(el)) : null);
+  }
+  if (tag === 'img') {
+    let src = '';
+    Object.defineProperty(el, 'src', {
+      get: () => src,
+      set: (value) => { src = value; failLater(el); },
+    });
+  }
+  return el;
+}
+
+function failLater(el) {
+  setTimeout(() => el.dispatchEvent({ type: 'error', target: el }));
+}
+
+// ---------------------------------------------------------
+// QR library
+// ---------------------------------------------------------
+// Same call shape as qrcodejs: draws a canvas into `holder`, colorLight
+// ground with colorDark modules. The modules are a 25×25 pattern hashed
+// from the text (so different links sample differently), not a real code.
+// Like the library, text past its capacity throws.
+const QR_MODULES = 25;
+const QR_CAPACITY = 1000;
+
+class QRCodeStub {
+  static CorrectLevel = { L: 1, M: 0, Q: 3, H: 2 };
+
+  constructor(holder, { text, width = 256, height = 256, colorDark = '#000000', colorLight = '#ffffff' }) {
+    if (text.length > QR_CAPACITY) throw new Error('Too long data');
+    let hash = 2166136261;
+    for (const c of text) hash = Math.imul(hash ^ c.charCodeAt(0), 16777619);
+    const canvas = createElement('canvas');
+    Object.assign(canvas, { width, height });
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = colorLight;
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = colorDark;
+    const cell = width / QR_MODULES;
+    for (let i = 0; i < QR_MODULES * QR_MODULES; i++) {
+      hash = Math.imul(hash ^ (hash >>> 15), 2246822507) ^ i;
+      if (hash & 4) ctx.fillRect((i % QR_MODULES) * cell, Math.floor(i / QR_MODULES) * cell, cell, cell);
+    }
+    holder.appendChild(canvas);
+  }
+}
+
+function loadScript(script) {
+  if (!script.src.endsWith('/qrcodejs/qrcode.min.js')) return failLater(script);
+  setTimeout(() => {
+    window.QRCode = QRCodeStub;
+    script.dispatchEvent({ type: 'load', target: script });
+  });
+}
+
+globalThis.window = globalThis;
+Object.assign(globalThis, { innerWidth: 640, innerHeight: 360, devicePixelRatio: 1 });
+globalThis.document = {
+  createElement,
+  createElementNS: (ns, tag) => createElement(tag),
+  head: createElement('head'),
+  body: createElement('body'),
+  documentElement: createElement('html'),
+};
+
+// ---------------------------------------------------------
+// Files
+// ---------------------------------------------------------
+THREE.DefaultLoadingManager.setURLModifier(url => new URL(url, ROOT).href);
+
+// FileLoader reports download progress with these
+globalThis.ProgressEvent ??= class ProgressEvent extends Event {
+  constructor(type, { lengthComputable = false, loaded = 0, total = 0 } = {}) {
+    super(type);
+    Object.assign(this, { lengthComputable, loaded, total });
+  }
+};
+
+const webFetch = globalThis.fetch;
+globalThis.fetch = async (input, options) => {
+  const url = new URL(input.url ?? input, ROOT);
+  if (url.protocol !== 'file:') return webFetch(input, options);
+  try {
+    return new Response(await readFile(url), { status: 200 });
+  } catch {
+    return new Response(null, { status: 404 });
+  }
+};
+
+// ---------------------------------------------------------
+// Renderer
+// ---------------------------------------------------------
+// Draws nothing, but keeps renderer.info.memory the way WebGLRenderer does,
+// plus materials: a geometry, material or texture counts from the first
+// render that uses it until its dispose(). Textures count once they have
+// something to upload.
+export function createMockRenderer() {
+  const live = new Set();
+  const memory = { geometries: 0, materials: 0, textures: 0 };
+
+  function use(resource, key) {
+    if (live.has(resource)) return;
+    live.add(resource);
+    memory[key]++;
+    resource.addEventListener('dispose', function onDispose() {
+      resource.removeEventListener('dispose', onDispose);
+      live.delete(resource);
+      memory[key]--;
+    });
+  }
+
+  function useTexture(value) {
+    if (value?.isTexture && value.version > 0) use(value, 'textures');
+  }
+
+  function useMaterial(material) {
+    use(material, 'materials');
+    for (const value of Object.values(material)) useTexture(value);
+    for (const uniform of Object.values(material.uniforms ?? {})) {
+      const { value } = uniform ?? {};
+      if (Array.isArray(value)) value.forEach(useTexture);
+      else useTexture(value);
+    }
+  }
+
+  return {
+    info: { memory, render: { calls: 0, triangles: 0 }, reset() {} },
+    render(scene, camera) {
+      camera.updateMatrixWorld();
+      scene.updateMatrixWorld();
+      scene.traverseVisible((obj) => {
+        if (obj.geometry) use(obj.geometry, 'geometries');
+        [obj.material].flat().filter(Boolean).forEach(useMaterial);
+      });
+      useTexture(scene.background);
+    },
+    setSize() {},
+    dispose() {},
+  };
+}
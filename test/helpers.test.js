@@ -0,0 +1,49 @@
+// Pure scene helpers: the city grid, the corridor's curve and QR sampling
+import './harness.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRandom } from '../core/random.js';
+import { pickFreeCellNearAngle, getBuildingHeight } from '../scenes/qfnScene3.js';
+import { offsetAt } from '../scenes/qfnScene4.js';
+import { sampleQrTargets } from '../scenes/signature.js';
+
+test('pickFreeCellNearAngle returns a free cell, and null once the grid is full', () => {
+  const random = createRandom('test:city');
+  const occupied = new Set(['25,25']);
+  const cell = pickFreeCellNearAngle(0.5, 10, 40, 100, 50, occupied, random);
+  assert.ok(cell);
+  assert.ok(!occupied.has(cell.key));
+
+  const full = new Set();
+  for (let i = 0; i < 4; i++) for (let j = 0; j < 4; j++) full.add(`${i},${j}`);
+  assert.equal(pickFreeCellNearAngle(0, 0, 10, 8, 4, full, random), null);
+});
+
+test('getBuildingHeight stays within 6..60 across the plane', () => {
+  for (const [x, z] of [[0, 0], [50, 50], [-50, 20], [13, -7]]) {
+    const h = getBuildingHeight(x, z, 100);
+    assert.ok(h >= 6 && h <= 60, `getBuildingHeight(${x}, ${z}) = ${h}`);
+  }
+});
+
+test('offsetAt is finite and bounded by the sum of its amplitudes', () => {
+  for (let z = -500; z <= 500; z += 37) {
+    const x = offsetAt(z);
+    assert.ok(Number.isFinite(x) && Math.abs(x) <= 3, `offsetAt(${z}) = ${x}`);
+  }
+});
+
+test('sampleQrTargets puts a white square on black inside the world square', () => {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 64;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, 64, 64);
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(16, 16, 32, 32);
+
+  const pts = sampleQrTargets(canvas, { worldSize: 16, step: 4, jitter: 0, random: createRandom('test:qr') });
+  assert.equal(pts.length, 8 * 8 * 3); // one point per 4 px inside the 32 px square
+  assert.ok(pts.every(v => Math.abs(v) <= 8), 'point outside worldSize');
+});
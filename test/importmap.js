@@ -0,0 +1,23 @@
+// importmap.js
+// Module resolve hook for Node: bare specifiers ('three', 'three/addons/...')
+// resolve through the importmap in index.html, so the tests load the same
+// vendored files the browser does. Registered by test/register.js.
+import { readFileSync } from 'node:fs';
+
+const ROOT = new URL('../', import.meta.url);
+const html = readFileSync(new URL('index.html', ROOT), 'utf8');
+const { imports } = JSON.parse(html.match(/<script type="importmap">([\s\S]*?)<\/script>/)[1]);
+
+// Exact keys first, then the longest matching 'prefix/' key
+function mapped(specifier) {
+  if (imports[specifier]) return new URL(imports[specifier], ROOT).href;
+  const prefix = Object.keys(imports)
+    .filter(key => key.endsWith('/') && specifier.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? new URL(imports[prefix] + specifier.slice(prefix.length), ROOT).href : null;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  const url = mapped(specifier);
+  return url ? { url, shortCircuit: true } : nextResolve(specifier, context);
+}
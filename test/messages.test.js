@@ -0,0 +1,69 @@
+// Live shout-out moderation (core/messages.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MESSAGE_MAX_LENGTH, MESSAGE_SECONDS, cleanMessage, createMessageQueue } from '../core/messages.js';
+
+function queue() {
+  const shown = [];
+  const messages = createMessageQueue({ onLive: (message) => shown.push(message?.text ?? null) });
+  return { messages, shown };
+}
+
+test('cleanMessage upper-cases, collapses spaces and caps the length', () => {
+  assert.equal(cleanMessage('  go   team  '), 'GO TEAM');
+  assert.equal(cleanMessage('x'.repeat(100)).length, MESSAGE_MAX_LENGTH);
+  assert.equal(cleanMessage('   '), null);
+  assert.equal(cleanMessage(undefined), null);
+});
+
+test('submitted messages wait for approval', () => {
+  const { messages, shown } = queue();
+  const m = messages.submit('hello');
+  assert.equal(m.status, 'pending');
+  messages.update(1);
+  assert.equal(messages.live, null);
+  assert.deepEqual(shown, []);
+  assert.equal(messages.submit('  '), null);
+});
+
+test('approved messages go live in order, each for its display time', () => {
+  const { messages, shown } = queue();
+  const a = messages.submit('first');
+  const b = messages.submit('second');
+  messages.approve(b.id, 5);
+  messages.approve(a.id);
+
+  messages.update(0);
+  assert.equal(messages.live.text, 'FIRST'); // submission order, whatever order they were approved in
+  assert.equal(messages.remaining, MESSAGE_SECONDS);
+  messages.update(MESSAGE_SECONDS - 1);
+  assert.equal(messages.live.text, 'FIRST');
+  messages.update(1);
+  assert.equal(messages.live.text, 'SECOND');
+  assert.equal(messages.remaining, 5);
+  messages.update(5);
+  assert.equal(messages.live, null);
+  assert.deepEqual(shown, ['FIRST', 'SECOND', null]);
+});
+
+test('rejected messages never go live', () => {
+  const { messages } = queue();
+  const m = messages.submit('nope');
+  messages.reject(m.id);
+  messages.approve(m.id);
+  messages.update(1);
+  assert.equal(messages.live, null);
+  assert.deepEqual(messages.list(), []);
+});
+
+test('skip takes the live message down and the next one follows', () => {
+  const { messages, shown } = queue();
+  for (const text of ['one', 'two']) messages.approve(messages.submit(text).id);
+  messages.update(0);
+  messages.skip();
+  messages.update(0);
+  assert.equal(messages.live.text, 'TWO');
+  assert.deepEqual(shown, ['ONE', 'TWO']);
+  assert.deepEqual(messages.list(), []);
+});
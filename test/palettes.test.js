@@ -0,0 +1,50 @@
+// Show palettes (core/palettes.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PALETTES, readPalette, paletteKnobs } from '../core/palettes.js';
+
+test('readPalette finds the built-in palettes by name, in any case', () => {
+  const trans = readPalette(' Trans ');
+  assert.equal(trans.name, 'trans');
+  assert.deepEqual(trans.roles, PALETTES.trans.roles);
+  assert.equal(readPalette('neon').roles, null);
+});
+
+test('readPalette takes stripe colours as hex strings, in a list or one string', () => {
+  const expected = [0xff5500, 0xffffff, 0x202020];
+  assert.deepEqual(readPalette(['#ff5500', 'ffffff', '0x202020']).stripes, expected);
+  assert.deepEqual(readPalette('ff5500, ffffff 202020').stripes, expected);
+  assert.deepEqual(readPalette(['1e0000', '555555']).stripes, [0x1e0000, 0x555555]); // not numbers
+});
+
+test('readPalette picks roles from custom stripes', () => {
+  const { name, roles } = readPalette(['ff0000', '00ff00', '0000ff', 'ffffff']);
+  assert.equal(name, 'custom');
+  assert.equal(roles.primary, 0xff0000);
+  assert.equal(roles.secondary, 0x00ff00);
+  assert.equal(roles.accent, 0x0000ff);
+  assert.equal(roles.highlight, 0xffffff);
+});
+
+test('readPalette finds the branding palettes by name', () => {
+  const sponsor = readPalette('SPONSOR', { sponsor: ['#123456', '#abcdef'] });
+  assert.equal(sponsor.name, 'sponsor');
+  assert.deepEqual(sponsor.stripes, [0x123456, 0xabcdef]);
+});
+
+test('readPalette throws on anything else', () => {
+  assert.throws(() => readPalette('nope'), /No palette/);
+  assert.throws(() => readPalette(['ff0000', 'zzz']), /Not a colour/);
+});
+
+test('paletteKnobs sets the colour knobs that name a role', () => {
+  const schema = {
+    color: { type: 'color', role: 'primary', default: 0 },
+    floor: { type: 'color', role: 'shade', default: 0 },
+    speed: { type: 'range', min: 0, max: 1, default: 0.5 },
+  };
+  assert.deepEqual(paletteKnobs(readPalette('bi'), schema),
+    { color: PALETTES.bi.roles.primary, floor: PALETTES.bi.roles.shade });
+  assert.deepEqual(paletteKnobs(readPalette('neon'), schema), {});
+});
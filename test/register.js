@@ -0,0 +1,5 @@
+// register.js
+// Loaded with `node --import` (see package.json) before any test module.
+import { register } from 'node:module';
+
+register('./importmap.js', import.meta.url);
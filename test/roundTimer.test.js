@@ -0,0 +1,75 @@
+// The round clock (core/roundTimer.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRoundTimer } from '../core/roundTimer.js';
+
+function clock(opts) {
+  const events = [];
+  const timer = createRoundTimer({ onEvent: (name) => events.push(name), ...opts });
+  return { timer, events };
+}
+
+// Whole seconds, one update each, as the show steps it
+function run(timer, seconds) {
+  for (let s = 0; s < seconds; s++) timer.update(1);
+}
+
+test('runs rounds and rests to the final bell', () => {
+  const { timer, events } = clock({ rounds: 2, roundSeconds: 10, restSeconds: 5, warningSeconds: 3 });
+  timer.start();
+  assert.equal(timer.state.phase, 'round');
+  run(timer, 7);
+  assert.deepEqual(events, ['roundStart', 'warning']);
+  run(timer, 3);
+  assert.equal(timer.state.phase, 'rest');
+  assert.equal(timer.display().label, 'REST · ROUND 2 NEXT');
+  run(timer, 5);
+  assert.equal(timer.state.phase, 'round');
+  assert.equal(timer.state.round, 2);
+  run(timer, 10);
+  assert.equal(timer.state.phase, 'done');
+  assert.equal(timer.state.running, false);
+  assert.deepEqual(events, ['roundStart', 'warning', 'roundEnd', 'roundStart', 'warning', 'roundEnd', 'done']);
+});
+
+test('no rest goes straight into the next round', () => {
+  const { timer } = clock({ rounds: 3, roundSeconds: 10, restSeconds: 0 });
+  timer.start();
+  run(timer, 10);
+  assert.equal(timer.state.phase, 'round');
+  assert.equal(timer.state.round, 2);
+});
+
+test('pause holds the time and start resumes it', () => {
+  const { timer } = clock({ roundSeconds: 60 });
+  timer.start();
+  run(timer, 10);
+  timer.pause();
+  run(timer, 10);
+  assert.equal(timer.state.remaining, 50);
+  assert.equal(timer.display().paused, true);
+  timer.toggle();
+  run(timer, 10);
+  assert.equal(timer.state.remaining, 40);
+});
+
+test('the round card fades in near the end of a rest', () => {
+  const { timer } = clock({ rounds: 3, roundSeconds: 10, restSeconds: 20, cardSeconds: 5 });
+  timer.start();
+  run(timer, 10 + 10);
+  assert.equal(timer.display().cardLevel, 0);
+  run(timer, 6);
+  assert.equal(timer.display().cardLevel, 1);
+  assert.equal(timer.display().card, 'ROUND 2');
+});
+
+test('snapshot and restore carry the clock to another window', () => {
+  const { timer } = clock({ roundSeconds: 30 });
+  timer.start();
+  run(timer, 12);
+  const copy = createRoundTimer();
+  copy.restore(timer.snapshot());
+  assert.deepEqual(copy.display(), timer.display());
+  assert.equal(copy.params.roundSeconds, 30);
+});
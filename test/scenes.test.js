@@ -0,0 +1,17 @@
+// Every registered scene through the self-test's scene check (set up, step,
+// dispose, no NaNs, nothing left allocated), on the mock renderer
+import { createMockRenderer } from './harness.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sceneIds, sceneNames } from '../scenes/index.js';
+import { testScene } from '../core/selftest.js';
+
+const SECONDS = 2;
+
+for (const id of sceneIds) {
+  test(`scene ${id} · ${sceneNames[id]}`, async () => {
+    const result = await testScene(createMockRenderer(), id, SECONDS);
+    assert.deepEqual(result.errors, []);
+  });
+}
@@ -0,0 +1,75 @@
+// The signature scene's QR particles, on the harness's QR stand-in
+import { createMockRenderer } from './harness.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setupSignature } from '../scenes/signature.js';
+import { createRandom } from '../core/random.js';
+
+const FRAME = 1 / 30;
+
+function particles(bundle) {
+  return bundle.scene.children.find(obj => obj.isPoints) ?? null;
+}
+
+async function setup(opts = {}) {
+  const bundle = setupSignature({ random: createRandom('test:signature'), link: 'https://example.com/a', ...opts });
+  await bundle.ready;
+  return bundle;
+}
+
+test('builds particles from the QR code', async () => {
+  const bundle = await setup();
+  const points = particles(bundle);
+  assert.ok(points, 'no particles');
+  assert.ok(points.geometry.attributes.position.count > 100);
+  bundle.dispose();
+});
+
+test('setLink rebuilds the particles and frees the old ones', async () => {
+  const bundle = await setup();
+  const before = particles(bundle);
+  let freed = 0;
+  before.geometry.addEventListener('dispose', () => freed++);
+  before.material.addEventListener('dispose', () => freed++);
+
+  await bundle.setLink('https://example.com/b');
+  const after = particles(bundle);
+  assert.notEqual(after, before);
+  assert.equal(freed, 2);
+  assert.equal(bundle.params.link, 'https://example.com/b');
+  bundle.dispose();
+});
+
+test('dispose frees everything the renderer saw', async () => {
+  const renderer = createMockRenderer();
+  const bundle = await setup();
+  for (let f = 0; f < 30; f++) {
+    bundle.animate(FRAME);
+    renderer.render(bundle.scene, bundle.camera);
+  }
+  bundle.dispose();
+  const { geometries, materials } = renderer.info.memory;
+  assert.deepEqual({ geometries, materials }, { geometries: 0, materials: 0 });
+});
+
+test('a quality step resamples the QR coarser', async () => {
+  const bundle = await setup();
+  const full = particles(bundle).geometry.attributes.position.count;
+  bundle.quality(0.25);
+  bundle.animate(FRAME); // picks up the new sampling
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.ok(particles(bundle).geometry.attributes.position.count < full);
+  bundle.dispose();
+});
+
+test('a rebuild that fails keeps the particles on screen', async () => {
+  const bundle = await setup();
+  const before = particles(bundle);
+  await bundle.setLink(`https://example.com/${'x'.repeat(2000)}`); // past the QR capacity
+  bundle.quality(0.5);
+  bundle.animate(FRAME);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(particles(bundle), before);
+  bundle.dispose();
+});
@@ -0,0 +1,45 @@
+// Multi-window spans (core/span.js): the ?span= value and the follower queue
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readSpan, createSpanFollower } from '../core/span.js';
+
+test('readSpan reads index, count, mode and bezel', () => {
+  assert.deepEqual(readSpan('1,3'), { index: 1, count: 3, mode: 'slice', bezel: 0 });
+  assert.deepEqual(readSpan('2,3,ring,40'), { index: 2, count: 3, mode: 'ring', bezel: 40 });
+});
+
+test('readSpan rejects unset and malformed values', () => {
+  for (const value of [undefined, '', '3,3', '-1,2', '1', 'a,b', '0,2,tile', '0,2,slice,-5']) {
+    assert.equal(readSpan(value), null, String(value));
+  }
+});
+
+function follower() {
+  const log = [];
+  const span = createSpanFollower({
+    onFrame: ({ delta }, draw) => log.push(['frame', delta, draw]),
+    onEvent: (msg) => log.push([msg.type]),
+  });
+  return { span, log };
+}
+
+test('a follower that fell behind replays every frame and draws the last', () => {
+  const { span, log } = follower();
+  for (const delta of [1, 2, 3]) span.receive({ type: 'frame', delta });
+  span.flush();
+  assert.deepEqual(log, [['frame', 1, false], ['frame', 2, false], ['frame', 3, true]]);
+});
+
+test('events stay in order between the frames around them', () => {
+  const { span, log } = follower();
+  span.receive({ type: 'frame', delta: 1 });
+  span.receive({ type: 'scene' });
+  span.receive({ type: 'frame', delta: 2 });
+  span.receive({ type: 'param' });
+  span.flush();
+  assert.deepEqual(log, [['frame', 1, false], ['scene'], ['frame', 2, true], ['param']]);
+
+  span.flush(); // nothing new
+  assert.equal(log.length, 4);
+});